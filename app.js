@@ -1,172 +1,637 @@
-const { useState } = React;
+const { useState, useRef, useEffect } = React;
+
+// the algorithms, shared with the command-line tool (see engine.js)
+const Engine = DeadlockEngine;
+// classic scenarios with walkthroughs (see presets.js)
+const Presets = DeadlockPresets;
 
 function DeadlockSimulator() {
   const [processes, setProcesses] = useState([]);
   const [resources, setResources] = useState([]);
-  const [requestEdges, setRequestEdges] = useState([]); // {pid, rid}
-  const [assignmentEdges, setAssignmentEdges] = useState([]); // {rid, pid}
+  const [requestEdges, setRequestEdges] = useState([]); // {pid, rid, units}
+  const [assignmentEdges, setAssignmentEdges] = useState([]); // {rid, pid, units}
 
   const [newProcessId, setNewProcessId] = useState("");
   const [newResourceId, setNewResourceId] = useState("");
   const [newResourceInstances, setNewResourceInstances] = useState(1);
 
+  // Inline editing of an existing process or resource:
+  // { kind: "process" | "resource", id, newId, instances, onShortage }
+  const [editing, setEditing] = useState(null);
+  const [editNote, setEditNote] = useState("");
+
   const [selectedProcess, setSelectedProcess] = useState("");
   const [selectedResource, setSelectedResource] = useState("");
+  const [unitCount, setUnitCount] = useState(1);
 
   const [deadlockResult, setDeadlockResult] = useState(null);
+  // which of the reported cycles the graph draws in bold
+  const [focusedCycle, setFocusedCycle] = useState(0);
+  // incremental detection: after each request that waits, look only for a
+  // cycle through the requesting process; the note says what it found
+  const [incrementalDetection, setIncrementalDetection] = useState(false);
+  const [incrementalNote, setIncrementalNote] = useState("");
 
   // Banker: Max matrix and safety result
   // maxMatrix: { [pid]: { [rid]: maxInt } }
   const [maxMatrix, setMaxMatrix] = useState({});
   const [maxValue, setMaxValue] = useState(1);
+  // Matrix grid: rejected cell texts keyed "kind:pid:rid", and why
+  const [matrixDrafts, setMatrixDrafts] = useState({});
+  const [matrixError, setMatrixError] = useState("");
   const [safetyResult, setSafetyResult] = useState(null);
 
+  // Avoidance: "none", "banker" (every grant must leave the system in a
+  // safe state) or "claim-graph" (no grant may close a cycle through the
+  // claim edges)
+  const [avoidanceMode, setAvoidanceMode] = useState("none");
+  const [requestNote, setRequestNote] = useState(null); // {kind, text, cycle?}
+
+  // Prevention: "none", "resource-ordering", "hold-and-wait" or
+  // "no-preemption"; each denies one Coffman condition on every request
+  const [preventionPolicy, setPreventionPolicy] = useState("none");
+
+  // Wait queues: request edges stay in arrival order and `queuePolicy`
+  // picks who is served first when units are freed. A request edge's
+  // `passedOver` counts how often a later arrival was served before it.
+  const [queuePolicy, setQueuePolicy] = useState("fifo");
+  const [agingBoost, setAgingBoost] = useState(1);
+  const [starvationLimit, setStarvationLimit] = useState(3);
+
+  // Recovery: per-process victim attributes and the running recovery log
+  // processAttrs: { [pid]: { priority, workDone, cost } }
+  const [processAttrs, setProcessAttrs] = useState({});
+  const [victimPolicy, setVictimPolicy] = useState("fewest-held");
+  const [recovery, setRecovery] = useState(null); // {steps, victims, cost, resolved}
+
+  // Banker: list every safe sequence, and check a user-typed candidate
+  const [listAllSequences, setListAllSequences] = useState(false);
+  const [candidateText, setCandidateText] = useState("");
+  const [candidateToCheck, setCandidateToCheck] = useState("");
+
+  // Scenarios: named saves in localStorage, import errors and status line
+  const [scenarioName, setScenarioName] = useState("");
+
+  // Scenario library: the chosen preset, its parameters and the running
+  // walkthrough { name, steps, index }
+  const [presetId, setPresetId] = useState(Presets.PRESETS[0].id);
+  const [presetValues, setPresetValues] = useState({});
+  const [tour, setTour] = useState(null);
+  const [savedScenarios, setSavedScenarios] = useState(readSavedScenarios);
+  const [scenarioErrors, setScenarioErrors] = useState([]);
+  const [scenarioNote, setScenarioNote] = useState("");
+  const [shareLink, setShareLink] = useState("");
+  const restored = useRef(false);
+
+  // Operation log: history[k] = { label, mergeKey, snapshot } and the entry
+  // the current state corresponds to. Entries after it can be redone.
+  const [history, setHistory] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(-1);
+  const [replaying, setReplaying] = useState(false);
+  const [replayDelay, setReplayDelay] = useState(1000);
+  const pendingOperation = useRef(null); // {label, mergeKey}
+
+  // Command console: script text, echoed output and the commands still to run
+  const [consoleScript, setConsoleScript] = useState("");
+  const [consoleOutput, setConsoleOutput] = useState([]); // {kind, text}
+  const [scriptQueue, setScriptQueue] = useState([]); // {lineNo, source, command}
+
+  // Tick-based simulation: per-process workload scripts and the engine state
+  // sim: { clock, cursor, playing, procs: { [pid]: {pc, holdLeft, status} },
+  //        log, deadlockAt } — cursor is the next process to act this tick,
+  //        or null between ticks
+  const [workloadText, setWorkloadText] = useState("");
+  const [workloadErrors, setWorkloadErrors] = useState([]);
+  const [workloads, setWorkloads] = useState({}); // { [pid]: [step] }
+  const [workloadSeed, setWorkloadSeed] = useState(1);
+  const [detectEvery, setDetectEvery] = useState(1);
+  const [tickDelay, setTickDelay] = useState(800);
+  const [sim, setSim] = useState(null);
+  // strategy comparison: one run per strategy, see compare.js
+  const [comparison, setComparison] = useState(null);
+
+  // Distributed detection: processes and resources are dealt round-robin
+  // over the sites, `siteMoves` holds the ones placed by hand; latency is
+  // per sending site in ticks. See distributed.js.
+  const [siteCount, setSiteCount] = useState(2);
+  const [siteMoves, setSiteMoves] = useState({}); // { [pid or rid]: site }
+  const [siteLatency, setSiteLatency] = useState({}); // { [site]: ticks }
+  const [distributedAlgorithm, setDistributedAlgorithm] = useState("coordinator");
+  const [probeInitiator, setProbeInitiator] = useState("");
+  const [distributedRun, setDistributedRun] = useState(null);
+
   // ---- helpers ----
-  function resourceById(rid) {
-    return resources.find(r => r.id === rid);
+  // engine.js works on this plain object; operations hand back a new one
+  function coreState() {
+    return {
+      processes,
+      resources,
+      assignments: assignmentEdges,
+      requests: requestEdges,
+      max: maxMatrix,
+      processAttrs
+    };
+  }
+
+  // too big to draw or to trace step by step
+  const large = processes.length > DRAW_LIMIT || resources.length > DRAW_LIMIT;
+
+  function engineOptions() {
+    return {
+      avoidance: avoidanceMode === "none" ? false : avoidanceMode,
+      prevention: preventionPolicy,
+      queuePolicy,
+      agingBoost,
+      victimPolicy
+    };
   }
 
-  function allocatedInstances(rid) {
-    return assignmentEdges.filter(e => e.rid === rid).length;
+  function applyState(state) {
+    setProcesses(state.processes);
+    setResources(state.resources);
+    setAssignmentEdges(state.assignments);
+    setRequestEdges(state.requests);
+    setMaxMatrix(state.max);
+    setProcessAttrs(state.processAttrs);
+  }
+
+  // Keeps the state an engine operation produced and logs it under the
+  // operation's label. Returns the outcome note.
+  function perform(result, mergeKey) {
+    if (result.note.kind !== "error") {
+      applyState(result.state);
+      if (result.label) logOperation(result.label, mergeKey);
+    }
+    return result.note;
   }
 
   function freeInstances(rid) {
-    const res = resourceById(rid);
-    if (!res) return 0;
-    return res.instances - allocatedInstances(rid);
+    return Engine.freeUnits(coreState(), rid);
+  }
+
+  function parseUnits() {
+    const v = parseInt(unitCount, 10);
+    return isNaN(v) || v < 1 ? null : v;
+  }
+
+  // ---- operation log, undo/redo ----
+  // Handlers describe what they did; the next state change is recorded
+  // under that label. `mergeKey` folds repeated edits of one field together.
+  function logOperation(label, mergeKey) {
+    pendingOperation.current = { label, mergeKey: mergeKey || null };
+  }
+
+  function currentSnapshot() {
+    return {
+      processes,
+      resources,
+      assignmentEdges,
+      requestEdges,
+      maxMatrix,
+      processAttrs
+    };
+  }
+
+  function sameSnapshot(a, b) {
+    return Object.keys(a).every(key => a[key] === b[key]);
+  }
+
+  useEffect(() => {
+    const snapshot = currentSnapshot();
+    const current = history[historyIndex];
+    // undo, redo and jumps restore a recorded snapshot: nothing new to log
+    if (current && sameSnapshot(current.snapshot, snapshot)) return;
+
+    const op = pendingOperation.current || { label: "Edit", mergeKey: null };
+    pendingOperation.current = null;
+
+    let next = history.slice(0, historyIndex + 1);
+    if (next.length === 0) {
+      next = [{ label: "Start", mergeKey: null, snapshot }];
+    } else if (op.mergeKey && next[next.length - 1].mergeKey === op.mergeKey) {
+      next[next.length - 1] = {
+        label: op.label,
+        mergeKey: op.mergeKey,
+        snapshot
+      };
+    } else {
+      next.push({ label: op.label, mergeKey: op.mergeKey, snapshot });
+    }
+    if (next.length > HISTORY_LIMIT) {
+      next = next.slice(next.length - HISTORY_LIMIT);
+    }
+
+    setHistory(next);
+    setHistoryIndex(next.length - 1);
+    setReplaying(false);
+  }, [processes, resources, assignmentEdges, requestEdges, maxMatrix, processAttrs]);
+
+  function jumpTo(index) {
+    const entry = history[index];
+    if (!entry) return;
+    const snap = entry.snapshot;
+    setProcesses(snap.processes);
+    setResources(snap.resources);
+    setAssignmentEdges(snap.assignmentEdges);
+    setRequestEdges(snap.requestEdges);
+    setMaxMatrix(snap.maxMatrix);
+    setProcessAttrs(snap.processAttrs);
+    setHistoryIndex(index);
+    if (!snap.processes.includes(selectedProcess)) {
+      setSelectedProcess(snap.processes[0] || "");
+    }
+    if (!snap.resources.some(r => r.id === selectedResource)) {
+      setSelectedResource(snap.resources[0] ? snap.resources[0].id : "");
+    }
+    setDeadlockResult(null);
+    setSafetyResult(null);
+    setRequestNote(null);
+    setRecovery(null);
+    discardMatrixDrafts();
+  }
+
+  // the logged snapshots as engine states, for the resource timeline
+  function historyStates() {
+    return history.map(({ snapshot }) => ({
+      processes: snapshot.processes,
+      resources: snapshot.resources,
+      assignments: snapshot.assignmentEdges,
+      requests: snapshot.requestEdges,
+      max: snapshot.maxMatrix,
+      processAttrs: snapshot.processAttrs
+    }));
+  }
+
+  function renderResourceTimeline() {
+    if (history.length < 2) {
+      return <p className="help-text">Nothing has happened yet.</p>;
+    }
+    const tooLarge = history.some(
+      ({ snapshot }) =>
+        snapshot.processes.length > DRAW_LIMIT || snapshot.resources.length > DRAW_LIMIT
+    );
+    if (tooLarge) {
+      return <p className="help-text">The log holds a system too large to draw.</p>;
+    }
+    return (
+      <ResourceTimeline
+        timeline={Timeline.buildTimeline(historyStates())}
+        labels={history.map(entry => entry.label)}
+        current={historyIndex}
+        onSelect={jumpTo}
+      />
+    );
+  }
+
+  function handleUndo() {
+    if (historyIndex > 0) jumpTo(historyIndex - 1);
+  }
+
+  function handleRedo() {
+    if (historyIndex < history.length - 1) jumpTo(historyIndex + 1);
   }
 
-  function holdersOf(rid) {
-    return assignmentEdges.filter(e => e.rid === rid).map(e => e.pid);
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text fields keep
+  // their own undo
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const tag = e.target.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        handleRedo();
+      }
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  // replay walks forward through the log, one entry per `replayDelay` ms
+  useEffect(() => {
+    if (!replaying) return undefined;
+    if (historyIndex >= history.length - 1) {
+      setReplaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => jumpTo(historyIndex + 1), replayDelay);
+    return () => clearTimeout(timer);
+  }, [replaying, historyIndex, history.length, replayDelay]);
+
+  function handleReplay() {
+    if (replaying) {
+      setReplaying(false);
+      return;
+    }
+    jumpTo(0);
+    setReplaying(true);
   }
 
   // ---- add process/resource ----
+  // The operations below are shared by the forms and the command console.
+  // They return an error message, or null / an outcome note on success.
+  function addProcesses(ids) {
+    const note = perform(Engine.addProcesses(coreState(), ids));
+    if (note.kind === "error") return note.text;
+    if (!selectedProcess) setSelectedProcess(ids[0]);
+    setSafetyResult(null);
+    return null;
+  }
+
+  function addResource(id, instances) {
+    const note = perform(Engine.addResource(coreState(), id, instances));
+    if (note.kind === "error") return note.text;
+    if (!selectedResource) setSelectedResource(id);
+    setSafetyResult(null);
+    return null;
+  }
+
   function handleAddProcess(e) {
     e.preventDefault();
     const id = newProcessId.trim();
     if (!id) return;
-    if (processes.includes(id)) {
-      alert("Process " + id + " already exists.");
+    const error = addProcesses([id]);
+    if (error) {
+      alert(error);
       return;
     }
-    setProcesses(prev => [...prev, id]);
     setNewProcessId("");
-    if (!selectedProcess) setSelectedProcess(id);
-    setSafetyResult(null);
   }
 
   function handleAddResource(e) {
     e.preventDefault();
     const id = newResourceId.trim();
     if (!id) return;
-    if (resources.some(r => r.id === id)) {
-      alert("Resource " + id + " already exists.");
-      return;
-    }
     const inst = parseInt(newResourceInstances, 10);
     const instances = isNaN(inst) || inst < 1 ? 1 : inst;
-    setResources(prev => [...prev, { id, instances }]);
+    const error = addResource(id, instances);
+    if (error) {
+      alert(error);
+      return;
+    }
     setNewResourceId("");
     setNewResourceInstances(1);
-    if (!selectedResource) setSelectedResource(id);
+  }
+
+  // ---- edit & delete ----
+  function startEdit(kind, id) {
+    const res = resources.find(r => r.id === id);
+    setEditing({
+      kind,
+      id,
+      newId: id,
+      instances: kind === "resource" ? res.instances : 0,
+      onShortage: "refuse"
+    });
+  }
+
+  function updateEditing(field, value) {
+    setEditing(prev => Object.assign({}, prev, { [field]: value }));
+  }
+
+  // Results computed for the old system no longer apply, and a loaded
+  // simulation may refer to processes or resources that are gone.
+  function performEdit(result) {
+    const note = perform(result);
+    if (note.kind === "error") {
+      alert(note.text);
+      return false;
+    }
+    const next = result.state;
+    if (!next.processes.includes(selectedProcess)) {
+      setSelectedProcess(next.processes[0] || "");
+    }
+    if (!next.resources.some(r => r.id === selectedResource)) {
+      setSelectedResource(next.resources[0] ? next.resources[0].id : "");
+    }
+    setEditNote(note.text);
+    discardMatrixDrafts();
+    setDeadlockResult(null);
     setSafetyResult(null);
+    setRecovery(null);
+    setSim(null);
+    return true;
+  }
+
+  function handleSaveEdit(e) {
+    e.preventDefault();
+    const newId = editing.newId.trim();
+    const steps = [];
+    let state = coreState();
+    if (editing.kind === "resource") {
+      const instances = parseInt(editing.instances, 10);
+      if (instances !== Engine.resourceById(state, editing.id).instances) {
+        steps.push(
+          Engine.setInstances(
+            state,
+            editing.id,
+            isNaN(instances) ? 0 : instances,
+            editing.onShortage,
+            engineOptions()
+          )
+        );
+      }
+    }
+    if (newId !== editing.id && (steps.length === 0 || steps[0].note.kind !== "error")) {
+      if (steps.length > 0) state = steps[0].state;
+      steps.push(
+        editing.kind === "process"
+          ? Engine.renameProcess(state, editing.id, newId)
+          : Engine.renameResource(state, editing.id, newId)
+      );
+    }
+    const failed = steps.find(step => step.note.kind === "error");
+    if (failed) {
+      alert(failed.note.text);
+      return;
+    }
+    if (steps.length > 0) {
+      performEdit({
+        state: steps[steps.length - 1].state,
+        note: { kind: "ok", text: steps.map(step => step.note.text).join(" ") },
+        label: steps.map(step => step.label).join("; ")
+      });
+      if (editing.kind === "process" && selectedProcess === editing.id) {
+        setSelectedProcess(newId);
+      }
+      if (editing.kind === "resource" && selectedResource === editing.id) {
+        setSelectedResource(newId);
+      }
+    }
+    setEditing(null);
+  }
+
+  function handleDelete(kind, id) {
+    const result =
+      kind === "process"
+        ? Engine.removeProcess(coreState(), id, engineOptions())
+        : Engine.removeResource(coreState(), id);
+    if (performEdit(result) && editing && editing.id === id) setEditing(null);
   }
 
   // ---- request & release ----
+  // Returns the outcome as a note {kind, text}; kind "error" means nothing
+  // changed because the request itself is invalid.
+  function requestResource(pid, rid, units) {
+    const result = Engine.request(coreState(), pid, rid, units, engineOptions());
+    const note = perform(result);
+    if (note.kind !== "error") {
+      setDeadlockResult(null);
+      setSafetyResult(null);
+      setIncrementalNote("");
+    }
+    if (incrementalDetection && note.kind === "waiting") {
+      const started = performance.now();
+      const detection = Engine.detectAfterRequest(result.state, pid);
+      const ms = (performance.now() - started).toFixed(2);
+      if (!detection) {
+        setIncrementalNote(`No cycle through ${pid} (checked in ${ms} ms).`);
+      } else if (detection.hasDeadlock) {
+        setDeadlockResult(detection);
+        setFocusedCycle(0);
+        setIncrementalNote(`${pid}'s request caused a deadlock (checked in ${ms} ms).`);
+      } else {
+        setIncrementalNote(
+          `${pid} is on a Wait-For cycle, but the detection algorithm finds ` +
+            `no deadlock (checked in ${ms} ms).`
+        );
+      }
+    }
+    return note;
+  }
+
   function handleRequest() {
+    setRequestNote(null);
     if (!selectedProcess || !selectedResource) {
       alert("Select both a process and a resource.");
       return;
     }
-    const pid = selectedProcess;
-    const rid = selectedResource;
+    const units = parseUnits();
+    if (units === null) {
+      alert("Units must be a number >= 1.");
+      return;
+    }
+    const note = requestResource(selectedProcess, selectedResource, units);
+    if (note.kind === "error") {
+      alert(note.text);
+      return;
+    }
+    setRequestNote(note);
+  }
 
-    const res = resourceById(rid);
-    if (!res) {
-      alert("Unknown resource " + rid);
+  function handleDeclareClaim() {
+    setRequestNote(null);
+    if (!selectedProcess || !selectedResource) {
+      alert("Select both a process and a resource.");
       return;
     }
+    const note = perform(
+      Engine.declareClaim(coreState(), selectedProcess, selectedResource)
+    );
+    if (note.kind === "error") alert(note.text);
+  }
 
-    const free = freeInstances(rid);
+  // The cycle a deferred claim-graph request would have closed, as long as
+  // that request is still waiting: [R, P] pairs on it are would-be grants.
+  function refusedCycle() {
+    const cycle = (requestNote && requestNote.cycle) || [];
+    const waiting = cycle.some(
+      (id, k) => k > 0 && requestEdges.some(e => e.rid === cycle[k - 1] && e.pid === id)
+    );
+    return waiting ? cycle : [];
+  }
 
-    if (free > 0) {
-      // allocate immediately
-      setAssignmentEdges(prev => {
-        const exists = prev.some(e => e.rid === rid && e.pid === pid);
-        if (exists) return prev;
-        return [...prev, { rid, pid }];
-      });
-      // remove any waiting request edge for this pair
-      setRequestEdges(prev =>
-        prev.filter(e => !(e.rid === rid && e.pid === pid))
-      );
-    } else {
-      // no free instance: add request
-      setRequestEdges(prev => {
-        const exists = prev.some(e => e.rid === rid && e.pid === pid);
-        if (exists) return prev;
-        return [...prev, { rid, pid }];
-      });
+  // `units` null releases everything pid holds of rid
+  function releaseResource(pid, rid, units) {
+    const note = perform(
+      Engine.release(coreState(), pid, rid, units, engineOptions())
+    );
+    if (note.kind !== "error") {
+      setDeadlockResult(null);
+      setSafetyResult(null);
     }
+    return note;
+  }
 
+  // The process ran to completion: everything it holds is released and
+  // handed to waiters, and it stops waiting for anything.
+  function finishProcess(pid) {
+    const note = perform(Engine.finish(coreState(), pid, engineOptions()));
     setDeadlockResult(null);
     setSafetyResult(null);
+    return note;
+  }
+
+  function handleFinish() {
+    setRequestNote(null);
+    if (!selectedProcess) {
+      alert("Select a process first.");
+      return;
+    }
+    setRequestNote(finishProcess(selectedProcess));
   }
 
   function handleRelease() {
+    setRequestNote(null);
     if (!selectedProcess || !selectedResource) {
       alert("Select both a process and a resource.");
       return;
     }
-    const pid = selectedProcess;
-    const rid = selectedResource;
-
-    const hasAssignment = assignmentEdges.some(
-      e => e.rid === rid && e.pid === pid
-    );
-    if (!hasAssignment) {
-      alert("Process " + pid + " does not hold resource " + rid);
+    const units = parseUnits();
+    if (units === null) {
+      alert("Units must be a number >= 1.");
       return;
     }
+    const note = releaseResource(selectedProcess, selectedResource, units);
+    if (note.kind === "error") alert(note.text);
+  }
 
-    // release from pid
-    setAssignmentEdges(prev => {
-      const copy = [...prev];
-      const index = copy.findIndex(e => e.rid === rid && e.pid === pid);
-      if (index !== -1) copy.splice(index, 1);
-      return copy;
-    });
+  // ---- wait queues ----
+  function waitQueue(rid) {
+    return Engine.waitQueue(coreState(), rid, engineOptions());
+  }
 
-    // allocate released instance to first waiting process (if any)
-    setRequestEdges(prev => {
-      const waitingForRid = prev.filter(e => e.rid === rid);
-      if (waitingForRid.length === 0) {
-        return prev;
-      }
-      const nextPid = waitingForRid[0].pid;
+  function isStarving(e) {
+    return (e.passedOver || 0) > starvationLimit;
+  }
 
-      // remove that request
-      const remaining = prev.filter(
-        e => !(e.rid === rid && e.pid === nextPid)
-      );
+  function starvingProcesses() {
+    const seen = new Set();
+    return requestEdges
+      .filter(isStarving)
+      .map(e => e.pid)
+      .filter(pid => !seen.has(pid) && seen.add(pid));
+  }
 
-      // allocate to nextPid
-      setAssignmentEdges(current => {
-        const already = current.some(
-          e => e.rid === rid && e.pid === nextPid
-        );
-        if (already) return current;
-        return [...current, { rid, pid: nextPid }];
-      });
+  function describeWaiter(e) {
+    let text = `${e.pid} ×${e.units}`;
+    if (queuePolicy === "priority") {
+      text += ` (priority ${Engine.effectivePriority(coreState(), e, engineOptions())})`;
+    }
+    if (e.passedOver) text += ` · passed over ${e.passedOver}×`;
+    return text;
+  }
 
-      return remaining;
-    });
+  function handleSetQueueNumber(setter, value, min) {
+    const v = parseInt(value, 10);
+    setter(isNaN(v) || v < min ? min : v);
+  }
 
-    setDeadlockResult(null);
+  // ---- set Max for Banker (per process, per resource) ----
+  function setMax(pid, rid, v) {
+    const note = perform(
+      Engine.setMax(coreState(), pid, rid, v),
+      `max:${pid}:${rid}`
+    );
+    if (note.kind === "error") return note.text;
     setSafetyResult(null);
+    return null;
   }
 
-  // ---- set Max for Banker (per process, per resource) ----
   function handleSetMax(e) {
     e.preventDefault();
     if (!selectedProcess || !selectedResource) {
@@ -178,240 +643,1057 @@ function DeadlockSimulator() {
       alert("Max must be a number >= 0.");
       return;
     }
-    const pid = selectedProcess;
-    const rid = selectedResource;
-
-    setMaxMatrix(prev => ({
-      ...prev,
-      [pid]: {
-        ...(prev[pid] || {}),
-        [rid]: v
-      }
-    }));
-    setSafetyResult(null);
+    const error = setMax(selectedProcess, selectedResource, v);
+    if (error) alert(error);
   }
 
-  // ---- Wait-For Graph + Deadlock detection ----
-  function buildWaitForGraph() {
-    const wfg = {};
-    processes.forEach(pid => {
-      wfg[pid] = [];
-    });
-
-    requestEdges.forEach(({ pid, rid }) => {
-      const holders = holdersOf(rid);
-      holders.forEach(h => {
-        if (h !== pid && !wfg[pid].includes(h)) {
-          wfg[pid].push(h);
-        }
-      });
-    });
+  // ---- matrix grid ----
+  // A cell is committed on Enter or when it loses focus. Empty Max cells
+  // fall back to the allocation; empty Allocation/Request cells mean 0.
+  function handleMatrixEdit(kind, pid, rid, text) {
+    const trimmed = text.trim();
+    const value =
+      trimmed === ""
+        ? kind === "max" ? null : 0
+        : /^\d+$/.test(trimmed) ? Number(trimmed) : NaN;
+    applyMatrixCells(kind, [{ pid, rid, value }], { [`${kind}:${pid}:${rid}`]: text });
+  }
 
-    return wfg;
-  }
-
-  function detectDeadlock() {
-    const wfg = buildWaitForGraph();
-    const visited = new Set();
-    const stack = new Set();
-    const parent = {};
-
-    function dfs(u) {
-      visited.add(u);
-      stack.add(u);
-      const neighbours = wfg[u] || [];
-      for (const v of neighbours) {
-        if (!visited.has(v)) {
-          parent[v] = u;
-          const cycle = dfs(v);
-          if (cycle) return cycle;
-        } else if (stack.has(v)) {
-          // reconstruct cycle
-          const cycle = [v];
-          let cur = u;
-          while (cur !== v && cur != null) {
-            cycle.push(cur);
-            cur = parent[cur];
-          }
-          cycle.push(v);
-          cycle.reverse();
-          return cycle;
-        }
-      }
-      stack.delete(u);
-      return null;
+  // A pasted block fills the matrix from cell (i, j) rightwards and down.
+  function handleMatrixPaste(kind, i, j, text) {
+    const rows = Engine.parseMatrixText(text);
+    const width = Math.max(0, ...rows.map(row => row.length));
+    if (rows.length === 0) return;
+    if (i + rows.length > processes.length || j + width > resources.length) {
+      setMatrixError(
+        `The pasted block is ${rows.length}×${width}, but only ` +
+        `${processes.length - i}×${resources.length - j} cells fit from ` +
+        `${processes[i]}/${resources[j].id}.`
+      );
+      return;
     }
+    const cells = [];
+    const texts = {};
+    rows.forEach((row, di) =>
+      row.forEach((value, dj) => {
+        const pid = processes[i + di];
+        const rid = resources[j + dj].id;
+        cells.push({ pid, rid, value });
+        texts[`${kind}:${pid}:${rid}`] = String(value);
+      })
+    );
+    applyMatrixCells(kind, cells, texts);
+  }
 
-    for (const pid of processes) {
-      if (!visited.has(pid)) {
-        parent[pid] = null;
-        const cycle = dfs(pid);
-        if (cycle) {
-          return { hasDeadlock: true, cycle };
-        }
-      }
+  function applyMatrixCells(kind, cells, texts) {
+    const only = cells.length === 1 ? cells[0] : null;
+    const note = perform(
+      Engine.setMatrixCells(coreState(), kind, cells),
+      only ? `cell:${kind}:${only.pid}:${only.rid}` : null
+    );
+    if (note.kind === "error") {
+      setMatrixDrafts(prev => Object.assign({}, prev, texts));
+      setMatrixError(note.text);
+      return;
     }
+    setMatrixDrafts(prev => {
+      const next = Object.assign({}, prev);
+      Object.keys(texts).forEach(key => delete next[key]);
+      return next;
+    });
+    setMatrixError("");
+    setDeadlockResult(null);
+    setSafetyResult(null);
+  }
 
-    return { hasDeadlock: false, cycle: [] };
+  function discardMatrixDrafts() {
+    setMatrixDrafts({});
+    setMatrixError("");
   }
 
-  function handleCheckDeadlock() {
-    const result = detectDeadlock();
-    setDeadlockResult(result);
+  // a quiz state replaces the current system so it can be explored
+  function handleLoadQuizState(problem) {
+    applyScenario(problem.state);
+    logOperation(`Loaded quiz question ${problem.number}`);
   }
 
-  // ---- Banker safety algorithm ----
-  function bankerSafety() {
-    const n = processes.length;
-    const m = resources.length;
-
-    if (n === 0 || m === 0) {
-      return {
-        safe: true,
-        sequence: [],
-        message: "No processes or resources."
-      };
-    }
+  function handleLoadGenerated(state, name) {
+    applyScenario(state);
+    setScenarioName(name);
+    logOperation(`Generated ${name}`);
+  }
 
-    // index maps
-    const pidIndex = {};
-    const ridIndex = {};
-    processes.forEach((pid, i) => { pidIndex[pid] = i; });
-    resources.forEach((r, j) => { ridIndex[r.id] = j; });
-
-    // matrices
-    const allocation = Array.from({ length: n }, () => Array(m).fill(0));
-    const max = Array.from({ length: n }, () => Array(m).fill(0));
-    const need = Array.from({ length: n }, () => Array(m).fill(0));
-    const available = Array(m).fill(0);
-
-    // fill allocation from assignmentEdges
-    assignmentEdges.forEach(e => {
-      const i = pidIndex[e.pid];
-      const j = ridIndex[e.rid];
-      if (i !== undefined && j !== undefined) {
-        allocation[i][j] += 1;
-      }
+  // ---- Distributed detection ----
+  function currentSites() {
+    const names = Distributed.siteNames(siteCount);
+    const sites = Distributed.defaultSites(coreState(), siteCount);
+    Object.keys(siteMoves).forEach(id => {
+      if (sites[id] && names.includes(siteMoves[id])) sites[id] = siteMoves[id];
     });
+    return sites;
+  }
 
-    // available = total - allocated
-    resources.forEach((r, j) => {
-      const total = r.instances;
-      const used = allocation.reduce((sum, row) => sum + row[j], 0);
-      available[j] = total - used;
-    });
+  function handleMoveToSite(id, site) {
+    setSiteMoves(prev => Object.assign({}, prev, { [id]: site }));
+    setDistributedRun(null);
+  }
 
-    // fill max & need
-    processes.forEach((pid, i) => {
-      resources.forEach((r, j) => {
-        const userMax = maxMatrix[pid] && typeof maxMatrix[pid][r.id] === "number"
-          ? maxMatrix[pid][r.id]
-          : allocation[i][j]; // fallback: max = current allocation
-        max[i][j] = userMax;
-        need[i][j] = max[i][j] - allocation[i][j];
-      });
-    });
+  function handleSetLatency(site, value) {
+    const ticks = parseInt(value, 10);
+    setSiteLatency(prev => Object.assign({}, prev, { [site]: ticks >= 1 ? ticks : 1 }));
+  }
 
-    // check for negative need (allocation > max)
-    for (let i = 0; i < n; i++) {
-      for (let j = 0; j < m; j++) {
-        if (need[i][j] < 0) {
-          return {
-            safe: false,
-            sequence: [],
-            message:
-              "Allocation exceeds Max for process " +
-              processes[i] +
-              " on some resource."
-          };
-        }
-      }
+  // The coordinator watches the logged states since processes and
+  // resources last changed (the sites are a partition of exactly those),
+  // one tick per operation.
+  function watchedStates() {
+    const states = historyStates().slice(0, historyIndex + 1);
+    if (states.length === 0) return [coreState()];
+    let start = states.length - 1;
+    while (
+      start > 0 &&
+      states[start - 1].processes === processes &&
+      states[start - 1].resources === resources
+    ) {
+      start--;
     }
+    return states.slice(start);
+  }
 
-    const work = [...available];
-    const finish = Array(n).fill(false);
-    const sequence = [];
-
-    let progress = true;
-    while (progress) {
-      progress = false;
-      for (let i = 0; i < n; i++) {
-        if (!finish[i]) {
-          let canFinish = true;
-          for (let j = 0; j < m; j++) {
-            if (need[i][j] > work[j]) {
-              canFinish = false;
-              break;
-            }
-          }
-          if (canFinish) {
-            // process can finish
-            for (let j = 0; j < m; j++) {
-              work[j] += allocation[i][j];
-            }
-            finish[i] = true;
-            sequence.push(processes[i]);
-            progress = true;
-          }
-        }
-      }
+  function waitingProcesses() {
+    return processes.filter(pid => requestEdges.some(e => e.pid === pid));
+  }
+
+  function handleRunDistributed() {
+    if (processes.length === 0) {
+      alert("Add processes first.");
+      return;
+    }
+    const settings = { latency: siteLatency };
+    if (distributedAlgorithm === "coordinator") {
+      setDistributedRun(
+        Distributed.runCoordinator(watchedStates(), currentSites(), settings)
+      );
+      return;
+    }
+    const waiting = waitingProcesses();
+    const initiator = waiting.includes(probeInitiator) ? probeInitiator : waiting[0];
+    if (!initiator) {
+      alert("No process is waiting, so there is nothing to send probes for.");
+      return;
     }
+    setDistributedRun(Distributed.runProbes(coreState(), currentSites(), initiator, settings));
+  }
 
-    const allFinished = finish.every(f => f);
-    return {
-      safe: allFinished,
-      sequence,
-      available: work,
-      message: allFinished
-        ? "System is in a SAFE state."
-        : "System is NOT in a safe state. No complete safe sequence exists."
-    };
+  function renderDistributed() {
+    const names = Distributed.siteNames(siteCount);
+    const sites = currentSites();
+    const placeSelect = id => (
+      <label key={id}>
+        {id}
+        <select value={sites[id]} onChange={e => handleMoveToSite(id, e.target.value)}>
+          {names.map(site => (
+            <option key={site} value={site}>
+              {site}
+            </option>
+          ))}
+        </select>
+      </label>
+    );
+    const waiting = waitingProcesses();
+    return (
+      <div>
+        <div className="row">
+          <label>
+            Sites
+            <input
+              type="number"
+              min="1"
+              max={Distributed.SITE_LIMIT}
+              value={siteCount}
+              onChange={e => {
+                setSiteCount(e.target.value);
+                setDistributedRun(null);
+              }}
+            />
+          </label>
+          {names.map(site => (
+            <label key={site}>
+              {site} latency
+              <input
+                type="number"
+                min="1"
+                value={siteLatency[site] || 1}
+                onChange={e => handleSetLatency(site, e.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+        <div className="row">
+          {processes.map(placeSelect)}
+          {resources.map(r => placeSelect(r.id))}
+        </div>
+
+        <h3>Local Wait-For Graphs</h3>
+        <div className="chart-grid">
+          {names.map(site => (
+            <LocalWaitFor
+              key={site}
+              graph={Distributed.localWaitFor(coreState(), sites, site)}
+            />
+          ))}
+        </div>
+
+        <h3>Detection</h3>
+        <div className="row">
+          <label>
+            Algorithm
+            <select
+              value={distributedAlgorithm}
+              onChange={e => setDistributedAlgorithm(e.target.value)}
+            >
+              <option value="coordinator">Centralized coordinator</option>
+              <option value="probes">Chandy–Misra–Haas probes</option>
+            </select>
+          </label>
+          {distributedAlgorithm === "probes" && (
+            <label>
+              Initiator
+              <select
+                value={waiting.includes(probeInitiator) ? probeInitiator : waiting[0] || ""}
+                onChange={e => setProbeInitiator(e.target.value)}
+              >
+                {waiting.length === 0 && <option value="">(nobody is waiting)</option>}
+                {waiting.map(pid => (
+                  <option key={pid} value={pid}>
+                    {pid}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+        <button className="btn-primary" type="button" onClick={handleRunDistributed}>
+          Run detection
+        </button>
+        {distributedRun && (
+          <DistributedRun
+            run={distributedRun}
+            sites={sites}
+            names={names}
+            processes={processes}
+          />
+        )}
+      </div>
+    );
   }
 
-  function handleCheckSafety() {
-    const result = bankerSafety();
-    setSafetyResult(result);
+  // ---- Scenario library ----
+  function selectedPreset() {
+    return Presets.presetById(presetId);
   }
 
-  // ---- UI helpers ----
-  function formatAssignments() {
-    if (assignmentEdges.length === 0) return "None";
-    return assignmentEdges.map(e => `${e.rid} → ${e.pid}`).join(", ");
+  function handleLoadPreset() {
+    const preset = selectedPreset();
+    const values = Object.assign(Presets.defaultValues(preset), presetValues);
+    const { name, state, steps, sites } = preset.load(values);
+    applyScenario(state);
+    if (sites) {
+      setSiteCount(sites.count);
+      setSiteMoves(sites.place);
+      setSiteLatency(sites.latency);
+    }
+    // the walkthroughs assume plain request handling
+    setAvoidanceMode("none");
+    setPreventionPolicy("none");
+    setScenarioName(name);
+    logOperation(`Loaded preset ${name}`);
+    setTour({ name, steps, index: 0 });
   }
 
-  function formatRequests() {
-    if (requestEdges.length === 0) return "None";
-    return requestEdges.map(e => `${e.pid} → ${e.rid}`).join(", ");
+  function tourStep() {
+    return tour ? tour.steps[tour.index] : null;
   }
 
-  function renderMaxMatrixSummary() {
-    if (processes.length === 0 || resources.length === 0) {
-      return <p className="help-text">No processes/resources yet.</p>;
-    }
-    return (
-      <div className="matrix">
-        {processes.map(pid => (
-          <div key={pid} className="matrix-row">
-            <strong>{pid}:</strong>{" "}
-            {resources.map(r => {
-              const v =
-                maxMatrix[pid] && typeof maxMatrix[pid][r.id] === "number"
-                  ? maxMatrix[pid][r.id]
-                  : "—";
-              return (
-                <span key={r.id} style={{ marginRight: "8px" }}>
-                  {r.id}={v}
-                </span>
-              );
-            })}
-          </div>
-        ))}
-      </div>
+  function tourStepDone(step) {
+    return Boolean(
+      step.done &&
+        step.done(coreState(), {
+          deadlockResult,
+          safetyResult,
+          avoidance: avoidanceMode,
+          prevention: preventionPolicy,
+          distributed: distributedRun
+        })
     );
   }
 
-  function renderAvailableSummary(avail) {
-    if (!avail || !resources.length) return null;
+  // " tour-target" on the control the current step asks for, until done
+  function tourClass(target) {
+    const step = tourStep();
+    return step && step.target === target && !tourStepDone(step) ? " tour-target" : "";
+  }
+
+  function goToTourStep(index) {
+    setTour(prev => Object.assign({}, prev, { index }));
+  }
+
+  // a step that names a process or resource pre-fills the request form
+  useEffect(() => {
+    const step = tourStep();
+    if (!step || !step.select) return;
+    const { pid, rid, units } = step.select;
+    if (pid) setSelectedProcess(pid);
+    if (rid) setSelectedResource(rid);
+    if (units) setUnitCount(units);
+  }, [tour]);
+
+  useEffect(() => {
+    const el = document.querySelector(".tour-target");
+    if (el && el.scrollIntoView) el.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  }, [tour]);
+
+  function renderTourBar() {
+    const step = tourStep();
+    if (!step) return null;
+    const done = tourStepDone(step);
+    const last = tour.index + 1 === tour.steps.length;
+    return (
+      <div className="tour-bar">
+        <p>
+          <strong>
+            {tour.name} · step {tour.index + 1} of {tour.steps.length}
+          </strong>
+          {done && <span className="tag safe-tag">done</span>}
+        </p>
+        <p>{step.text}</p>
+        {!done && TOUR_TARGETS[step.target] && (
+          <p className="help-text">Look for {TOUR_TARGETS[step.target]}, outlined in blue.</p>
+        )}
+        <button
+          className="btn-ghost"
+          type="button"
+          onClick={() => goToTourStep(tour.index - 1)}
+          disabled={tour.index === 0}
+        >
+          Back
+        </button>
+        {last ? (
+          <button className="btn-primary" type="button" onClick={() => setTour(null)}>
+            Finish walkthrough
+          </button>
+        ) : (
+          <button
+            className={done ? "btn-primary" : "btn-ghost"}
+            type="button"
+            onClick={() => goToTourStep(tour.index + 1)}
+          >
+            Next
+          </button>
+        )}
+        {!last && (
+          <button className="btn-ghost" type="button" onClick={() => setTour(null)}>
+            End
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  // ---- Deadlock detection ----
+  function handleCheckDeadlock() {
+    setDeadlockResult(Engine.detectDeadlock(coreState()));
+  }
+
+  // a new result (from here, recovery, the console or a simulation run)
+  // starts with its first cycle in focus
+  useEffect(() => {
+    setFocusedCycle(0);
+  }, [deadlockResult]);
+
+  function renderDeadlockSets(result) {
+    const groups = result.components;
+    return (
+      <div>
+        <p>
+          Deadlocked processes:&nbsp;
+          <strong>{result.deadlocked.join(", ")}</strong>
+        </p>
+        {result.blocked.length > 0 && (
+          <p className="blocked-note">
+            Blocked behind the deadlock:&nbsp;
+            <strong>{result.blocked.join(", ")}</strong>
+            <span className="help-text">
+              {" "}(not on a cycle, but waiting on a deadlocked process)
+            </span>
+          </p>
+        )}
+        {groups.length > 1 && (
+          <p>
+            {groups.length} independent deadlocks (strongly connected
+            components):&nbsp;
+            {groups.map((g, k) => (
+              <span key={k} className="tag deadlock-tag">
+                {g.join(", ")}
+              </span>
+            ))}
+          </p>
+        )}
+        <p className="help-text">
+          {result.cycles.length}
+          {result.cyclesTruncated ? "+" : ""} wait-for cycle(s)
+          {result.cyclesTruncated
+            ? `; only the first ${result.cycles.length} are listed`
+            : ""}
+          . Pick one to draw it in bold in the graph.
+        </p>
+        <ol className="cycle-list">
+          {result.cycles.map((cycle, k) => (
+            <li key={k}>
+              <button
+                type="button"
+                className={k === focusedCycle ? "btn-primary" : "btn-ghost"}
+                onClick={() => setFocusedCycle(k)}
+              >
+                {cycle.join(" → ")}
+              </button>
+            </li>
+          ))}
+        </ol>
+      </div>
+    );
+  }
+
+  // Allocation / Max / Need, Available and the safety result for notes
+  function handleExportTables(format) {
+    const name = (scenarioName.trim() || "banker") + "-matrices";
+    if (format === "latex") {
+      downloadFile(name + ".tex", Engine.formatLatexTables(coreState()), "application/x-tex");
+    } else {
+      downloadFile(name + ".md", Engine.formatMarkdownTables(coreState()), "text/markdown");
+    }
+  }
+
+  // ---- Deadlock recovery ----
+  function attrsOf(pid) {
+    return Engine.attrsOf(coreState(), pid);
+  }
+
+  function handleSetAttr(pid, field, value) {
+    const v = parseInt(value, 10);
+    logOperation(
+      `Set ${pid} ${field} = ${isNaN(v) ? 0 : v}`,
+      `attr:${pid}:${field}`
+    );
+    setProcessAttrs(prev =>
+      Object.assign({}, prev, {
+        [pid]: Object.assign({}, attrsOf(pid), {
+          [field]: isNaN(v) ? 0 : v
+        })
+      })
+    );
+  }
+
+  // Runs one recovery action ("abort-all", "abort-one", "preempt-one"), or
+  // repeats it until detection reports no deadlock when `untilResolved`.
+  function handleRecover(action, untilResolved) {
+    const result = Engine.recover(
+      coreState(),
+      action,
+      untilResolved,
+      engineOptions()
+    );
+    if (!result) {
+      setDeadlockResult(Engine.detectDeadlock(coreState()));
+      alert("No deadlock to recover from.");
+      return;
+    }
+
+    // a fresh recovery starts once the previous one has resolved its deadlock
+    const session =
+      recovery && !recovery.resolved
+        ? recovery
+        : { steps: [], victims: [], cost: 0, resolved: false };
+    applyState(result.state);
+    logOperation("Recovery: " + result.steps.map(st => st.text).join(" "));
+    setRecovery({
+      steps: session.steps.concat(result.steps),
+      victims: session.victims.concat(result.victims),
+      cost: session.cost + result.cost,
+      resolved: !result.detection.hasDeadlock
+    });
+    setDeadlockResult(result.detection);
+    setSafetyResult(null);
+    setRequestNote(null);
+  }
+
+  // ---- Banker safety algorithm ----
+  function handleCheckSafety() {
+    const result = Engine.bankerSafety(coreState(), { trace: !large });
+    if (listAllSequences && result.safe && result.matrices) {
+      result.allSequences = Engine.enumerateSafeSequences(
+        coreState(),
+        result.matrices,
+        SEQUENCE_LIST_LIMIT
+      );
+    }
+    setSafetyResult(result);
+  }
+
+  function handleValidateSequence(e) {
+    e.preventDefault();
+    setCandidateToCheck(candidateText.trim());
+  }
+
+  // ---- Command console ----
+  // Runs one parsed command through the same operations the forms use and
+  // returns its output line. Errors stop the rest of the script.
+  function runCommand(command) {
+    switch (command.type) {
+      case "process": {
+        const error = addProcesses(command.ids);
+        return error
+          ? { kind: "error", text: error }
+          : { kind: "ok", text: "Added " + command.ids.join(", ") + "." };
+      }
+      case "resource": {
+        const error = addResource(command.rid, command.instances);
+        return error
+          ? { kind: "error", text: error }
+          : {
+              kind: "ok",
+              text: `Added ${command.rid} with ${command.instances} instance(s).`
+            };
+      }
+      case "request": {
+        const note = requestResource(command.pid, command.rid, command.units);
+        return { kind: note.kind === "error" ? "error" : "ok", text: note.text };
+      }
+      case "release": {
+        const note = releaseResource(command.pid, command.rid, command.units);
+        return { kind: note.kind === "error" ? "error" : "ok", text: note.text };
+      }
+      case "max": {
+        const error = setMax(command.pid, command.rid, command.value);
+        return error
+          ? { kind: "error", text: error }
+          : {
+              kind: "ok",
+              text: `Max ${command.pid}/${command.rid} = ${command.value}.`
+            };
+      }
+      case "detect": {
+        const result = Engine.detectDeadlock(coreState());
+        setDeadlockResult(result);
+        return { kind: "result", text: Engine.describeDetection(result) };
+      }
+      default: {
+        const result = Engine.bankerSafety(coreState(), { trace: !large });
+        setSafetyResult(result);
+        return { kind: "result", text: Engine.describeSafety(result) };
+      }
+    }
+  }
+
+  // One command per render, so each sees the state the previous one left.
+  useEffect(() => {
+    if (scriptQueue.length === 0) return;
+    const [next, ...rest] = scriptQueue;
+    const out = runCommand(next.command);
+    setConsoleOutput(prev =>
+      prev.concat([
+        { kind: "echo", text: `${next.lineNo}> ${next.source}` },
+        {
+          kind: out.kind,
+          text: out.kind === "error" ? `line ${next.lineNo}: ${out.text}` : out.text
+        }
+      ])
+    );
+    setScriptQueue(out.kind === "error" ? [] : rest);
+  }, [scriptQueue]);
+
+  function handleRunScript(e) {
+    e.preventDefault();
+    const errors = [];
+    const commands = [];
+    consoleScript.split("\n").forEach((source, k) => {
+      const parsed = parseCommand(source);
+      if (!parsed) return;
+      if (parsed.error) {
+        errors.push({ kind: "error", text: `line ${k + 1}: ${parsed.error}` });
+      } else {
+        commands.push({ lineNo: k + 1, source: source.trim(), command: parsed });
+      }
+    });
+    if (errors.length > 0) {
+      setConsoleOutput(prev =>
+        prev.concat(errors, [{ kind: "error", text: "Nothing was run." }])
+      );
+      return;
+    }
+    setScriptQueue(commands);
+  }
+
+  function handleScriptKeyDown(e) {
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) handleRunScript(e);
+  }
+
+  // ---- Tick-based simulation ----
+  function handleLoadWorkloads(e) {
+    e.preventDefault();
+    const parsed = parseWorkloads(workloadText, processes, resources);
+    setWorkloadErrors(parsed.errors);
+    if (parsed.errors.length > 0) return;
+    setWorkloads(parsed.workloads);
+    resetSimulation(parsed.workloads);
+  }
+
+  function handleGenerateWorkloads() {
+    if (processes.length === 0 || resources.length === 0) {
+      alert("Add processes and resources first.");
+      return;
+    }
+    const seed = parseInt(workloadSeed, 10) || 1;
+    setWorkloadText(generateWorkloadText(processes, resources, seed));
+    setWorkloadErrors([]);
+  }
+
+  function resetSimulation(loaded = workloads) {
+    const procs = {};
+    processes.forEach(pid => {
+      procs[pid] = {
+        pc: 0,
+        holdLeft: 0,
+        status: loaded[pid] ? "ready" : "finished"
+      };
+    });
+    setSim({
+      clock: 0,
+      cursor: null,
+      playing: false,
+      procs,
+      log: [{ tick: 0, text: "Simulation loaded." }],
+      deadlockAt: null
+    });
+  }
+
+  function simulationOver(s) {
+    return s.deadlockAt !== null || Object.keys(s.procs).every(
+      pid => s.procs[pid].status === "finished"
+    );
+  }
+
+  function startTick() {
+    setSim(prev =>
+      prev && prev.cursor === null ? Object.assign({}, prev, { cursor: 0 }) : prev
+    );
+  }
+
+  // Moves one process forward by one tick. Returns true when it issued a
+  // request, release or finish, which must be rendered before the next one.
+  function advanceProcess(pid, procs, log, tick) {
+    const p = procs[pid];
+    if (!p || p.status === "finished") return false;
+    const steps = workloads[pid] || [];
+
+    if (p.status === "waiting") {
+      if (Engine.unitsOn(requestEdges, pid, steps[p.pc].rid) > 0) return false;
+      procs[pid] = Object.assign({}, p, { status: "ready", pc: p.pc + 1 });
+      log.push({ tick, text: `${pid} got ${steps[p.pc].rid} and continues.` });
+      return false;
+    }
+    if (p.status === "holding") {
+      procs[pid] =
+        p.holdLeft > 1
+          ? Object.assign({}, p, { holdLeft: p.holdLeft - 1 })
+          : Object.assign({}, p, {
+              status: "ready",
+              holdLeft: 0,
+              pc: p.pc + 1
+            });
+      return false;
+    }
+
+    if (p.pc >= steps.length) {
+      const note = finishProcess(pid);
+      procs[pid] = Object.assign({}, p, { status: "finished" });
+      log.push({ tick, text: note.text });
+      return true;
+    }
+
+    const step = steps[p.pc];
+    if (step.type === "hold") {
+      procs[pid] =
+        step.ticks > 1
+          ? Object.assign({}, p, {
+              status: "holding",
+              holdLeft: step.ticks - 1
+            })
+          : Object.assign({}, p, { pc: p.pc + 1 });
+      return false;
+    }
+
+    const note =
+      step.type === "request"
+        ? requestResource(pid, step.rid, step.units)
+        : releaseResource(pid, step.rid, step.units);
+    log.push({ tick, text: note.text });
+    if (note.kind === "error" || note.kind === "refused") {
+      // the step cannot ever succeed; skip it rather than stall the process
+      procs[pid] = Object.assign({}, p, { pc: p.pc + 1 });
+      return false;
+    }
+    procs[pid] = Object.assign({}, p, {
+      status: note.kind === "waiting" ? "waiting" : "ready",
+      pc: note.kind === "waiting" ? p.pc : p.pc + 1
+    });
+    return true;
+  }
+
+  // Runs the current tick one process at a time; each state-changing step is
+  // rendered before the next process acts, exactly like the console.
+  useEffect(() => {
+    if (!sim || sim.cursor === null) return;
+    const procs = Object.assign({}, sim.procs);
+    const log = [];
+    const tick = sim.clock + 1;
+    let cursor = sim.cursor;
+    let issued = false;
+    while (cursor < processes.length && !issued) {
+      issued = advanceProcess(processes[cursor], procs, log, tick);
+      cursor++;
+    }
+
+    const next = Object.assign({}, sim, {
+      procs,
+      cursor,
+      log: sim.log.concat(log)
+    });
+    if (!issued && cursor >= processes.length) {
+      // end of tick: every k ticks, look for a deadlock
+      next.clock = tick;
+      next.cursor = null;
+      const k = Math.max(1, parseInt(detectEvery, 10) || 1);
+      if (tick % k === 0) {
+        const result = Engine.detectDeadlock(coreState());
+        if (result.hasDeadlock) {
+          setDeadlockResult(result);
+          next.deadlockAt = tick;
+          next.playing = false;
+          next.log = next.log.concat([
+            {
+              tick,
+              kind: "deadlock",
+              text: "Deadlock detected: " + Engine.describeDetection(result)
+            }
+          ]);
+        }
+      }
+      if (Object.keys(procs).every(pid => procs[pid].status === "finished")) {
+        next.playing = false;
+        next.log = next.log.concat([{ tick, text: "All processes finished." }]);
+      }
+    }
+    setSim(next);
+  }, [sim]);
+
+  useEffect(() => {
+    if (!sim || !sim.playing || sim.cursor !== null) return undefined;
+    const timer = setTimeout(startTick, tickDelay);
+    return () => clearTimeout(timer);
+  }, [sim, tickDelay]);
+
+  function handlePlaySimulation() {
+    if (!sim || simulationOver(sim)) return;
+    setSim(Object.assign({}, sim, { playing: !sim.playing }));
+  }
+
+  // Runs the workloads in the editor headless under every strategy, from the
+  // current state and with the same seed.
+  function handleCompareStrategies() {
+    const parsed = parseWorkloads(workloadText, processes, resources);
+    setWorkloadErrors(parsed.errors);
+    if (parsed.errors.length > 0) return;
+    if (Object.keys(parsed.workloads).length === 0) {
+      alert("Write or generate workloads first.");
+      return;
+    }
+    setComparison(
+      Compare.compareStrategies(coreState(), parsed.workloads, {
+        detectEvery: Math.max(1, parseInt(detectEvery, 10) || 1),
+        seed: parseInt(workloadSeed, 10) || 1,
+        queuePolicy,
+        agingBoost,
+        victimPolicy
+      })
+    );
+  }
+
+  function describeSimProgress(pid) {
+    const total = (workloads[pid] || []).length;
+    if (!sim.procs[pid]) return "—";
+    return Math.min(sim.procs[pid].pc + 1, total) + " / " + total;
+  }
+
+  function describeSimStatus(pid) {
+    const p = sim.procs[pid];
+    if (!p) return "not in simulation";
+    const steps = workloads[pid] || [];
+    if (p.status === "finished") return "finished";
+    if (p.pc >= steps.length) return "about to finish";
+    const step = formatWorkloadStep(steps[p.pc]);
+    if (p.status === "holding") return `${step} (${p.holdLeft} tick(s) left)`;
+    if (p.status === "waiting") return `blocked on ${step}`;
+    return "next: " + step;
+  }
+
+  // ---- Scenarios: export / import / autosave / share ----
+  function buildScenario(name) {
+    return Engine.toScenario(coreState(), name);
+  }
+
+  // `scenario` must already have passed validateScenario
+  function applyScenario(scenario) {
+    applyState(scenario);
+    discardMatrixDrafts();
+    setSelectedProcess(scenario.processes[0] || "");
+    setSelectedResource(scenario.resources[0] ? scenario.resources[0].id : "");
+    setDeadlockResult(null);
+    setSafetyResult(null);
+    setRequestNote(null);
+    setRecovery(null);
+    setComparison(null);
+    setSiteMoves({});
+    setDistributedRun(null);
+  }
+
+  // returns true when the document was valid and has been loaded
+  function loadScenarioDocument(doc, source) {
+    const { errors, scenario } = Engine.validateScenario(doc);
+    setScenarioErrors(errors);
+    if (errors.length > 0) {
+      setScenarioNote(`Could not load ${source}:`);
+      return false;
+    }
+    applyScenario(scenario);
+    logOperation(`Loaded ${scenario.name || "scenario"} from ${source}`);
+    const label = scenario.name ? "“" + scenario.name + "”" : "scenario";
+    setScenarioNote(`Loaded ${label} from ${source}.`);
+    return true;
+  }
+
+  // restore from the share link first, else from the last autosave
+  useEffect(() => {
+    const match = window.location.hash.match(/^#scenario=(.+)$/);
+    if (match) {
+      try {
+        loadScenarioDocument(decodeScenario(match[1]), "the share link");
+      } catch (err) {
+        setScenarioErrors([err.message]);
+        setScenarioNote("Could not read the share link:");
+      }
+      // later edits are autosaved; don't reload the link over them on refresh
+      window.history.replaceState(
+        null,
+        "",
+        window.location.pathname + window.location.search
+      );
+    } else {
+      try {
+        const raw = window.localStorage.getItem(AUTOSAVE_KEY);
+        if (raw) loadScenarioDocument(JSON.parse(raw), "the autosave");
+      } catch (err) {
+        // a broken autosave is not worth reporting; start empty
+      }
+    }
+    restored.current = true;
+  }, []);
+
+  useEffect(() => {
+    if (!restored.current) return;
+    try {
+      window.localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(buildScenario()));
+    } catch (err) {
+      // storage full or disabled: autosave is best-effort
+    }
+  }, [processes, resources, assignmentEdges, requestEdges, maxMatrix, processAttrs]);
+
+  function handleExportScenario() {
+    const name = scenarioName.trim() || "scenario";
+    const json = JSON.stringify(buildScenario(name), null, 2);
+    const file = downloadFile(name + ".json", json, "application/json");
+    setScenarioNote("Exported " + file + ".");
+    setScenarioErrors([]);
+  }
+
+  function handleImportScenario(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let doc;
+      try {
+        doc = JSON.parse(reader.result);
+      } catch (err) {
+        setScenarioErrors(["Not valid JSON: " + err.message]);
+        setScenarioNote(`Could not load ${file.name}:`);
+        return;
+      }
+      loadScenarioDocument(doc, file.name);
+    };
+    reader.readAsText(file);
+  }
+
+  function handleSaveNamed(e) {
+    e.preventDefault();
+    const name = scenarioName.trim();
+    if (!name) {
+      alert("Give the scenario a name first.");
+      return;
+    }
+    const next = Object.assign({}, savedScenarios, { [name]: buildScenario(name) });
+    writeSavedScenarios(next);
+    setSavedScenarios(next);
+    setScenarioNote(`Saved “${name}”.`);
+    setScenarioErrors([]);
+  }
+
+  function handleDeleteNamed(name) {
+    const next = Object.assign({}, savedScenarios);
+    delete next[name];
+    writeSavedScenarios(next);
+    setSavedScenarios(next);
+    setScenarioNote(`Deleted “${name}”.`);
+  }
+
+  function handleShareLink() {
+    const link =
+      window.location.href.split("#")[0] +
+      "#scenario=" +
+      encodeScenario(buildScenario(scenarioName.trim()));
+    setShareLink(link);
+    setScenarioErrors([]);
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(link).then(
+        () => setScenarioNote("Share link copied to the clipboard."),
+        () => setScenarioNote("Copy the share link below.")
+      );
+    } else {
+      setScenarioNote("Copy the share link below.");
+    }
+  }
+
+  // ---- UI helpers ----
+  function renderItemList(kind, ids) {
+    if (ids.length === 0) return <p className="help-text">Existing: none</p>;
+    const hidden = ids.length - DRAW_LIMIT;
+    return (
+      <ul className="item-list">
+        {ids.slice(0, DRAW_LIMIT).map(id =>
+          editing && editing.kind === kind && editing.id === id ? (
+            <li key={id}>
+              <form onSubmit={handleSaveEdit}>
+                <label>
+                  ID
+                  <input
+                    type="text"
+                    value={editing.newId}
+                    onChange={e => updateEditing("newId", e.target.value)}
+                  />
+                </label>
+                {kind === "resource" && (
+                  <label>
+                    Instances
+                    <input
+                      type="number"
+                      min="1"
+                      value={editing.instances}
+                      onChange={e => updateEditing("instances", e.target.value)}
+                    />
+                  </label>
+                )}
+                {kind === "resource" && (
+                  <label>
+                    Below allocation
+                    <select
+                      value={editing.onShortage}
+                      onChange={e => updateEditing("onShortage", e.target.value)}
+                    >
+                      <option value="refuse">Refuse</option>
+                      <option value="preempt">Preempt from holders</option>
+                    </select>
+                  </label>
+                )}
+                <button className="btn-primary" type="submit">Save</button>
+                <button className="btn-ghost" type="button" onClick={() => setEditing(null)}>
+                  Cancel
+                </button>
+              </form>
+            </li>
+          ) : (
+            <li key={id}>
+              <span>
+                {kind === "resource"
+                  ? `${id} (${resources.find(r => r.id === id).instances})`
+                  : id}
+              </span>
+              <button className="btn-ghost" type="button" onClick={() => startEdit(kind, id)}>
+                Edit
+              </button>
+              <button className="btn-ghost" type="button" onClick={() => handleDelete(kind, id)}>
+                Delete
+              </button>
+            </li>
+          )
+        )}
+        {hidden > 0 && <li className="help-text">… and {hidden} more</li>}
+      </ul>
+    );
+  }
+
+  function formatAssignments() {
+    if (assignmentEdges.length === 0) return "None";
+    return assignmentEdges.map(e => `${e.rid} → ${e.pid} ×${e.units}`).join(", ");
+  }
+
+  function formatRequests() {
+    if (requestEdges.length === 0) return "None";
+    return requestEdges
+      .map(
+        e =>
+          `${e.pid} → ${e.rid} ×${e.units}` +
+          (e.passedOver ? ` (passed over ${e.passedOver}×)` : "") +
+          (isStarving(e) ? " STARVING" : "")
+      )
+      .join(", ");
+  }
+
+  function renderCandidateCheck(check) {
+    return (
+      <div>
+        {check.steps.length > 0 && (
+          <ol className="sequence-list">
+            {check.steps.map((st, k) => (
+              <li key={k} className={st.ok ? "ok" : "bad"}>
+                {st.pid}: Need {formatVector(st.need)}{" "}
+                {st.ok ? "≤" : "≰"} Work {formatVector(st.work)}
+                {st.ok ? " ✓" : " ✗"}
+              </li>
+            ))}
+          </ol>
+        )}
+        {check.valid ? (
+          <p className="safe">✓ {candidateToCheck} is a safe sequence.</p>
+        ) : (
+          <p className="deadlock">● {check.error}</p>
+        )}
+      </div>
+    );
+  }
+
+  function renderAvailableSummary(avail) {
+    if (!avail || !resources.length) return null;
     return (
       <p className="help-text">
         Work/Available after test:&nbsp;
@@ -424,11 +1706,14 @@ function DeadlockSimulator() {
     );
   }
 
+  const starving = starvingProcesses();
+
   // ---- JSX ----
   return (
     <div className="grid">
       {/* Left column: controls */}
       <div>
+        {renderTourBar()}
         <div className="card">
           <h2>1. Create Processes & Resources</h2>
 
@@ -447,9 +1732,7 @@ function DeadlockSimulator() {
                 </label>
                 <button className="btn-primary" type="submit">Add Process</button>
               </form>
-              <p className="help-text">
-                Existing: {processes.length === 0 ? "none" : processes.join(", ")}
-              </p>
+              {renderItemList("process", processes)}
             </div>
 
             <div>
@@ -475,20 +1758,22 @@ function DeadlockSimulator() {
                 </label>
                 <button className="btn-primary" type="submit">Add Resource</button>
               </form>
-              <p className="help-text">
-                Existing:{" "}
-                {resources.length === 0
-                  ? "none"
-                  : resources.map(r => `${r.id}(${r.instances})`).join(", ")}
-              </p>
+              {renderItemList("resource", resources.map(r => r.id))}
             </div>
           </div>
+          <p className="help-text">
+            Deleting a process releases what it holds to the waiters; deleting
+            a resource removes its edges and Max entries. Both can be undone
+            from the timeline.
+          </p>
+          {editNote && <p className="note">{editNote}</p>}
         </div>
 
         <div className="card">
           <h2>2. Request / Release Resources</h2>
           <p className="help-text">
-            Choose a process and resource, then click Request or Release.
+            Choose a process, a resource and a number of units, then click
+            Request or Release. Units that are not free yet are left waiting.
           </p>
 
           <label>
@@ -519,26 +1804,196 @@ function DeadlockSimulator() {
             </select>
           </label>
 
+          <label>
+            Units
+            <input
+              type="number"
+              min="1"
+              value={unitCount}
+              onChange={e => setUnitCount(e.target.value)}
+            />
+          </label>
+
           <div>
-            <button className="btn-primary" type="button" onClick={handleRequest}>
+            <button
+              className={"btn-primary" + tourClass("request")}
+              type="button"
+              onClick={handleRequest}
+            >
               Request
             </button>
-            <button className="btn-ghost" type="button" onClick={handleRelease}>
+            <button
+              className={"btn-ghost" + tourClass("release")}
+              type="button"
+              onClick={handleRelease}
+            >
               Release
             </button>
+            <button
+              className={"btn-ghost" + tourClass("finish")}
+              type="button"
+              onClick={handleFinish}
+            >
+              Process finishes
+            </button>
+            <button className="btn-ghost" type="button" onClick={handleDeclareClaim}>
+              Declare claim
+            </button>
+          </div>
+          <p className="help-text">
+            "Process finishes" releases everything the selected process holds,
+            hands it to the waiters and drops its pending requests. "Declare
+            claim" raises the process's Max for the resource by one, adding a
+            dashed claim edge to the graph.
+          </p>
+
+          <label className={tourClass("avoidance").trim()}>
+            Deadlock avoidance
+            <select
+              value={avoidanceMode}
+              onChange={e => {
+                setAvoidanceMode(e.target.value);
+                setRequestNote(null);
+              }}
+            >
+              <option value="none">None</option>
+              <option value="banker">
+                Banker's algorithm (grant only if the state stays safe)
+              </option>
+              <option value="claim-graph">
+                Claim graph (grant only if no cycle forms)
+              </option>
+            </select>
+          </label>
+          {avoidanceMode !== "none" && (
+            <p className="help-text">{AVOIDANCE_HELP[avoidanceMode]}</p>
+          )}
+
+          <label className={tourClass("prevention").trim()}>
+            Deadlock prevention
+            <select
+              value={preventionPolicy}
+              onChange={e => {
+                setPreventionPolicy(e.target.value);
+                setRequestNote(null);
+              }}
+            >
+              <option value="none">None</option>
+              <option value="resource-ordering">
+                Global resource ordering (no circular wait)
+              </option>
+              <option value="hold-and-wait">
+                Request everything at once (no hold and wait)
+              </option>
+              <option value="no-preemption">
+                Release all when blocked (no preemption relaxed)
+              </option>
+            </select>
+          </label>
+          <p className="help-text">
+            {PREVENTION_HELP[preventionPolicy]}
+            {preventionPolicy === "resource-ordering" && resources.length > 0 &&
+              " Order: " + resources.map(r => r.id).join(" < ") + "."}
+          </p>
+
+          {requestNote && (
+            <p className={"note " + requestNote.kind}>{requestNote.text}</p>
+          )}
+
+          <h3>Wait Queues</h3>
+          <div className="row">
+            <label>
+              Queue policy
+              <select
+                value={queuePolicy}
+                onChange={e => setQueuePolicy(e.target.value)}
+              >
+                <option value="fifo">FIFO (arrival order)</option>
+                <option value="priority">Priority (with aging)</option>
+                <option value="smallest-need">Smallest remaining request</option>
+                <option value="random">Random</option>
+              </select>
+            </label>
+            <label>
+              Aging boost per pass-over
+              <input
+                type="number"
+                min="0"
+                value={agingBoost}
+                onChange={e => handleSetQueueNumber(setAgingBoost, e.target.value, 0)}
+              />
+            </label>
+            <label>
+              Starving after N pass-overs
+              <input
+                type="number"
+                min="1"
+                value={starvationLimit}
+                onChange={e =>
+                  handleSetQueueNumber(setStarvationLimit, e.target.value, 1)
+                }
+              />
+            </label>
           </div>
+          <p className="help-text">
+            Freed units go to the waiters of that resource in the order shown.
+            Priorities are set in the Deadlock Recovery table; with aging, a
+            waiter gains the boost each time a later arrival is served first.
+          </p>
+          {requestEdges.length === 0 ? (
+            <p className="help-text">No process is waiting.</p>
+          ) : large ? (
+            <p className="help-text">
+              {requestEdges.length} waiting request(s) on{" "}
+              {new Set(requestEdges.map(e => e.rid)).size} resource(s); too
+              many to list.
+            </p>
+          ) : (
+            <ul className="queue-list">
+              {resources
+                .filter(r => requestEdges.some(e => e.rid === r.id))
+                .map(r => (
+                  <li key={r.id}>
+                    <strong>{r.id}:</strong>{" "}
+                    {waitQueue(r.id).map((e, k) => (
+                      <span key={e.pid} className={isStarving(e) ? "starving" : ""}>
+                        {k > 0 && " → "}
+                        {describeWaiter(e)}
+                      </span>
+                    ))}
+                    {queuePolicy === "random" && (
+                      <span className="help-text"> (served in random order)</span>
+                    )}
+                  </li>
+                ))}
+            </ul>
+          )}
+          {starving.length > 0 && (
+            <p className="note refused">
+              Starvation:{" "}
+              {large ? `${starving.length} process(es)` : starving.join(", ")}{" "}
+              passed over more than {starvationLimit} times.
+            </p>
+          )}
 
           <h3>Current Edges</h3>
-          <div className="edges-list">
-            <div>
-              <strong>Assignments (R → P):</strong><br />
-              <span>{formatAssignments()}</span>
+          {large ? (
+            <p className="help-text">
+              {assignmentEdges.length} assignment and {requestEdges.length}{" "}
+              request edges; too many to list.
+            </p>
+          ) : (
+            <div className="edges-list">
+              <div>
+                <strong>Assignments (R → P):</strong><br />
+                <span>{formatAssignments()}</span>
+              </div>
+              <div style={{ marginTop: "6px" }}>
+                <strong>Requests (P → R):</strong><br />
+                <span>{formatRequests()}</span>
+              </div>
             </div>
-            <div style={{ marginTop: "6px" }}>
-              <strong>Requests (P → R):</strong><br />
-              <span>{formatRequests()}</span>
-            </div>
-          </div>
+          )}
 
           <h3 style={{ marginTop: "12px" }}>Optional: Max Demand (Banker)</h3>
           <p className="help-text">
@@ -562,18 +2017,32 @@ function DeadlockSimulator() {
         </div>
 
         <div className="card">
-          <h2>3. Deadlock Detection (Wait-For Graph)</h2>
+          <h2>3. Deadlock Detection</h2>
           <p className="help-text">
-            We build a Wait-For Graph. If there is a cycle, the system is deadlocked.
+            With single-instance resources we build a Wait-For Graph: a cycle
+            means deadlock. If any resource has several instances, the
+            detection algorithm (Available / Allocation / Request) runs instead.
+            Incremental checking only follows the wait-for edges out of the
+            process that just had to wait, which is enough to catch the
+            deadlock that request created.
           </p>
           <button
-            className="btn-primary"
+            className={"btn-primary" + tourClass("check-deadlock")}
             type="button"
             onClick={handleCheckDeadlock}
             disabled={processes.length === 0}
           >
             Check Deadlock
           </button>
+          <label className="checkbox">
+            <input
+              type="checkbox"
+              checked={incrementalDetection}
+              onChange={e => setIncrementalDetection(e.target.checked)}
+            />
+            Check after every request (incremental)
+          </label>
+          {incrementalNote && <p className="help-text">{incrementalNote}</p>}
 
           {deadlockResult && (
             <div style={{ marginTop: "10px" }}>
@@ -581,18 +2050,37 @@ function DeadlockSimulator() {
                 <div>
                   <p className="deadlock">
                     ● Deadlock detected!
-                    <span className="tag">Cycle in WFG</span>
-                  </p>
-                  <p>
-                    Cycle:&nbsp;
-                    {deadlockResult.cycle.join(" → ")}
+                    <span className="tag">
+                      {deadlockResult.algorithm === "matrix"
+                        ? "Detection algorithm"
+                        : "Cycle in WFG"}
+                    </span>
                   </p>
+                  {renderDeadlockSets(deadlockResult)}
                 </div>
               ) : (
                 <p className="safe">
                   ✓ No deadlock. System is deadlock-free.
+                  <span className="tag">
+                    {deadlockResult.algorithm === "matrix"
+                      ? "Detection algorithm"
+                      : "Wait-For Graph"}
+                  </span>
                 </p>
               )}
+              {deadlockResult.algorithm === "matrix" &&
+                deadlockResult.sequence.length > 0 && (
+                  <p className="help-text">
+                    Processes that can finish (in order):&nbsp;
+                    {deadlockResult.sequence.join(" → ")}
+                  </p>
+                )}
+              <p className="help-text">
+                {deadlockResult.algorithm === "matrix"
+                  ? "Ran the matrix detection algorithm. "
+                  : "Ran cycle detection on the Wait-For Graph. "}
+                {deadlockResult.reason}
+              </p>
             </div>
           )}
         </div>
@@ -601,16 +2089,45 @@ function DeadlockSimulator() {
           <h2>4. Safety Check (Banker’s Algorithm)</h2>
           <p className="help-text">
             Uses Available, Allocation and Max to find a safe sequence. If all
-            processes can finish in some order, the state is SAFE.
+            processes can finish in some order, the state is SAFE. Export
+            Markdown / LaTeX saves the tables and the result for lecture notes.
           </p>
           <button
-            className="btn-primary"
+            className={"btn-primary" + tourClass("check-safety")}
             type="button"
             onClick={handleCheckSafety}
             disabled={processes.length === 0 || resources.length === 0}
           >
             Check Safety (Banker)
           </button>
+          <button
+            className="btn-ghost"
+            type="button"
+            onClick={() => handleExportTables("markdown")}
+            disabled={processes.length === 0 || resources.length === 0}
+          >
+            Export Markdown
+          </button>
+          <button
+            className="btn-ghost"
+            type="button"
+            onClick={() => handleExportTables("latex")}
+            disabled={processes.length === 0 || resources.length === 0}
+          >
+            Export LaTeX
+          </button>
+
+          <label className="checkbox">
+            <input
+              type="checkbox"
+              checked={listAllSequences}
+              onChange={e => {
+                setListAllSequences(e.target.checked);
+                setSafetyResult(null);
+              }}
+            />
+            List every safe sequence, not just the first one found
+          </label>
 
           {safetyResult && (
             <div style={{ marginTop: "10px" }}>
@@ -626,6 +2143,23 @@ function DeadlockSimulator() {
                       {safetyResult.sequence.join(" → ")}
                     </p>
                   )}
+                  {safetyResult.allSequences && (
+                    <div>
+                      <p className="help-text">
+                        {safetyResult.allSequences.exceeded && "More than "}
+                        {safetyResult.allSequences.total} safe sequence(s) in
+                        total
+                        {safetyResult.allSequences.truncated &&
+                          `, showing the first ${safetyResult.allSequences.sequences.length}`}
+                        .
+                      </p>
+                      <ol className="sequence-list">
+                        {safetyResult.allSequences.sequences.map(seq => (
+                          <li key={seq.join()}>{seq.join(" → ")}</li>
+                        ))}
+                      </ol>
+                    </div>
+                  )}
                 </div>
               ) : (
                 <div>
@@ -637,98 +2171,2988 @@ function DeadlockSimulator() {
                 </div>
               )}
               {renderAvailableSummary(safetyResult.available)}
+
+              {safetyResult.matrices && (
+                <div>
+                  <h3>Matrices Before the Run</h3>
+                  <BankerMatrices
+                    processes={processes}
+                    resources={resources}
+                    matrices={safetyResult.matrices}
+                  />
+                  <h3>Step-by-Step Trace</h3>
+                  <SafetyTrace
+                    key={safetyResult.trace.length + safetyResult.sequence.join()}
+                    result={safetyResult}
+                    resources={resources}
+                  />
+                </div>
+              )}
             </div>
           )}
 
-          <h3>Current Max Matrix</h3>
-          {renderMaxMatrixSummary()}
+          <h3>Check Your Own Sequence</h3>
+          <form onSubmit={handleValidateSequence}>
+            <label>
+              Candidate sequence (e.g. P1, P3, P4, P0, P2)
+              <input
+                type="text"
+                value={candidateText}
+                onChange={e => setCandidateText(e.target.value)}
+                placeholder="P1, P3, P4, P0, P2"
+              />
+            </label>
+            <button
+              className="btn-ghost"
+              type="submit"
+              disabled={processes.length === 0 || resources.length === 0}
+            >
+              Validate
+            </button>
+          </form>
+          {candidateToCheck && renderCandidateCheck(
+            Engine.validateSequence(coreState(), candidateToCheck)
+          )}
+
+          <h3>Matrices</h3>
+          <p className="help-text">
+            Edit Allocation, Max and Request directly; the edges and the graph
+            follow. Need and Available are computed. Paste a block copied from
+            a spreadsheet, CSV or textbook table into any cell to fill from
+            there. An empty Max cell means Max = Allocation.
+          </p>
+          {processes.length === 0 || resources.length === 0 ? (
+            <p className="help-text">No processes/resources yet.</p>
+          ) : large ? (
+            <p className="help-text">Too large to draw; see card 10.</p>
+          ) : (
+            <MatrixGrid
+              processes={processes}
+              resources={resources}
+              view={Engine.matrixView(coreState())}
+              drafts={matrixDrafts}
+              onEdit={handleMatrixEdit}
+              onPasteBlock={handleMatrixPaste}
+            />
+          )}
+          {matrixError && (
+            <p className="note refused">
+              {matrixError}{" "}
+              {Object.keys(matrixDrafts).length > 0 && (
+                <button className="btn-ghost" type="button" onClick={discardMatrixDrafts}>
+                  Discard rejected edits
+                </button>
+              )}
+            </p>
+          )}
         </div>
-      </div>
 
-      {/* Right column: visual + explanation */}
-      <div>
         <div className="card">
-          <h2>Resource Allocation “Graph” View</h2>
+          <h2>5. Deadlock Recovery</h2>
           <p className="help-text">
-            Top row = processes, bottom row = resources. Edges are shown as text.
+            Break a detected deadlock by terminating processes or preempting
+            their resources. Freed units go to waiting processes just like a
+            normal release, then detection runs again.
           </p>
 
-          <h3>Processes</h3>
-          <div className="nodes-row">
-            {processes.length === 0 && (
-              <span className="help-text">No processes yet.</span>
-            )}
-            {processes.map(pid => (
-              <span key={pid} className="node process">
-                {pid}
-              </span>
-            ))}
-          </div>
+          <label>
+            Victim selection policy
+            <select
+              value={victimPolicy}
+              onChange={e => setVictimPolicy(e.target.value)}
+            >
+              <option value="fewest-held">Fewest resource units held</option>
+              <option value="lowest-priority">Lowest priority</option>
+              <option value="youngest">Youngest (most recently created)</option>
+              <option value="least-work">Least work done</option>
+              <option value="lowest-cost">Lowest cost</option>
+            </select>
+          </label>
 
-          <h3>Resources</h3>
-          <div className="nodes-row">
-            {resources.length === 0 && (
-              <span className="help-text">No resources yet.</span>
-            )}
-            {resources.map(r => (
-              <span key={r.id} className="node resource">
-                {r.id}{" "}
-                <small>
-                  {allocatedInstances(r.id)}/{r.instances} used
-                </small>
-              </span>
-            ))}
+          {processes.length > 0 && !large && (
+            <div className="table-wrap">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Process</th>
+                    <th>Priority</th>
+                    <th>Work done</th>
+                    <th>Cost</th>
+                    <th>Units held</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {processes.map(pid => (
+                    <tr key={pid}>
+                      <th>{pid}</th>
+                      {["priority", "workDone", "cost"].map(field => (
+                        <td key={field}>
+                          <input
+                            type="number"
+                            className="cell-input"
+                            value={attrsOf(pid)[field]}
+                            onChange={e => handleSetAttr(pid, field, e.target.value)}
+                          />
+                        </td>
+                      ))}
+                      <td>{Engine.heldUnits(assignmentEdges, pid)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className={tourClass("recovery").trim()}>
+            <button
+              className="btn-primary"
+              type="button"
+              onClick={() => handleRecover("abort-all", false)}
+              disabled={processes.length === 0}
+            >
+              Abort all deadlocked
+            </button>
+            <button
+              className="btn-ghost"
+              type="button"
+              onClick={() => handleRecover("abort-one", false)}
+              disabled={processes.length === 0}
+            >
+              Abort one victim
+            </button>
+            <button
+              className="btn-ghost"
+              type="button"
+              onClick={() => handleRecover("abort-one", true)}
+              disabled={processes.length === 0}
+            >
+              Abort until resolved
+            </button>
+            <button
+              className="btn-ghost"
+              type="button"
+              onClick={() => handleRecover("preempt-one", false)}
+              disabled={processes.length === 0}
+            >
+              Preempt from one victim
+            </button>
+            <button
+              className="btn-ghost"
+              type="button"
+              onClick={() => handleRecover("preempt-one", true)}
+              disabled={processes.length === 0}
+            >
+              Preempt until resolved
+            </button>
           </div>
 
-          <h3>Edges (Textual)</h3>
-          <div className="edges-list">
-            <div>
-              <strong>Assignments (resource → process):</strong>
-              <br />
-              {assignmentEdges.length === 0 && (
-                <span className="help-text">None</span>
+          {recovery && (
+            <div style={{ marginTop: "10px" }}>
+              <ol className="sequence-list">
+                {recovery.steps.map((st, k) => (
+                  <li key={k}>
+                    {st.text} <em>{st.after}</em>
+                  </li>
+                ))}
+              </ol>
+              {recovery.resolved ? (
+                <p className="safe">
+                  ✓ Deadlock resolved after {recovery.victims.length} victim(s),
+                  total cost {recovery.cost}.
+                </p>
+              ) : (
+                <p className="deadlock">
+                  ● Still deadlocked after {recovery.victims.length} victim(s),
+                  cost so far {recovery.cost}.
+                </p>
               )}
-              {assignmentEdges.map((e, index) => (
-                <span key={index}>{e.rid} → {e.pid}</span>
+              <div>
+                <button
+                  className="btn-ghost"
+                  type="button"
+                  onClick={() => setRecovery(null)}
+                >
+                  Clear log
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="card">
+          <h2>6. Save, Load &amp; Share</h2>
+          <p className="help-text">
+            The current setup is autosaved in this browser. Export it as a JSON
+            file, keep named copies here, or copy a link that contains it.
+          </p>
+
+          <form onSubmit={handleSaveNamed}>
+            <label>
+              Scenario name
+              <input
+                type="text"
+                value={scenarioName}
+                onChange={e => setScenarioName(e.target.value)}
+                placeholder="Two-process cycle"
+              />
+            </label>
+            <button className="btn-primary" type="submit">
+              Save in browser
+            </button>
+            <button className="btn-ghost" type="button" onClick={handleExportScenario}>
+              Export JSON
+            </button>
+            <label className="btn-ghost file-button">
+              Import JSON
+              <input
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImportScenario}
+              />
+            </label>
+            <button className="btn-ghost" type="button" onClick={handleShareLink}>
+              Copy share link
+            </button>
+          </form>
+
+          {scenarioNote && <p className="help-text">{scenarioNote}</p>}
+          {scenarioErrors.length > 0 && (
+            <ul className="error-list">
+              {scenarioErrors.map((err, k) => (
+                <li key={k}>{err}</li>
+              ))}
+            </ul>
+          )}
+          {shareLink && (
+            <input
+              type="text"
+              readOnly
+              value={shareLink}
+              onFocus={e => e.target.select()}
+            />
+          )}
+
+          <h3>Saved Scenarios</h3>
+          {Object.keys(savedScenarios).length === 0 ? (
+            <p className="help-text">Nothing saved yet.</p>
+          ) : (
+            <ul className="saved-list">
+              {Object.keys(savedScenarios).sort().map(name => (
+                <li key={name}>
+                  <span>{name}</span>
+                  <button
+                    className="btn-ghost"
+                    type="button"
+                    onClick={() =>
+                      loadScenarioDocument(savedScenarios[name], "“" + name + "”")
+                    }
+                  >
+                    Load
+                  </button>
+                  <button
+                    className="btn-ghost"
+                    type="button"
+                    onClick={() => handleDeleteNamed(name)}
+                  >
+                    Delete
+                  </button>
+                </li>
               ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="card">
+          <h2>7. Command Console</h2>
+          <p className="help-text">
+            Type or paste a script, one command per line, then Run (Ctrl+Enter).
+            Commands: <code>process P1 P2</code>, <code>resource R1 3</code>,{" "}
+            <code>P1 request R1 2</code>, <code>P1 release R1</code> (all
+            units) or <code>P1 release R1 1</code>, <code>max P1 R1 4</code>,{" "}
+            <code>detect</code>, <code>safety</code>. Lines starting with{" "}
+            <code>#</code> are comments.
+          </p>
+          <form onSubmit={handleRunScript}>
+            <textarea
+              className="console-input"
+              rows={6}
+              value={consoleScript}
+              onChange={e => setConsoleScript(e.target.value)}
+              onKeyDown={handleScriptKeyDown}
+              placeholder={CONSOLE_EXAMPLE}
+            />
+            <button
+              className="btn-primary"
+              type="submit"
+              disabled={scriptQueue.length > 0}
+            >
+              Run
+            </button>
+            <button
+              className="btn-ghost"
+              type="button"
+              onClick={() => setConsoleOutput([])}
+            >
+              Clear output
+            </button>
+          </form>
+          {consoleOutput.length > 0 && (
+            <pre className="console-output">
+              {consoleOutput.map((line, k) => (
+                <div key={k} className={line.kind}>
+                  {line.text}
+                </div>
+              ))}
+            </pre>
+          )}
+        </div>
+
+        <div className="card">
+          <h2>8. Automatic Simulation</h2>
+          <p className="help-text">
+            Give each process a workload script, one process per line, e.g.{" "}
+            <code>P1: request R1 2; hold 3; request R2; release R1; release R2</code>.
+            Each tick every process runs its next step through the normal
+            Request / Release logic; a process that ends its script finishes and
+            releases everything.
+          </p>
+          <form onSubmit={handleLoadWorkloads}>
+            <textarea
+              className="console-input"
+              rows={5}
+              value={workloadText}
+              onChange={e => setWorkloadText(e.target.value)}
+              placeholder={WORKLOAD_EXAMPLE}
+            />
+            <div className="row">
+              <label>
+                Random seed
+                <input
+                  type="number"
+                  value={workloadSeed}
+                  onChange={e => setWorkloadSeed(e.target.value)}
+                />
+              </label>
+              <label>
+                Detect every k ticks
+                <input
+                  type="number"
+                  min="1"
+                  value={detectEvery}
+                  onChange={e => setDetectEvery(e.target.value)}
+                />
+              </label>
+              <label>
+                Tick speed
+                <select
+                  value={tickDelay}
+                  onChange={e => setTickDelay(parseInt(e.target.value, 10))}
+                >
+                  <option value={1500}>Slow</option>
+                  <option value={800}>Normal</option>
+                  <option value={250}>Fast</option>
+                </select>
+              </label>
             </div>
-            <div style={{ marginTop: "6px" }}>
-              <strong>Requests (process → resource):</strong>
-              <br />
-              {requestEdges.length === 0 && (
-                <span className="help-text">None</span>
-              )}
-              {requestEdges.map((e, index) => (
-                <span key={index}>{e.pid} → {e.rid}</span>
+            <button className="btn-ghost" type="button" onClick={handleGenerateWorkloads}>
+              Generate random workloads
+            </button>
+            <button className="btn-primary" type="submit">
+              Load &amp; reset
+            </button>
+          </form>
+          {workloadErrors.length > 0 && (
+            <ul className="error-list">
+              {workloadErrors.map((err, k) => (
+                <li key={k}>{err}</li>
               ))}
+            </ul>
+          )}
+
+          {sim && (
+            <div>
+              <div>
+                <button
+                  className="btn-primary"
+                  type="button"
+                  onClick={handlePlaySimulation}
+                  disabled={simulationOver(sim)}
+                >
+                  {sim.playing ? "Pause" : "Play"}
+                </button>
+                <button
+                  className="btn-ghost"
+                  type="button"
+                  onClick={startTick}
+                  disabled={
+                    sim.playing || sim.cursor !== null || simulationOver(sim)
+                  }
+                >
+                  Step
+                </button>
+                <button
+                  className="btn-ghost"
+                  type="button"
+                  onClick={() => resetSimulation()}
+                >
+                  Reset
+                </button>
+                <span className="tag">Tick {sim.clock}</span>
+                {sim.deadlockAt !== null && (
+                  <span className="tag deadlock-tag">
+                    Deadlocked at tick {sim.deadlockAt}
+                  </span>
+                )}
+              </div>
+              <div className="table-wrap">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Process</th>
+                      <th>Step</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {processes.map(pid => (
+                      <tr key={pid}>
+                        <th>{pid}</th>
+                        <td>{describeSimProgress(pid)}</td>
+                        <td>{describeSimStatus(pid)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <ol className="sequence-list">
+                {sim.log.map((entry, k) => (
+                  <li key={k} className={entry.kind === "deadlock" ? "bad" : ""}>
+                    t={entry.tick}: {entry.text}
+                  </li>
+                ))}
+              </ol>
             </div>
+          )}
+
+          <h3>Compare Strategies</h3>
+          <p className="help-text">
+            Runs the workloads above from the current state with deadlocks
+            ignored, under detection and recovery, Banker avoidance and
+            resource-ordering prevention, with the same seed. Every run checks
+            for deadlocks every k ticks; ignoring them leaves the deadlocked
+            processes blocked until the run is cut off, the others abort
+            victims, which start over. Under resource ordering each process
+            issues its requests in resource order.
+          </p>
+          <button className="btn-primary" type="button" onClick={handleCompareStrategies}>
+            Compare strategies
+          </button>
+          {comparison && <ComparisonView runs={comparison} />}
+        </div>
+
+        <div className="card">
+          <h2>9. Practice Quiz</h2>
+          <p className="help-text">
+            Generates random states from a seed and asks about them; answers
+            are graded with the same Banker and detection algorithms as above.
+            The same seed and settings always give the same quiz, so a class
+            can share one.
+          </p>
+          <QuizPanel onLoad={handleLoadQuizState} />
+        </div>
+
+        <div className="card">
+          <h2>10. Large Systems &amp; Benchmark</h2>
+          <p className="help-text">
+            Generates a random system with up to 20000 processes from a seed
+            and times the algorithms on whatever system is loaded. Above{" "}
+            {DRAW_LIMIT} processes or resources the graph, matrices and edge
+            lists are not drawn, and the safety check skips its step trace.
+          </p>
+          <BenchmarkPanel state={coreState()} onGenerate={handleLoadGenerated} />
+        </div>
+
+        <div className={"card" + tourClass("distributed")}>
+          <h2>11. Distributed Detection</h2>
+          <p className="help-text">
+            Processes and resources live on sites. A site only sees the
+            wait-for edges through its own resources (remote processes are
+            dashed). Detection runs as messages between the sites, each
+            site's taking its latency in ticks: a central coordinator
+            collects every site's changes, or a waiting process sends
+            Chandy–Misra–Haas probes along its wait-for edges. The coordinator
+            replays the operations since processes or resources last changed,
+            one per tick.
+          </p>
+          {large ? (
+            <p className="help-text">Too large to split into sites; see card 10.</p>
+          ) : (
+            renderDistributed()
+          )}
+        </div>
+      </div>
+
+      {/* Right column: visual + explanation */}
+      <div>
+        <div className="card">
+          <h2>Operation Timeline</h2>
+          <p className="help-text">
+            Every change is logged. Click an entry to jump back to it, or use
+            Undo / Redo (Ctrl+Z, Ctrl+Shift+Z).
+          </p>
+          <div>
+            <button
+              className="btn-ghost"
+              type="button"
+              onClick={handleUndo}
+              disabled={historyIndex <= 0}
+            >
+              Undo
+            </button>
+            <button
+              className="btn-ghost"
+              type="button"
+              onClick={handleRedo}
+              disabled={historyIndex >= history.length - 1}
+            >
+              Redo
+            </button>
+            <button
+              className="btn-primary"
+              type="button"
+              onClick={handleReplay}
+              disabled={history.length < 2}
+            >
+              {replaying ? "Stop replay" : "Replay"}
+            </button>
           </div>
+          <label>
+            Replay speed
+            <select
+              value={replayDelay}
+              onChange={e => setReplayDelay(parseInt(e.target.value, 10))}
+            >
+              <option value={2000}>Slow (2 s per step)</option>
+              <option value={1000}>Normal (1 s per step)</option>
+              <option value={400}>Fast (0.4 s per step)</option>
+            </select>
+          </label>
+          <ol className="timeline">
+            {history.map((entry, k) => (
+              <li
+                key={k}
+                className={
+                  k === historyIndex ? "current" : k > historyIndex ? "future" : ""
+                }
+                onClick={() => jumpTo(k)}
+              >
+                {entry.label}
+              </li>
+            ))}
+          </ol>
         </div>
 
         <div className="card">
-          <h2>How to Demo This in Class</h2>
-          <ul>
-            <li>Add processes: <code>P1</code>, <code>P2</code>.</li>
-            <li>Add resources: <code>R1</code> (1), <code>R2</code> (1).</li>
-            <li>Request: P1 → R1, P2 → R2 (both get allocated).</li>
-            <li>Request: P1 → R2 (P1 now waits).</li>
-            <li>Request: P2 → R1 (P2 now waits).</li>
-          </ul>
+          <h2>Resource Timeline</h2>
+          <p className="help-text">
+            Each step is one entry of the operation log. Bars show when a
+            process held a resource (solid) or waited for it (hatched), one
+            color per resource; below are the free instances of each resource
+            and the number of blocked processes. The red line marks the first
+            step at which deadlock detection finds a deadlock, the blue line
+            the current step. Click a step to jump to it.
+          </p>
+          {renderResourceTimeline()}
+        </div>
+
+        <div className={"card" + tourClass("graph")}>
+          <h2>Resource Allocation Graph View</h2>
           <p className="help-text">
-            Now both are waiting for each other → cycle in Wait-For Graph → deadlock.
-            Click <strong>Check Deadlock</strong> to show the cycle.
+            Circles are processes, boxes are resources with one dot per
+            instance. Drag nodes to rearrange them. After a deadlock check
+            deadlocked processes are red (the chosen cycle in bold) and
+            processes blocked behind them are amber. Dashed grey arrows are
+            claim edges (what Max still allows); when claim-graph avoidance
+            defers a request, the cycle the grant would have closed is red.
+            Export SVG / PNG saves the graph exactly as shown.
           </p>
+
+          {large ? (
+            <p className="help-text">
+              Too large to draw ({processes.length} processes,{" "}
+              {resources.length} resources); see card 10.
+            </p>
+          ) : (
+            <div>
+              <GraphView
+                processes={processes}
+                resources={resources}
+                requestEdges={requestEdges}
+                assignmentEdges={assignmentEdges}
+                waitFor={Engine.buildWaitForGraph(coreState())}
+                cycle={
+                  deadlockResult && deadlockResult.hasDeadlock
+                    ? deadlockResult.cycles[focusedCycle] || []
+                    : []
+                }
+                deadlocked={
+                  deadlockResult && deadlockResult.hasDeadlock
+                    ? deadlockResult.deadlocked
+                    : []
+                }
+                blocked={
+                  deadlockResult && deadlockResult.hasDeadlock
+                    ? deadlockResult.blocked
+                    : []
+                }
+                groups={
+                  deadlockResult && deadlockResult.components.length > 1
+                    ? deadlockResult.components
+                    : []
+                }
+                claims={Engine.claimEdges(coreState())}
+                claimCycle={refusedCycle()}
+                queues={resources.reduce(
+                  (all, r) =>
+                    Object.assign(all, {
+                      [r.id]: waitQueue(r.id).map(e => ({
+                        pid: e.pid,
+                        starving: isStarving(e)
+                      }))
+                    }),
+                  {}
+                )}
+              />
+
+              <h3>Edges (Textual)</h3>
+              <div className="edges-list">
+                <div>
+                  <strong>Assignments (resource → process):</strong>
+                  <br />
+                  {assignmentEdges.length === 0 && (
+                    <span className="help-text">None</span>
+                  )}
+                  {assignmentEdges.map((e, index) => (
+                    <span key={index}>{e.rid} → {e.pid} ×{e.units}</span>
+                  ))}
+                </div>
+                <div style={{ marginTop: "6px" }}>
+                  <strong>Requests (process → resource):</strong>
+                  <br />
+                  {requestEdges.length === 0 && (
+                    <span className="help-text">None</span>
+                  )}
+                  {requestEdges.map((e, index) => (
+                    <span key={index} className={isStarving(e) ? "starving" : ""}>
+                      {e.pid} → {e.rid} ×{e.units}
+                      {e.passedOver ? ` · passed over ${e.passedOver}×` : ""}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="card">
+          <h2>Scenario Library</h2>
           <p className="help-text">
-            For Banker, set Max (e.g. both P1 and P2 need at most 1 of each),
-            then click <strong>Check Safety</strong> to show whether the system
-            is in a safe state and what safe sequence exists.
+            Classic examples for class, each with a step-by-step walkthrough.
+            Loading one replaces the current system and turns avoidance and
+            prevention off; the walkthrough outlines what to click next.
           </p>
+          <label>
+            Scenario
+            <select
+              value={presetId}
+              onChange={e => {
+                setPresetId(e.target.value);
+                setPresetValues({});
+              }}
+            >
+              {Presets.PRESETS.map(p => (
+                <option key={p.id} value={p.id}>{p.title}</option>
+              ))}
+            </select>
+          </label>
+          <p>{selectedPreset().description}</p>
+          {Object.keys(selectedPreset().params).map(key => {
+            const param = selectedPreset().params[key];
+            return (
+              <label key={key}>
+                {param.label}
+                <input
+                  type="number"
+                  min={param.min}
+                  max={param.max}
+                  value={key in presetValues ? presetValues[key] : param.value}
+                  onChange={e =>
+                    setPresetValues(prev =>
+                      Object.assign({}, prev, { [key]: parseInt(e.target.value, 10) })
+                    )
+                  }
+                />
+              </label>
+            );
+          })}
+          <button className="btn-primary" type="button" onClick={handleLoadPreset}>
+            Load &amp; start walkthrough
+          </button>
+          {tour && (
+            <ol className="sequence-list tour-steps">
+              {tour.steps.map((step, k) => (
+                <li
+                  key={k}
+                  className={k === tour.index ? "current" : ""}
+                  onClick={() => goToTourStep(k)}
+                >
+                  {step.text}
+                </li>
+              ))}
+            </ol>
+          )}
         </div>
       </div>
     </div>
   );
 }
 
+const HISTORY_LIMIT = 200;
+
+// above this many processes or resources the graph, matrices and edge lists
+// are not drawn, and lists show only their start
+const DRAW_LIMIT = 100;
+
+// controls a walkthrough step can point at (the `target` of a preset step)
+const TOUR_TARGETS = {
+  request: "the Request button in card 2",
+  release: "the Release button in card 2",
+  finish: "Process finishes in card 2",
+  avoidance: "the avoidance selector in card 2",
+  prevention: "the prevention policy in card 2",
+  "check-deadlock": "Check Deadlock in card 3",
+  "check-safety": "Check Safety in card 4",
+  recovery: "the recovery buttons in card 5",
+  distributed: "Run detection in card 11",
+  graph: "the graph view and its Wait-For Graph button"
+};
+
+const AVOIDANCE_HELP = {
+  banker:
+    "A request is granted only if the Banker's safety algorithm still finds " +
+    "a safe sequence afterwards; otherwise the process waits.",
+  "claim-graph":
+    "For single-instance resources. A process may only ask for what it has " +
+    "claimed (Max), and a request is granted only if turning it into an " +
+    "assignment edge closes no cycle, claim edges included."
+};
+
+const PREVENTION_HELP = {
+  none:
+    "Requests are granted whenever units are free. Mutual exclusion always " +
+    "holds here: resources are non-sharable.",
+  "resource-ordering":
+    "Breaks circular wait: a request for a resource numbered lower than one " +
+    "the process already holds or awaits is rejected.",
+  "hold-and-wait":
+    "Breaks hold and wait: a process holding nothing gets its whole Max in " +
+    "one atomic request; a process holding anything may not request.",
+  "no-preemption":
+    "Breaks no preemption: a process whose request blocks releases " +
+    "everything it holds and waits for all of it again."
+};
+
+// ---- Console commands ----
+const CONSOLE_EXAMPLE = [
+  "process P1 P2",
+  "resource R1 1",
+  "resource R2 1",
+  "P1 request R1",
+  "P2 request R2",
+  "P1 request R2",
+  "P2 request R1",
+  "detect"
+].join("\n");
+
+function parseCount(token, min) {
+  if (!/^\d+$/.test(token || "")) return null;
+  const v = parseInt(token, 10);
+  return v >= min ? v : null;
+}
+
+// Parses one console line. Returns null for blank lines and comments,
+// { error } for malformed input, else a command object.
+function parseCommand(line) {
+  const tokens = line.replace(/#.*/, "").trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return null;
+  const word = tokens[0].toLowerCase();
+  const args = tokens.slice(1);
+
+  if (word === "process") {
+    if (args.length === 0) return { error: "usage: process P1 [P2 ...]" };
+    return { type: "process", ids: args };
+  }
+  if (word === "resource") {
+    if (args.length < 1 || args.length > 2) {
+      return { error: "usage: resource R1 [instances]" };
+    }
+    const instances = args.length === 2 ? parseCount(args[1], 1) : 1;
+    if (instances === null) return { error: "instances must be a number >= 1" };
+    return { type: "resource", rid: args[0], instances };
+  }
+  if (word === "max") {
+    if (args.length !== 3) return { error: "usage: max P1 R1 n" };
+    const value = parseCount(args[2], 0);
+    if (value === null) return { error: "Max must be a number >= 0" };
+    return { type: "max", pid: args[0], rid: args[1], value };
+  }
+  if (word === "detect" || word === "safety") {
+    if (args.length > 0) return { error: `"${word}" takes no arguments` };
+    return { type: word };
+  }
+
+  const verb = (args[0] || "").toLowerCase();
+  if (verb === "request" || verb === "release") {
+    if (args.length < 2 || args.length > 3) {
+      return { error: `usage: ${tokens[0]} ${verb} R1 [units]` };
+    }
+    let units = verb === "release" ? null : 1;
+    if (args.length === 3) {
+      units = parseCount(args[2], 1);
+      if (units === null) return { error: "units must be a number >= 1" };
+    }
+    return { type: verb, pid: tokens[0], rid: args[1], units };
+  }
+  return { error: `unknown command "${tokens[0]}"` };
+}
+
+// ---- Workload scripts ----
+const WORKLOAD_EXAMPLE = [
+  "P1: request R1; hold 2; request R2; release R1; release R2",
+  "P2: request R2; hold 2; request R1; release R2; release R1"
+].join("\n");
+
+// "P1: request R1 2; hold 3; release R1" — one process per line
+function parseWorkloads(text, processes, resources) {
+  const workloads = {};
+  const errors = [];
+  text.split("\n").forEach((raw, k) => {
+    const line = raw.replace(/#.*/, "").trim();
+    if (!line) return;
+    const where = `line ${k + 1}`;
+    const colon = line.indexOf(":");
+    if (colon === -1) {
+      errors.push(`${where}: expected "P1: step; step; ..."`);
+      return;
+    }
+    const pid = line.slice(0, colon).trim();
+    if (!processes.includes(pid)) {
+      errors.push(`${where}: unknown process ${pid}`);
+      return;
+    }
+    if (workloads[pid]) {
+      errors.push(`${where}: ${pid} already has a workload`);
+      return;
+    }
+    const steps = [];
+    line
+      .slice(colon + 1)
+      .split(";")
+      .map(part => part.trim().split(/\s+/).filter(Boolean))
+      .filter(tokens => tokens.length > 0)
+      .forEach(tokens => {
+        const verb = tokens[0].toLowerCase();
+        if (verb === "hold") {
+          const ticks = parseCount(tokens[1], 1);
+          if (tokens.length !== 2 || ticks === null) {
+            errors.push(`${where}: usage: hold n (n >= 1)`);
+          } else {
+            steps.push({ type: "hold", ticks });
+          }
+          return;
+        }
+        if (verb !== "request" && verb !== "release") {
+          errors.push(`${where}: unknown step "${tokens.join(" ")}"`);
+          return;
+        }
+        const rid = tokens[1];
+        if (!resources.some(r => r.id === rid)) {
+          errors.push(`${where}: unknown resource ${rid}`);
+          return;
+        }
+        let units = verb === "release" ? null : 1;
+        if (tokens.length > 3) {
+          errors.push(`${where}: usage: ${verb} R1 [units]`);
+          return;
+        }
+        if (tokens.length === 3) {
+          units = parseCount(tokens[2], 1);
+          if (units === null) {
+            errors.push(`${where}: units must be a number >= 1`);
+            return;
+          }
+        }
+        steps.push({ type: verb, rid, units });
+      });
+    workloads[pid] = steps;
+  });
+  return { workloads, errors };
+}
+
+function formatWorkloadStep(step) {
+  if (step.type === "hold") return "hold " + step.ticks;
+  return step.type + " " + step.rid + (step.units === null ? "" : " " + step.units);
+}
+
+const seededRandom = Engine.seededRandom;
+
+// Each process grabs one to three resources in random order, holding each
+// for a while, then releases them; overlapping orders produce deadlocks.
+function generateWorkloadText(processes, resources, seed) {
+  const random = seededRandom(seed);
+  const pick = n => Math.floor(random() * n);
+  return processes
+    .map(pid => {
+      const pool = resources.slice();
+      const count = 1 + pick(Math.min(3, pool.length));
+      const taken = [];
+      const steps = [];
+      for (let k = 0; k < count; k++) {
+        const r = pool.splice(pick(pool.length), 1)[0];
+        const units = 1 + pick(Math.max(1, Math.floor(r.instances / 2)));
+        taken.push(r.id);
+        steps.push(`request ${r.id} ${units}`, `hold ${1 + pick(3)}`);
+      }
+      while (taken.length > 0) {
+        steps.push("release " + taken.splice(pick(taken.length), 1)[0]);
+      }
+      return pid + ": " + steps.join("; ");
+    })
+    .join("\n");
+}
+
+// ---- Scenario documents ----
+const AUTOSAVE_KEY = "deadlock-simulator:autosave";
+const SAVED_SCENARIOS_KEY = "deadlock-simulator:scenarios";
+
+function readSavedScenarios() {
+  try {
+    return JSON.parse(window.localStorage.getItem(SAVED_SCENARIOS_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function writeSavedScenarios(scenarios) {
+  try {
+    window.localStorage.setItem(SAVED_SCENARIOS_KEY, JSON.stringify(scenarios));
+  } catch (err) {
+    alert("Could not write to localStorage: " + err.message);
+  }
+}
+
+// base64 of the UTF-8 JSON, safe to put in a URL hash
+function encodeScenario(scenario) {
+  return encodeURIComponent(
+    btoa(unescape(encodeURIComponent(JSON.stringify(scenario))))
+  );
+}
+
+function decodeScenario(text) {
+  return JSON.parse(decodeURIComponent(escape(atob(decodeURIComponent(text)))));
+}
+
+// saves `text` through a temporary link; returns the file name used
+function downloadFile(name, text, type) {
+  return downloadBlob(name, new Blob([text], { type }));
+}
+
+function downloadBlob(name, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name.replace(/[^\w.-]+/g, "_");
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // the download may start after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  return link.download;
+}
+
+// ---- SVG graph view ----
+const PROCESS_RADIUS = 20;
+const DOT_SPACING = 12;
+const DOTS_PER_ROW = 5;
+
+function resourceBox(instances) {
+  const cols = Math.min(instances, DOTS_PER_ROW);
+  const rows = Math.ceil(instances / DOTS_PER_ROW);
+  return {
+    width: Math.max(44, cols * DOT_SPACING + 16),
+    height: rows * DOT_SPACING + 28
+  };
+}
+
+// centre of the k-th instance dot of a resource box centred on (x, y)
+function dotPosition(pos, instances, k) {
+  const box = resourceBox(instances);
+  const cols = Math.min(instances, DOTS_PER_ROW);
+  const col = k % DOTS_PER_ROW;
+  const row = Math.floor(k / DOTS_PER_ROW);
+  return {
+    x: pos.x - ((cols - 1) * DOT_SPACING) / 2 + col * DOT_SPACING,
+    y: pos.y - box.height / 2 + 24 + row * DOT_SPACING
+  };
+}
+
+// point where the segment from `from` towards a circle at `to` meets it
+function trimToCircle(from, to, radius) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const len = Math.hypot(dx, dy) || 1;
+  return { x: to.x - (dx / len) * radius, y: to.y - (dy / len) * radius };
+}
+
+// point where the segment from `from` towards a box centred at `to` meets it
+function trimToBox(from, to, width, height) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  if (dx === 0 && dy === 0) return to;
+  const t = Math.min(
+    dx === 0 ? Infinity : width / 2 / Math.abs(dx),
+    dy === 0 ? Infinity : height / 2 / Math.abs(dy)
+  );
+  return { x: to.x - dx * t, y: to.y - dy * t };
+}
+
+// the segment from `from` to `to` moved sideways by `d`, so that two edges
+// between the same nodes stay apart
+function offsetSegment(from, to, d) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const len = Math.hypot(dx, dy) || 1;
+  const ox = (-dy / len) * d;
+  const oy = (dx / len) * d;
+  return [{ x: from.x + ox, y: from.y + oy }, { x: to.x + ox, y: to.y + oy }];
+}
+
+// processes along the top row, resources along the bottom row
+function autoLayout(processes, resources, width) {
+  const layout = {};
+  processes.forEach((pid, i) => {
+    layout["P:" + pid] = {
+      x: ((i + 1) * width) / (processes.length + 1),
+      y: 60
+    };
+  });
+  resources.forEach((r, i) => {
+    layout["R:" + r.id] = {
+      x: ((i + 1) * width) / (resources.length + 1),
+      y: 230
+    };
+  });
+  return layout;
+}
+
+// styles that make up the drawing, inlined by standaloneSvg
+const SVG_STYLE_PROPERTIES = [
+  "fill",
+  "stroke",
+  "stroke-width",
+  "stroke-dasharray",
+  "opacity",
+  "font-family",
+  "font-size",
+  "font-weight"
+];
+
+// serialises `svg` with its computed styles inlined and a fixed size
+function standaloneSvg(svg, width, height) {
+  const copy = svg.cloneNode(true);
+  const source = [svg].concat(Array.from(svg.querySelectorAll("*")));
+  const target = [copy].concat(Array.from(copy.querySelectorAll("*")));
+  source.forEach((el, k) => {
+    const computed = window.getComputedStyle(el);
+    const style = SVG_STYLE_PROPERTIES.map(prop => {
+      const value = computed.getPropertyValue(prop);
+      return value ? `${prop}:${value}` : "";
+    })
+      .filter(Boolean)
+      .join(";");
+    if (style) target[k].setAttribute("style", style);
+  });
+  copy.setAttribute("width", width);
+  copy.setAttribute("height", height);
+  copy.removeAttribute("class");
+  return new XMLSerializer().serializeToString(copy);
+}
+
+function GraphView({
+  processes,
+  resources,
+  requestEdges,
+  assignmentEdges,
+  waitFor,
+  cycle,
+  deadlocked,
+  blocked = [],
+  groups = [],
+  claims = [],
+  claimCycle = [],
+  queues
+}) {
+  const [mode, setMode] = useState("rag"); // "rag" | "wfg"
+  const [showClaims, setShowClaims] = useState(true);
+  const [positions, setPositions] = useState({});
+  const [dragging, setDragging] = useState(null);
+  const svgRef = useRef(null);
+
+  const width = Math.max(520, Math.max(processes.length, resources.length) * 90);
+  const height = mode === "rag" ? 300 : 140;
+  const layout = autoLayout(processes, resources, width);
+
+  function posOf(key) {
+    return positions[key] || layout[key];
+  }
+
+  // consecutive pairs of the cycle: [a, b] means a waits for b
+  const cyclePairs = [];
+  for (let i = 0; i + 1 < cycle.length; i++) {
+    cyclePairs.push([cycle[i], cycle[i + 1]]);
+  }
+  const hotProcesses = new Set(
+    cycle.concat(deadlocked, claimCycle.filter(id => processes.includes(id)))
+  );
+
+  // from → to is an edge of the would-be cycle of a deferred request
+  function isClaimCycleEdge(from, to) {
+    return claimCycle.some((id, k) => k > 0 && claimCycle[k - 1] === from && id === to);
+  }
+
+  // a waits for b along the highlighted cycle, or both are deadlocked
+  function isHotWait(a, b) {
+    return (
+      isCycleWait(a, b) ||
+      (deadlocked.includes(a) && deadlocked.includes(b))
+    );
+  }
+
+  function isCycleWait(a, b) {
+    return cyclePairs.some(([x, y]) => x === a && y === b);
+  }
+
+  // a is blocked behind the deadlock and waits for b, which is stuck too
+  function isBlockedWait(a, b) {
+    return (
+      blocked.includes(a) && (blocked.includes(b) || deadlocked.includes(b))
+    );
+  }
+
+  // class for the edge(s) standing for "a waits for b"
+  function waitClass(pairs) {
+    if (pairs.some(([a, b]) => isCycleWait(a, b))) return " hot focus";
+    if (pairs.some(([a, b]) => isHotWait(a, b))) return " hot";
+    if (pairs.some(([a, b]) => isBlockedWait(a, b))) return " blocked";
+    return "";
+  }
+
+  function requestClass(e) {
+    if (isClaimCycleEdge(e.pid, e.rid)) return " hot";
+    return waitClass(
+      assignmentEdges.filter(x => x.rid === e.rid).map(x => [e.pid, x.pid])
+    );
+  }
+
+  function assignmentClass(e) {
+    if (isClaimCycleEdge(e.rid, e.pid)) return " hot";
+    return waitClass(
+      requestEdges.filter(x => x.rid === e.rid).map(x => [x.pid, e.pid])
+    );
+  }
+
+  function arrowFor(cls) {
+    if (cls.includes("hot")) return "url(#arrow-hot)";
+    if (cls.includes("blocked")) return "url(#arrow-blocked)";
+    return "url(#arrow)";
+  }
+
+  // ---- dragging ----
+  function svgPoint(evt) {
+    const svg = svgRef.current;
+    if (!svg || !svg.getScreenCTM) return null;
+    const pt = svg.createSVGPoint();
+    pt.x = evt.clientX;
+    pt.y = evt.clientY;
+    return pt.matrixTransform(svg.getScreenCTM().inverse());
+  }
+
+  function handlePointerMove(evt) {
+    if (!dragging) return;
+    const p = svgPoint(evt);
+    if (!p) return;
+    setPositions(prev =>
+      Object.assign({}, prev, {
+        [dragging]: {
+          x: Math.max(0, Math.min(width, p.x)),
+          y: Math.max(0, Math.min(height, p.y))
+        }
+      })
+    );
+  }
+
+  function startDrag(key) {
+    return evt => {
+      evt.preventDefault();
+      setDragging(key);
+    };
+  }
+
+  // ---- export ----
+  // The drawing as it is shown, with the stylesheet's colours copied onto
+  // each element so the file looks the same outside the page.
+  function handleExport(format) {
+    const svg = svgRef.current;
+    if (!svg) return;
+    const copy = standaloneSvg(svg, width, height);
+    const name = mode === "rag" ? "resource-allocation-graph" : "wait-for-graph";
+    if (format === "svg") {
+      downloadFile(name + ".svg", copy, "image/svg+xml");
+      return;
+    }
+    const scale = 2;
+    const url = URL.createObjectURL(new Blob([copy], { type: "image/svg+xml" }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => downloadBlob(name + ".png", blob), "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      alert("Could not render the graph as PNG.");
+    };
+    image.src = url;
+  }
+
+  // ---- rendering ----
+  function renderProcess(pid) {
+    const key = "P:" + pid;
+    const pos = posOf(key);
+    const hot = hotProcesses.has(pid);
+    const group = groups.findIndex(g => g.includes(pid));
+    return (
+      <g
+        key={key}
+        className={
+          "graph-node" +
+          (hot ? " hot" : blocked.includes(pid) ? " blocked" : "")
+        }
+        onPointerDown={startDrag(key)}
+      >
+        <circle
+          cx={pos.x}
+          cy={pos.y}
+          r={PROCESS_RADIUS}
+          className="graph-process"
+        />
+        <text x={pos.x} y={pos.y + 4} textAnchor="middle">
+          {pid}
+        </text>
+        {group >= 0 && (
+          <text
+            x={pos.x}
+            y={pos.y + PROCESS_RADIUS + 12}
+            textAnchor="middle"
+            className="graph-caption"
+          >
+            group {group + 1}
+          </text>
+        )}
+      </g>
+    );
+  }
+
+  function renderResource(r) {
+    const key = "R:" + r.id;
+    const pos = posOf(key);
+    const box = resourceBox(r.instances);
+    const used = assignmentEdges
+      .filter(e => e.rid === r.id)
+      .reduce((sum, e) => sum + e.units, 0);
+    const dots = [];
+    for (let k = 0; k < r.instances; k++) {
+      const d = dotPosition(pos, r.instances, k);
+      dots.push(
+        <circle
+          key={k}
+          cx={d.x}
+          cy={d.y}
+          r={3.5}
+          className={"graph-dot" + (k < used ? " used" : "")}
+        />
+      );
+    }
+    return (
+      <g key={key} className="graph-node" onPointerDown={startDrag(key)}>
+        <rect
+          x={pos.x - box.width / 2}
+          y={pos.y - box.height / 2}
+          width={box.width}
+          height={box.height}
+          rx={6}
+          className="graph-resource"
+        />
+        <text x={pos.x} y={pos.y - box.height / 2 + 13} textAnchor="middle">
+          {r.id}
+        </text>
+        {dots}
+        <text
+          x={pos.x}
+          y={pos.y + box.height / 2 + 13}
+          textAnchor="middle"
+          className="graph-caption"
+        >
+          {used}/{r.instances} used
+        </text>
+        {queues && queues[r.id] && queues[r.id].length > 0 && (
+          <text
+            x={pos.x}
+            y={pos.y + box.height / 2 + 25}
+            textAnchor="middle"
+            className="graph-caption"
+          >
+            queue:{" "}
+            {queues[r.id].map((w, k) => (
+              <tspan key={w.pid} className={w.starving ? "starving" : ""}>
+                {(k > 0 ? " › " : "") + w.pid + (w.starving ? "!" : "")}
+              </tspan>
+            ))}
+          </text>
+        )}
+      </g>
+    );
+  }
+
+  // request and claim edges both point from the process to the resource
+  function renderRequestEdge(e, index, kind = "request") {
+    const res = resources.find(r => r.id === e.rid);
+    if (!res) return null;
+    const p = posOf("P:" + e.pid);
+    const r = posOf("R:" + e.rid);
+    const box = resourceBox(res.instances);
+    const [from, to] = offsetSegment(
+      trimToCircle(r, p, PROCESS_RADIUS),
+      trimToBox(p, r, box.width + 4, box.height + 4),
+      kind === "claim" ? 5 : 0
+    );
+    const cls = kind === "claim" ? claimClass(e) : requestClass(e);
+    return (
+      <g key={kind + index} className={`graph-edge ${kind}${cls}`}>
+        <line
+          x1={from.x}
+          y1={from.y}
+          x2={to.x}
+          y2={to.y}
+          markerEnd={arrowFor(cls)}
+        />
+        {e.units > 1 && (
+          <text x={(from.x + to.x) / 2 + 6} y={(from.y + to.y) / 2}>
+            ×{e.units}
+          </text>
+        )}
+      </g>
+    );
+  }
+
+  function claimClass(e) {
+    return isClaimCycleEdge(e.pid, e.rid) ? " hot" : "";
+  }
+
+  // the assignment a deferred request would have received, closing the
+  // cycle: drawn dashed from the resource to the waiting process
+  function renderWouldBeEdges() {
+    return requestEdges
+      .filter(e => isClaimCycleEdge(e.rid, e.pid))
+      .map(e => {
+        const res = resources.find(r => r.id === e.rid);
+        if (!res) return null;
+        const r = posOf("R:" + e.rid);
+        const p = posOf("P:" + e.pid);
+        const box = resourceBox(res.instances);
+        const [from, to] = offsetSegment(
+          trimToBox(p, r, box.width, box.height),
+          trimToCircle(r, p, PROCESS_RADIUS + 2),
+          5
+        );
+        return (
+          <line
+            key={"would" + e.pid + e.rid}
+            x1={from.x}
+            y1={from.y}
+            x2={to.x}
+            y2={to.y}
+            className="graph-edge would-be hot"
+            markerEnd="url(#arrow-hot)"
+          />
+        );
+      });
+  }
+
+  // one arrow per allocated unit, each leaving its own instance dot
+  function renderAssignmentEdges() {
+    const lines = [];
+    resources.forEach(res => {
+      const r = posOf("R:" + res.id);
+      let k = 0;
+      assignmentEdges
+        .filter(e => e.rid === res.id)
+        .forEach(e => {
+          const p = posOf("P:" + e.pid);
+          const cls = assignmentClass(e);
+          for (let u = 0; u < e.units && k < res.instances; u++, k++) {
+            const from = dotPosition(r, res.instances, k);
+            const to = trimToCircle(from, p, PROCESS_RADIUS + 2);
+            lines.push(
+              <line
+                key={"asg" + res.id + k}
+                x1={from.x}
+                y1={from.y}
+                x2={to.x}
+                y2={to.y}
+                className={"graph-edge assignment" + cls}
+                markerEnd={arrowFor(cls)}
+              />
+            );
+          }
+        });
+    });
+    return lines;
+  }
+
+  function renderWaitEdges() {
+    const lines = [];
+    processes.forEach(from => {
+      (waitFor[from] || []).forEach(to => {
+        const a = posOf("P:" + from);
+        const b = posOf("P:" + to);
+        const start = trimToCircle(b, a, PROCESS_RADIUS);
+        const end = trimToCircle(a, b, PROCESS_RADIUS + 2);
+        const cls = waitClass([[from, to]]);
+        lines.push(
+          <line
+            key={from + "->" + to}
+            x1={start.x}
+            y1={start.y}
+            x2={end.x}
+            y2={end.y}
+            className={"graph-edge wait" + cls}
+            markerEnd={arrowFor(cls)}
+          />
+        );
+      });
+    });
+    return lines;
+  }
+
+  if (processes.length === 0 && resources.length === 0) {
+    return <p className="help-text">Nothing to draw yet.</p>;
+  }
+
+  return (
+    <div>
+      <div className="graph-toolbar">
+        <button
+          type="button"
+          className={mode === "rag" ? "btn-primary" : "btn-ghost"}
+          onClick={() => setMode("rag")}
+        >
+          Resource Allocation Graph
+        </button>
+        <button
+          type="button"
+          className={mode === "wfg" ? "btn-primary" : "btn-ghost"}
+          onClick={() => setMode("wfg")}
+        >
+          Wait-For Graph
+        </button>
+        <button type="button" className="btn-ghost" onClick={() => setPositions({})}>
+          Auto layout
+        </button>
+        {mode === "rag" && claims.length > 0 && (
+          <label className="checkbox">
+            <input
+              type="checkbox"
+              checked={showClaims}
+              onChange={e => setShowClaims(e.target.checked)}
+            />
+            Claim edges
+          </label>
+        )}
+        <button type="button" className="btn-ghost" onClick={() => handleExport("svg")}>
+          Export SVG
+        </button>
+        <button type="button" className="btn-ghost" onClick={() => handleExport("png")}>
+          Export PNG
+        </button>
+      </div>
+      {mode === "wfg" && (
+        <p className="help-text">
+          Resource nodes are collapsed: Pi → Pj means Pi requests a resource
+          that Pj holds.
+        </p>
+      )}
+      <svg
+        ref={svgRef}
+        className="graph"
+        viewBox={`0 0 ${width} ${height}`}
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => setDragging(null)}
+        onPointerLeave={() => setDragging(null)}
+      >
+        <defs>
+          <marker
+            id="arrow"
+            viewBox="0 0 10 10"
+            refX="9"
+            refY="5"
+            markerWidth="7"
+            markerHeight="7"
+            orient="auto-start-reverse"
+          >
+            <path d="M 0 0 L 10 5 L 0 10 z" className="graph-arrow" />
+          </marker>
+          <marker
+            id="arrow-hot"
+            viewBox="0 0 10 10"
+            refX="9"
+            refY="5"
+            markerWidth="7"
+            markerHeight="7"
+            orient="auto-start-reverse"
+          >
+            <path d="M 0 0 L 10 5 L 0 10 z" className="graph-arrow hot" />
+          </marker>
+          <marker
+            id="arrow-blocked"
+            viewBox="0 0 10 10"
+            refX="9"
+            refY="5"
+            markerWidth="7"
+            markerHeight="7"
+            orient="auto-start-reverse"
+          >
+            <path d="M 0 0 L 10 5 L 0 10 z" className="graph-arrow blocked" />
+          </marker>
+        </defs>
+        {mode === "rag" ? (
+          <g>
+            {showClaims && claims.map((e, k) => renderRequestEdge(e, k, "claim"))}
+            {requestEdges.map((e, k) => renderRequestEdge(e, k))}
+            {renderWouldBeEdges()}
+            {renderAssignmentEdges()}
+            {resources.map(renderResource)}
+            {processes.map(renderProcess)}
+          </g>
+        ) : (
+          <g>
+            {renderWaitEdges()}
+            {processes.map(renderProcess)}
+          </g>
+        )}
+      </svg>
+    </div>
+  );
+}
+
+// ---- Banker tables ----
+const SEQUENCE_LIST_LIMIT = 500;
+
+const formatVector = Engine.formatVector;
+
+function BankerMatrices({ processes, resources, matrices }) {
+  const names = resources.map(r => r.id);
+  return (
+    <div className="table-wrap">
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th></th>
+            <th colSpan={names.length}>Allocation</th>
+            <th colSpan={names.length}>Max</th>
+            <th colSpan={names.length}>Need</th>
+          </tr>
+          <tr>
+            <th>Process</th>
+            {[0, 1, 2].map(g =>
+              names.map(name => <th key={g + name}>{name}</th>)
+            )}
+          </tr>
+        </thead>
+        <tbody>
+          {processes.map((pid, i) => (
+            <tr key={pid}>
+              <th>{pid}</th>
+              {["allocation", "max", "need"].map(kind =>
+                matrices[kind][i].map((v, j) => (
+                  <td
+                    key={kind + j}
+                    className={kind === "need" && v < 0 ? "bad" : ""}
+                  >
+                    {v}
+                  </td>
+                ))
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="help-text">
+        Available {formatVector(names)} = {formatVector(matrices.available)}
+      </p>
+    </div>
+  );
+}
+
+const MATRIX_LABELS = { allocation: "Allocation", max: "Max", request: "Request" };
+
+// Spreadsheet-style grid over Engine.matrixView. Cells commit through
+// `onEdit` on Enter or blur; a multi-cell paste goes to `onPasteBlock`.
+// `drafts` holds rejected cell texts, which stay visible and highlighted.
+function MatrixGrid({ processes, resources, view, drafts, onEdit, onPasteBlock }) {
+  const [editing, setEditing] = useState(null); // {key, text}
+  const names = resources.map(r => r.id);
+  const kinds = ["allocation", "max", "request"];
+
+  function commit() {
+    if (!editing) return;
+    const [kind, pid, rid] = editing.key.split(":");
+    setEditing(null);
+    onEdit(kind, pid, rid, editing.text);
+  }
+
+  function renderCell(kind, pid, i, j) {
+    const key = `${kind}:${pid}:${names[j]}`;
+    const draft = drafts[key];
+    const overMax =
+      kind !== "request" &&
+      view.declared[i][j] &&
+      view.allocation[i][j] > view.max[i][j];
+    let value;
+    if (editing && editing.key === key) value = editing.text;
+    else if (draft !== undefined) value = draft;
+    else if (kind === "max" && !view.declared[i][j]) value = "";
+    else value = String(view[kind][i][j]);
+    return (
+      <td key={key} className={draft !== undefined || overMax ? "bad" : ""}>
+        <input
+          className="cell-input"
+          type="text"
+          inputMode="numeric"
+          aria-label={`${MATRIX_LABELS[kind]} ${pid} ${names[j]}`}
+          value={value}
+          placeholder={kind === "max" ? String(view.allocation[i][j]) : "0"}
+          onChange={e => setEditing({ key, text: e.target.value })}
+          onBlur={commit}
+          onKeyDown={e => {
+            if (e.key === "Enter") commit();
+            if (e.key === "Escape") setEditing(null);
+          }}
+          onPaste={e => {
+            const text = e.clipboardData.getData("text");
+            if (!/[\s,;]/.test(text.trim())) return;
+            e.preventDefault();
+            setEditing(null);
+            onPasteBlock(kind, i, j, text);
+          }}
+        />
+      </td>
+    );
+  }
+
+  return (
+    <div className="table-wrap">
+      <table className="data-table matrix-grid">
+        <thead>
+          <tr>
+            <th></th>
+            {kinds.map(kind => (
+              <th key={kind} colSpan={names.length}>{MATRIX_LABELS[kind]}</th>
+            ))}
+            <th colSpan={names.length}>Need</th>
+          </tr>
+          <tr>
+            <th>Process</th>
+            {[0, 1, 2, 3].map(g =>
+              names.map(name => <th key={g + name}>{name}</th>)
+            )}
+          </tr>
+        </thead>
+        <tbody>
+          {processes.map((pid, i) => (
+            <tr key={pid}>
+              <th>{pid}</th>
+              {kinds.map(kind => names.map((name, j) => renderCell(kind, pid, i, j)))}
+              {view.need[i].map((v, j) => (
+                <td key={"need" + j} className={v < 0 ? "bad" : ""}>{v}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th>Instances</th>
+            {resources.map((r, j) => (
+              <td key={r.id} className={view.allocated[j] > r.instances ? "bad" : ""}>
+                {view.allocated[j]} / {r.instances}
+              </td>
+            ))}
+            <td colSpan={names.length * 3}></td>
+          </tr>
+          <tr>
+            <th>Available</th>
+            {view.available.map((v, j) => <td key={j}>{v}</td>)}
+            <td colSpan={names.length * 3}></td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+}
+
+// ---- Strategy comparison ----
+const Compare = DeadlockCompare;
+
+const CHART_WIDTH = 320;
+const BAR_HEIGHT = 14;
+
+// metrics table, one bar chart per metric and utilization over time
+function ComparisonView({ runs }) {
+  // the best value of a metric, or null when all runs tie
+  const best = metric => {
+    const values = runs.map(run => run.metrics[metric.key]);
+    const top = metric.lower ? Math.min(...values) : Math.max(...values);
+    return values.every(v => v === top) ? null : top;
+  };
+  return (
+    <div>
+      <div className="table-wrap">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Metric</th>
+              {runs.map(run => (
+                <th key={run.strategy}>{run.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Compare.METRICS.map(metric => (
+              <tr key={metric.key}>
+                <th>{metric.label}</th>
+                {runs.map(run => (
+                  <td
+                    key={run.strategy}
+                    className={run.metrics[metric.key] === best(metric) ? "best" : ""}
+                  >
+                    {Compare.formatMetric(run.metrics[metric.key])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            <tr>
+              <th>Finished / ticks</th>
+              {runs.map(run => (
+                <td key={run.strategy}>
+                  {run.finished} in {run.ticks}
+                  {!run.completed && " (cut off)"}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <div className="chart-grid">
+        {Compare.METRICS.map(metric => (
+          <MetricBars key={metric.key} metric={metric} runs={runs} />
+        ))}
+      </div>
+      <UtilizationChart runs={runs} />
+      {runs.some(run => run.events.length > 0) && (
+        <details>
+          <summary>Denials and recoveries</summary>
+          {runs.map(run => (
+            <div key={run.strategy}>
+              <strong>{run.label}</strong>
+              <ol className="sequence-list">
+                {run.events.map((e, k) => (
+                  <li key={k}>
+                    t={e.tick}: {e.text}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          ))}
+        </details>
+      )}
+    </div>
+  );
+}
+
+function MetricBars({ metric, runs }) {
+  const top = Math.max(...runs.map(run => run.metrics[metric.key]), 0) || 1;
+  const labelWidth = 120;
+  const room = CHART_WIDTH - labelWidth - 40;
+  return (
+    <figure className="chart">
+      <figcaption>{metric.label}</figcaption>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${runs.length * (BAR_HEIGHT + 6)}`}
+        width={CHART_WIDTH}
+      >
+        {runs.map((run, k) => {
+          const value = run.metrics[metric.key];
+          const y = k * (BAR_HEIGHT + 6);
+          return (
+            <g key={run.strategy} className={"series-" + k}>
+              <text x={0} y={y + BAR_HEIGHT - 3} className="chart-label">
+                {run.label}
+              </text>
+              <rect x={labelWidth} y={y} width={(room * value) / top} height={BAR_HEIGHT} />
+              <text
+                x={labelWidth + (room * value) / top + 4}
+                y={y + BAR_HEIGHT - 3}
+                className="chart-label"
+              >
+                {Compare.formatMetric(value)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </figure>
+  );
+}
+
+function UtilizationChart({ runs }) {
+  const width = 2 * CHART_WIDTH;
+  const height = 140;
+  const pad = 24;
+  const ticks = Math.max(...runs.map(run => run.utilization.length), 1);
+  const x = t => pad + ((width - 2 * pad) * t) / Math.max(1, ticks - 1);
+  const y = v => height - pad - ((height - 2 * pad) * v) / 100;
+  return (
+    <figure className="chart">
+      <figcaption>Resource utilization (%) per tick</figcaption>
+      <svg viewBox={`0 0 ${width} ${height}`} width="100%">
+        <line x1={pad} y1={y(0)} x2={width - pad} y2={y(0)} className="chart-axis" />
+        <line x1={pad} y1={y(0)} x2={pad} y2={y(100)} className="chart-axis" />
+        <text x={2} y={y(100) + 4} className="chart-label">100</text>
+        <text x={width - pad} y={height - 6} textAnchor="end" className="chart-label">
+          tick {ticks}
+        </text>
+        {runs.map((run, k) => (
+          <polyline
+            key={run.strategy}
+            className={"chart-line series-" + k}
+            points={run.utilization.map((v, t) => x(t) + "," + y(v)).join(" ")}
+          />
+        ))}
+      </svg>
+      <div className="chart-legend">
+        {runs.map((run, k) => (
+          <span key={run.strategy} className={"series-" + k}>
+            <i /> {run.label}
+          </span>
+        ))}
+      </div>
+    </figure>
+  );
+}
+
+// ---- Resource timeline ----
+const Timeline = DeadlockTimeline;
+
+// one color per resource, in the order resources first appear
+const RESOURCE_COLORS = [
+  "#2563eb",
+  "#10b981",
+  "#d97706",
+  "#8b5cf6",
+  "#ec4899",
+  "#0891b2",
+  "#65a30d",
+  "#64748b"
+];
+const LANE_HEIGHT = 12;
+const LANE_LABEL_WIDTH = 70;
+
+// Gantt bars per process and the history charts below them, all on one step
+// axis; clicking a step jumps there in the operation log.
+function ResourceTimeline({ timeline, labels, current, onSelect }) {
+  const width = 2 * CHART_WIDTH;
+  const steps = Math.max(1, timeline.steps);
+  const x = t => LANE_LABEL_WIDTH + ((width - LANE_LABEL_WIDTH - 8) * t) / steps;
+  const color = rid =>
+    RESOURCE_COLORS[timeline.resources.indexOf(rid) % RESOURCE_COLORS.length];
+
+  // vertical markers for the current step and the first deadlock
+  function markers(height) {
+    return (
+      <g>
+        <line
+          x1={x(current + 0.5)}
+          y1={0}
+          x2={x(current + 0.5)}
+          y2={height}
+          className="timeline-current"
+        />
+        {timeline.deadlockAt >= 0 && (
+          <g>
+            <line
+              x1={x(timeline.deadlockAt)}
+              y1={0}
+              x2={x(timeline.deadlockAt)}
+              y2={height}
+              className="timeline-deadlock"
+            />
+            <text x={x(timeline.deadlockAt) + 3} y={9} className="timeline-deadlock-label">
+              deadlock
+            </text>
+          </g>
+        )}
+      </g>
+    );
+  }
+
+  // transparent columns: hover shows the operation, click jumps to it
+  function stepColumns(height) {
+    return labels.map((label, t) => (
+      <rect
+        key={t}
+        x={x(t)}
+        y={0}
+        width={x(t + 1) - x(t)}
+        height={height}
+        className="timeline-step"
+        onClick={() => onSelect(t)}
+      >
+        <title>{`Step ${t}: ${label}`}</title>
+      </rect>
+    ));
+  }
+
+  const top = 14;
+  let y = top;
+  const bands = timeline.lanes.map(lane => {
+    const band = { lane, y, height: Math.max(1, lane.rids.length) * LANE_HEIGHT };
+    y += band.height + 6;
+    return band;
+  });
+  const ganttHeight = y + 4;
+
+  return (
+    <div>
+      <figure className="chart">
+        <figcaption>Held and waited for, per process</figcaption>
+        <svg viewBox={`0 0 ${width} ${ganttHeight}`} width="100%">
+          <defs>
+            {RESOURCE_COLORS.map((c, k) => (
+              <pattern
+                key={k}
+                id={"gantt-hatch-" + k}
+                width="6"
+                height="6"
+                patternUnits="userSpaceOnUse"
+                patternTransform="rotate(45)"
+              >
+                <line x1="0" y1="0" x2="0" y2="6" stroke={c} strokeWidth="3" />
+              </pattern>
+            ))}
+          </defs>
+          {stepColumns(ganttHeight)}
+          {bands.map(({ lane, y: bandY, height }) => (
+            <g key={lane.pid}>
+              <text x={0} y={bandY + height / 2 + 4} className="chart-label">
+                {lane.pid}
+              </text>
+              <line
+                x1={LANE_LABEL_WIDTH}
+                y1={bandY + height + 3}
+                x2={width - 8}
+                y2={bandY + height + 3}
+                className="chart-axis"
+              />
+              {timeline.bars
+                .filter(bar => bar.pid === lane.pid)
+                .map((bar, k) => {
+                  const laneY = bandY + lane.rids.indexOf(bar.rid) * LANE_HEIGHT;
+                  const c = color(bar.rid);
+                  const hatch =
+                    "url(#gantt-hatch-" +
+                    (timeline.resources.indexOf(bar.rid) % RESOURCE_COLORS.length) +
+                    ")";
+                  return (
+                    <rect
+                      key={k}
+                      x={x(bar.start)}
+                      y={laneY + 1}
+                      width={x(bar.end) - x(bar.start)}
+                      height={LANE_HEIGHT - 2}
+                      fill={bar.kind === "held" ? c : hatch}
+                      stroke={c}
+                      className="gantt-bar"
+                    >
+                      <title>
+                        {`${bar.pid} ${bar.kind === "held" ? "holds" : "waits for"} ` +
+                          `${bar.units} × ${bar.rid}, ` +
+                          (bar.end - bar.start > 1
+                            ? `steps ${bar.start}–${bar.end - 1}`
+                            : `step ${bar.start}`)}
+                      </title>
+                    </rect>
+                  );
+                })}
+            </g>
+          ))}
+          {markers(ganttHeight)}
+        </svg>
+        <div className="chart-legend">
+          {timeline.resources.map(rid => (
+            <span key={rid}>
+              <i style={{ background: color(rid) }} /> {rid}
+            </span>
+          ))}
+          <span>solid: held · hatched: waiting</span>
+        </div>
+      </figure>
+
+      <HistoryChart
+        title="Free instances per resource"
+        series={timeline.resources.map(rid => ({
+          id: rid,
+          color: color(rid),
+          values: timeline.free[rid]
+        }))}
+        x={x}
+        width={width}
+        markers={markers}
+        columns={stepColumns}
+      />
+      <HistoryChart
+        title="Blocked processes"
+        series={[{ id: "blocked", color: "var(--danger)", values: timeline.blocked }]}
+        x={x}
+        width={width}
+        markers={markers}
+        columns={stepColumns}
+      />
+    </div>
+  );
+}
+
+// a line per series over the steps; null values leave a gap
+function HistoryChart({ title, series, x, width, markers, columns }) {
+  const height = 110;
+  const pad = 16;
+  const top = Math.max(
+    1,
+    ...series.map(s => Math.max(0, ...s.values.filter(v => v !== null)))
+  );
+  const y = v => height - pad - ((height - 2 * pad) * v) / top;
+  // runs of consecutive non-null values
+  const segments = values => {
+    const runs = [];
+    values.forEach((v, t) => {
+      if (v === null) return;
+      const point = [x(t + 0.5), y(v)];
+      if (t > 0 && values[t - 1] !== null) runs[runs.length - 1].push(point);
+      else runs.push([point]);
+    });
+    return runs;
+  };
+  return (
+    <figure className="chart">
+      <figcaption>{title}</figcaption>
+      <svg viewBox={`0 0 ${width} ${height}`} width="100%">
+        {columns(height)}
+        <line x1={x(0)} y1={y(0)} x2={width - 8} y2={y(0)} className="chart-axis" />
+        <line x1={x(0)} y1={y(0)} x2={x(0)} y2={y(top)} className="chart-axis" />
+        <text x={x(0) - 4} y={y(top) + 4} textAnchor="end" className="chart-label">
+          {top}
+        </text>
+        <text x={x(0) - 4} y={y(0) + 4} textAnchor="end" className="chart-label">
+          0
+        </text>
+        <text x={width - 8} y={height - 2} textAnchor="end" className="chart-label">
+          step
+        </text>
+        {series.map(s =>
+          segments(s.values).map((points, k) =>
+            points.length === 1 ? (
+              <circle
+                key={s.id + k}
+                cx={points[0][0]}
+                cy={points[0][1]}
+                r="2"
+                fill={s.color}
+              />
+            ) : (
+              <polyline
+                key={s.id + k}
+                className="chart-line"
+                style={{ stroke: s.color }}
+                points={points.map(p => p.join(",")).join(" ")}
+              />
+            )
+          )
+        )}
+        {markers(height)}
+      </svg>
+    </figure>
+  );
+}
+
+// ---- Practice quiz ----
+const Quiz = DeadlockQuiz;
+
+// the matrices a quiz question shows: Max for Banker questions, Request for
+// detection questions; Need is left for the student to work out
+function QuizTables({ problem }) {
+  const { state } = problem;
+  const view = Engine.matrixView(state);
+  const names = state.resources.map(r => r.id);
+  const groups =
+    problem.kind === "banker"
+      ? [["Allocation", view.allocation], ["Max", view.max]]
+      : [["Allocation", view.allocation], ["Request", view.request]];
+  return (
+    <div className="table-wrap">
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th></th>
+            {groups.map(([title]) => (
+              <th key={title} colSpan={names.length}>{title}</th>
+            ))}
+          </tr>
+          <tr>
+            <th>Process</th>
+            {groups.map(([title]) =>
+              names.map(name => <th key={title + name}>{name}</th>)
+            )}
+          </tr>
+        </thead>
+        <tbody>
+          {state.processes.map((pid, i) => (
+            <tr key={pid}>
+              <th>{pid}</th>
+              {groups.map(([title, matrix]) =>
+                matrix[i].map((v, j) => <td key={title + j}>{v}</td>)
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="help-text">
+        Instances {formatVector(names)} ={" "}
+        {formatVector(state.resources.map(r => r.instances))}, Available ={" "}
+        {formatVector(view.available)}
+      </p>
+    </div>
+  );
+}
+
+function QuizPanel({ onLoad }) {
+  const [config, setConfig] = useState(Quiz.DEFAULT_CONFIG);
+  const [seed, setSeed] = useState(1);
+  const [quiz, setQuiz] = useState(null);
+  const [current, setCurrent] = useState(0);
+  // problem number -> { response, correct, feedback }
+  const [answers, setAnswers] = useState({});
+  const [sequenceText, setSequenceText] = useState("");
+  const [picked, setPicked] = useState([]);
+
+  function updateConfig(field, value) {
+    setConfig(prev => Object.assign({}, prev, { [field]: value }));
+  }
+
+  function toggleType(type) {
+    const types = config.types.includes(type)
+      ? config.types.filter(t => t !== type)
+      : Object.keys(Quiz.QUESTION_TYPES).filter(
+          t => t === type || config.types.includes(t)
+        );
+    updateConfig("types", types);
+  }
+
+  function handleGenerate(e) {
+    e.preventDefault();
+    if (config.types.length === 0) {
+      alert("Pick at least one question type.");
+      return;
+    }
+    setQuiz(Quiz.generateQuiz(config, parseInt(seed, 10) || 1));
+    setAnswers({});
+    goTo(0);
+  }
+
+  function goTo(k) {
+    setCurrent(k);
+    setSequenceText("");
+    setPicked([]);
+  }
+
+  function answer(response) {
+    const problem = quiz.problems[current];
+    const result = Quiz.grade(problem, response);
+    setAnswers(prev =>
+      Object.assign({}, prev, {
+        [problem.number]: Object.assign({ response }, result)
+      })
+    );
+  }
+
+  function handleExport(format) {
+    const doc = Quiz.resultsDocument(quiz, answers);
+    const name = "quiz-seed-" + quiz.seed;
+    if (format === "csv") {
+      downloadFile(name + ".csv", Quiz.resultsCsv(doc), "text/csv");
+    } else {
+      downloadFile(name + ".json", JSON.stringify(doc, null, 2), "application/json");
+    }
+  }
+
+  function renderAnswerInput(problem) {
+    if (problem.type === "sequence") {
+      return (
+        <form
+          onSubmit={e => {
+            e.preventDefault();
+            answer(sequenceText);
+          }}
+        >
+          <label>
+            Safe sequence
+            <input
+              type="text"
+              value={sequenceText}
+              onChange={e => setSequenceText(e.target.value)}
+              placeholder="P1 P3 P0 P2"
+            />
+          </label>
+          <button className="btn-primary" type="submit">
+            Check answer
+          </button>
+        </form>
+      );
+    }
+    if (problem.type === "deadlocked") {
+      return (
+        <div>
+          <div className="row">
+            {problem.state.processes.map(pid => (
+              <label key={pid} className="checkbox">
+                <input
+                  type="checkbox"
+                  checked={picked.includes(pid)}
+                  onChange={() =>
+                    setPicked(prev =>
+                      prev.includes(pid)
+                        ? prev.filter(p => p !== pid)
+                        : prev.concat(pid)
+                    )
+                  }
+                />
+                {pid}
+              </label>
+            ))}
+          </div>
+          <button className="btn-primary" type="button" onClick={() => answer(picked)}>
+            Check answer
+          </button>
+        </div>
+      );
+    }
+    return (
+      <div>
+        <button className="btn-primary" type="button" onClick={() => answer("yes")}>
+          Yes
+        </button>
+        <button className="btn-primary" type="button" onClick={() => answer("no")}>
+          No
+        </button>
+      </div>
+    );
+  }
+
+  function renderProblem(problem) {
+    const done = answers[problem.number];
+    return (
+      <div className="quiz-problem">
+        <h3>
+          Question {problem.number} of {quiz.problems.length}
+        </h3>
+        <QuizTables problem={problem} />
+        <p>
+          <strong>{problem.prompt}</strong>
+        </p>
+        {done ? (
+          <div>
+            <p className={"note " + (done.correct ? "granted" : "refused")}>
+              {done.feedback}
+            </p>
+            <button className="btn-ghost" type="button" onClick={() => onLoad(problem)}>
+              Load into simulator
+            </button>
+            {current + 1 < quiz.problems.length && (
+              <button className="btn-primary" type="button" onClick={() => goTo(current + 1)}>
+                Next question
+              </button>
+            )}
+          </div>
+        ) : (
+          renderAnswerInput(problem)
+        )}
+      </div>
+    );
+  }
+
+  const score = quiz ? Quiz.summarize(quiz, answers) : null;
+
+  return (
+    <div>
+      <form onSubmit={handleGenerate}>
+        <div className="row">
+          <label>
+            Processes
+            <input
+              type="number"
+              min="2"
+              max="8"
+              value={config.processes}
+              onChange={e => updateConfig("processes", e.target.value)}
+            />
+          </label>
+          <label>
+            Resources
+            <input
+              type="number"
+              min="1"
+              max="5"
+              value={config.resources}
+              onChange={e => updateConfig("resources", e.target.value)}
+            />
+          </label>
+          <label>
+            Questions
+            <input
+              type="number"
+              min="1"
+              max="30"
+              value={config.count}
+              onChange={e => updateConfig("count", e.target.value)}
+            />
+          </label>
+          <label>
+            Seed
+            <input type="number" value={seed} onChange={e => setSeed(e.target.value)} />
+          </label>
+        </div>
+        <div className="row">
+          {Object.keys(Quiz.QUESTION_TYPES).map(type => (
+            <label key={type} className="checkbox">
+              <input
+                type="checkbox"
+                checked={config.types.includes(type)}
+                onChange={() => toggleType(type)}
+              />
+              {Quiz.QUESTION_TYPES[type]}
+            </label>
+          ))}
+        </div>
+        <button
+          className="btn-ghost"
+          type="button"
+          onClick={() => setSeed(Math.floor(Math.random() * 1000000))}
+        >
+          Random seed
+        </button>
+        <button className="btn-primary" type="submit">
+          Start quiz
+        </button>
+      </form>
+
+      {quiz && (
+        <div>
+          <div className="quiz-nav">
+            {quiz.problems.map((p, k) => {
+              const a = answers[p.number];
+              return (
+                <button
+                  key={p.number}
+                  type="button"
+                  className={
+                    (k === current ? "btn-primary" : "btn-ghost") +
+                    (a ? (a.correct ? " right" : " wrong") : "")
+                  }
+                  onClick={() => goTo(k)}
+                >
+                  {p.number}
+                </button>
+              );
+            })}
+          </div>
+          {renderProblem(quiz.problems[current])}
+          <p className="help-text">
+            Score: {score.correct} / {score.answered} answered ({score.total}{" "}
+            questions).{" "}
+            {Object.keys(score.byType)
+              .map(type => {
+                const t = score.byType[type];
+                return `${Quiz.QUESTION_TYPES[type]} ${t.correct}/${t.answered}`;
+              })
+              .join(" · ")}
+          </p>
+          <button className="btn-ghost" type="button" onClick={() => handleExport("csv")}>
+            Export results (CSV)
+          </button>
+          <button className="btn-ghost" type="button" onClick={() => handleExport("json")}>
+            Export results (JSON)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---- Large systems ----
+const Bench = DeadlockBench;
+
+// generator settings, a benchmark of the current state and its timings
+function BenchmarkPanel({ state, onGenerate }) {
+  const [config, setConfig] = useState(Bench.DEFAULT_SYSTEM);
+  const [seed, setSeed] = useState(1);
+  const [rows, setRows] = useState(null);
+  const [size, setSize] = useState("");
+
+  function updateConfig(field, value) {
+    setConfig(prev => Object.assign({}, prev, { [field]: value }));
+  }
+
+  function handleGenerate(e) {
+    e.preventDefault();
+    const s = parseInt(seed, 10) || 1;
+    const system = Bench.generateSystem(config, s);
+    onGenerate(
+      system,
+      `Random system: ${system.processes.length} processes, ` +
+        `${system.resources.length} resources (seed ${s})`
+    );
+    setRows(null);
+  }
+
+  function handleRun() {
+    if (state.processes.length === 0) {
+      alert("Generate or build a system first.");
+      return;
+    }
+    setRows(Bench.benchmark(state, 3));
+    setSize(
+      `${state.processes.length} processes, ${state.resources.length} resources, ` +
+        `${state.assignments.length} assignment and ${state.requests.length} request edges`
+    );
+  }
+
+  const ms = value =>
+    value === null ? "—" : value < 0.1 ? value.toFixed(4) : value.toFixed(1);
+
+  return (
+    <div>
+      <form onSubmit={handleGenerate}>
+        <div className="row">
+          <label>
+            Processes
+            <input
+              type="number"
+              min="1"
+              max="20000"
+              value={config.processes}
+              onChange={e => updateConfig("processes", e.target.value)}
+            />
+          </label>
+          <label>
+            Resources
+            <input
+              type="number"
+              min="1"
+              max="2000"
+              value={config.resources}
+              onChange={e => updateConfig("resources", e.target.value)}
+            />
+          </label>
+          <label>
+            Max instances
+            <input
+              type="number"
+              min="1"
+              max="20"
+              value={config.maxInstances}
+              onChange={e => updateConfig("maxInstances", e.target.value)}
+            />
+          </label>
+          <label>
+            Waiting (%)
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={Math.round(config.waiting * 100)}
+              onChange={e => updateConfig("waiting", (parseFloat(e.target.value) || 0) / 100)}
+            />
+          </label>
+          <label>
+            Seed
+            <input type="number" value={seed} onChange={e => setSeed(e.target.value)} />
+          </label>
+        </div>
+        <button className="btn-primary" type="submit">
+          Generate large system
+        </button>
+        <button className="btn-ghost" type="button" onClick={handleRun}>
+          Run benchmark
+        </button>
+      </form>
+
+      {rows && (
+        <div className="table-wrap">
+          <p className="help-text">On {size}; median and best of 3 runs.</p>
+          <table>
+            <thead>
+              <tr>
+                <th>Operation</th>
+                <th>Median (ms)</th>
+                <th>Best (ms)</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.id}>
+                  <td>{row.label}</td>
+                  <td>{ms(row.ms)}</td>
+                  <td>{ms(row.best)}</td>
+                  <td>{row.summary}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---- Distributed detection ----
+const Distributed = DeadlockDistributed;
+
+const SITE_NODE_RADIUS = 14;
+
+// an arrowhead marker; ids must be unique in the page
+function arrowMarker(id, className) {
+  return (
+    <marker
+      id={id}
+      viewBox="0 0 10 10"
+      refX="9"
+      refY="5"
+      markerWidth="7"
+      markerHeight="7"
+      orient="auto-start-reverse"
+    >
+      <path d="M 0 0 L 10 5 L 0 10 z" className={className} />
+    </marker>
+  );
+}
+
+// `from` → `to` shortened to end on the rims of two node circles
+function rimToRim(from, to, radius) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const len = Math.hypot(dx, dy) || 1;
+  return {
+    x1: from.x + (dx * radius) / len,
+    y1: from.y + (dy * radius) / len,
+    x2: to.x - (dx * radius) / len,
+    y2: to.y - (dy * radius) / len
+  };
+}
+
+// one site's part of the Wait-For Graph, nodes on a circle
+function LocalWaitFor({ graph }) {
+  const size = 180;
+  const ring = size / 2 - SITE_NODE_RADIUS - 8;
+  const pos = {};
+  graph.nodes.forEach((node, k) => {
+    const angle = (2 * Math.PI * k) / graph.nodes.length - Math.PI / 2;
+    pos[node.pid] =
+      graph.nodes.length === 1
+        ? { x: size / 2, y: size / 2 }
+        : { x: size / 2 + ring * Math.cos(angle), y: size / 2 + ring * Math.sin(angle) };
+  });
+  const marker = "dist-arrow-" + graph.site;
+  return (
+    <figure className="chart">
+      <figcaption>
+        {graph.site}: {graph.edges.length === 0 ? "no edges" : graph.edges.length + " edge(s)"}
+      </figcaption>
+      <svg viewBox={`0 0 ${size} ${size}`} width={size} className="site-graph">
+        <defs>{arrowMarker(marker, "dist-arrow")}</defs>
+        {graph.edges.map(e => {
+          const line = rimToRim(pos[e.from], pos[e.to], SITE_NODE_RADIUS + 2);
+          return (
+            <g key={e.from + e.to + e.rid}>
+              <line {...line} className="dist-edge" markerEnd={`url(#${marker})`} />
+              <text
+                x={(line.x1 + line.x2) / 2 + 4}
+                y={(line.y1 + line.y2) / 2 - 4}
+                className="chart-label"
+              >
+                {e.rid}
+              </text>
+            </g>
+          );
+        })}
+        {graph.nodes.map(node => (
+          <g key={node.pid}>
+            <circle
+              cx={pos[node.pid].x}
+              cy={pos[node.pid].y}
+              r={SITE_NODE_RADIUS}
+              className={"dist-node" + (node.remote ? " remote" : "")}
+            />
+            <text
+              x={pos[node.pid].x}
+              y={pos[node.pid].y + 4}
+              textAnchor="middle"
+              className="dist-node-label"
+            >
+              {node.pid}
+            </text>
+          </g>
+        ))}
+      </svg>
+    </figure>
+  );
+}
+
+// The sites side by side with their processes, the coordinator above them,
+// and the messages in flight at `tick` as dots travelling along arrows.
+function SiteMap({ run, tick, sites, names, processes }) {
+  const width = 2 * CHART_WIDTH;
+  const gap = 10;
+  const boxWidth = (width - gap * (names.length + 1)) / names.length;
+  const perRow = Math.max(1, Math.floor((boxWidth - 10) / 40));
+  const top = run.algorithm === "coordinator" ? 60 : 10;
+  const isProcess = new Set(processes);
+  const localProcesses = site => processes.filter(pid => sites[pid] === site);
+  const localResources = site =>
+    Object.keys(sites).filter(id => sites[id] === site && !isProcess.has(id));
+  const rows = Math.max(
+    1,
+    ...names.map(site => Math.ceil(localProcesses(site).length / perRow))
+  );
+  const boxHeight = 34 + rows * 40;
+  const height = top + boxHeight + 8;
+
+  const boxX = k => gap + k * (boxWidth + gap);
+  const pos = {};
+  names.forEach((site, k) => {
+    localProcesses(site).forEach((pid, i) => {
+      pos[pid] = {
+        x: boxX(k) + 24 + (i % perRow) * 40,
+        y: top + 34 + Math.floor(i / perRow) * 40
+      };
+    });
+  });
+  const siteTop = site => ({
+    x: boxX(names.indexOf(site)) + boxWidth / 2,
+    y: top
+  });
+  const coordinator = { x: width / 2, y: 36 };
+  const endpoint = (id, site) =>
+    id === Distributed.COORDINATOR ? coordinator : pos[id] || siteTop(site);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} width="100%" className="site-map">
+      <defs>{arrowMarker("dist-arrow-message", "dist-arrow message")}</defs>
+      {run.algorithm === "coordinator" && (
+        <g>
+          <rect x={width / 2 - 70} y={6} width={140} height={30} rx="6" className="site-box" />
+          <text x={width / 2} y={25} textAnchor="middle" className="dist-node-label">
+            Coordinator
+          </text>
+        </g>
+      )}
+      {names.map((site, k) => (
+        <g key={site}>
+          <rect
+            x={boxX(k)}
+            y={top}
+            width={boxWidth}
+            height={boxHeight}
+            rx="6"
+            className="site-box"
+          />
+          <text x={boxX(k) + 8} y={top + 14} className="dist-node-label">
+            {site}
+          </text>
+          <text x={boxX(k) + boxWidth - 8} y={top + 14} textAnchor="end" className="chart-label">
+            {localResources(site).join(", ")}
+          </text>
+        </g>
+      ))}
+      {Object.keys(pos).map(pid => (
+        <g key={pid}>
+          <circle cx={pos[pid].x} cy={pos[pid].y} r={SITE_NODE_RADIUS} className="dist-node" />
+          <text x={pos[pid].x} y={pos[pid].y + 4} textAnchor="middle" className="dist-node-label">
+            {pid}
+          </text>
+        </g>
+      ))}
+      {Distributed.inFlight(run, tick).map((m, k) => {
+        const from = endpoint(m.from, m.fromSite);
+        const to = endpoint(m.to, m.toSite);
+        const line = rimToRim(from, to, SITE_NODE_RADIUS);
+        const f = (tick - m.sent + 0.5) / (m.arrive - m.sent);
+        return (
+          <g key={k}>
+            <line {...line} className="dist-message" markerEnd="url(#dist-arrow-message)" />
+            <circle
+              cx={line.x1 + (line.x2 - line.x1) * f}
+              cy={line.y1 + (line.y2 - line.y1) * f}
+              r="5"
+              className="dist-dot"
+            >
+              <title>{m.text}</title>
+            </circle>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// step control over a run: the site map, the coordinator's view and the
+// message log up to the current tick
+function DistributedRun({ run, sites, names, processes }) {
+  const [tick, setTick] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const last = run.lastTick;
+
+  useEffect(() => {
+    setTick(0);
+    setPlaying(false);
+  }, [run]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const timer = setInterval(() => {
+      setTick(t => Math.min(last, t + 1));
+    }, 800);
+    return () => clearInterval(timer);
+  }, [playing, last]);
+
+  useEffect(() => {
+    if (playing && tick >= last) setPlaying(false);
+  }, [playing, tick, last]);
+
+  const done = tick >= last;
+  const outcome = run.outcome && tick >= run.outcome.tick ? run.outcome : null;
+  const view = run.views ? run.views[Math.min(tick, run.views.length - 1)] : null;
+
+  return (
+    <div>
+      <div>
+        <button
+          type="button"
+          className="btn-ghost"
+          onClick={() => setTick(t => Math.max(0, t - 1))}
+          disabled={tick === 0}
+        >
+          Previous
+        </button>
+        <button
+          type="button"
+          className="btn-ghost"
+          onClick={() => setTick(t => Math.min(last, t + 1))}
+          disabled={done}
+        >
+          Next
+        </button>
+        <button
+          type="button"
+          className="btn-primary"
+          onClick={() => {
+            if (done) setTick(0);
+            setPlaying(p => !p);
+          }}
+        >
+          {playing ? "Pause" : "Play"}
+        </button>
+        <span className="help-text">
+          &nbsp;Tick {tick} / {last}
+        </span>
+      </div>
+
+      <SiteMap run={run} tick={tick} sites={sites} names={names} processes={processes} />
+      {view && (
+        <p className="help-text">
+          Coordinator's graph:{" "}
+          {view.length === 0
+            ? "empty"
+            : view.map(e => `${e.from}→${e.to} (${e.rid})`).join(", ")}
+        </p>
+      )}
+      {outcome && (
+        <p className={"note " + (outcome.phantom ? "waiting" : "refused")}>
+          {outcome.phantom ? "Phantom deadlock" : "Deadlock"} declared at tick{" "}
+          {outcome.tick}: {outcome.cycle.join(" → ")}
+        </p>
+      )}
+      {done && !run.outcome && <p className="note granted">No deadlock declared.</p>}
+      <ol className="sequence-list dist-log">
+        {run.log
+          .filter(entry => entry.tick <= tick)
+          .map((entry, k) => (
+            <li key={k} className={entry.kind}>
+              t={entry.tick}: {entry.text}
+            </li>
+          ))}
+      </ol>
+    </div>
+  );
+}
+
+function SafetyTrace({ result, resources }) {
+  const { trace, blocked } = result;
+  const [step, setStep] = useState(0); // number of trace rows revealed
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const timer = setInterval(() => {
+      setStep(s => Math.min(trace.length, s + 1));
+    }, 800);
+    return () => clearInterval(timer);
+  }, [playing, trace.length]);
+
+  useEffect(() => {
+    if (playing && step >= trace.length) setPlaying(false);
+  }, [playing, step, trace.length]);
+
+  if (trace.length === 0) {
+    return <p className="help-text">Nothing to trace.</p>;
+  }
+
+  const names = formatVector(resources.map(r => r.id));
+  const done = step >= trace.length;
+
+  return (
+    <div>
+      <div>
+        <button
+          type="button"
+          className="btn-ghost"
+          onClick={() => setStep(s => Math.max(0, s - 1))}
+          disabled={step === 0}
+        >
+          Previous
+        </button>
+        <button
+          type="button"
+          className="btn-ghost"
+          onClick={() => setStep(s => Math.min(trace.length, s + 1))}
+          disabled={done}
+        >
+          Next
+        </button>
+        <button
+          type="button"
+          className="btn-primary"
+          onClick={() => {
+            if (done) setStep(0);
+            setPlaying(p => !p);
+          }}
+        >
+          {playing ? "Pause" : "Play"}
+        </button>
+        <span className="help-text">
+          &nbsp;Step {step} / {trace.length}
+        </span>
+      </div>
+
+      <div className="table-wrap">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Pass</th>
+              <th>Process</th>
+              <th>Need {names}</th>
+              <th>Work {names}</th>
+              <th>Need ≤ Work?</th>
+              <th>Work after</th>
+            </tr>
+          </thead>
+          <tbody>
+            {trace.slice(0, step).map((t, k) => (
+              <tr key={k} className={k === step - 1 ? "current" : ""}>
+                <td>{k + 1}</td>
+                <td>{t.pass}</td>
+                <td>{t.pid}</td>
+                <td>{formatVector(t.need)}</td>
+                <td>{formatVector(t.work)}</td>
+                <td className={t.canFinish ? "ok" : "bad"}>
+                  {t.canFinish ? "yes → finishes" : "no → skip"}
+                </td>
+                <td>{formatVector(t.workAfter)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {done && (
+        result.safe ? (
+          <p className="help-text">
+            Every process finished: Finish[i] = true for all i, so the state is
+            safe.
+          </p>
+        ) : (
+          <div className="help-text">
+            A full pass made no progress. These processes can never proceed:
+            <ul>
+              {blocked.map(b => (
+                <li key={b.pid}>
+                  <strong>{b.pid}</strong> is blocked by {b.resources.join(", ")}{" "}
+                  (Need exceeds Work {formatVector(result.available)}).
+                </li>
+              ))}
+            </ul>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
 function App() {
   return <DeadlockSimulator />;
 }
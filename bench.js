@@ -0,0 +1,262 @@
+// Stress systems and timings: a seeded generator for large random systems
+// and a benchmark of the detection and safety algorithms on a state.
+//
+// Loaded as a plain <script> after engine.js it defines `DeadlockBench`;
+// under Node it is a CommonJS module.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine"));
+  } else {
+    root.DeadlockBench = factory(root.DeadlockEngine);
+  }
+})(this, function (Engine) {
+  "use strict";
+
+  const DEFAULT_SYSTEM = {
+    processes: 1000, // 1–20000
+    resources: 100, // 1–2000
+    maxInstances: 3, // instances per resource are drawn from 1..maxInstances
+    waiting: 0.3 // share of processes with a pending request
+  };
+
+  function withDefaults(config) {
+    const c = Object.assign({}, DEFAULT_SYSTEM, config);
+    const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, Math.floor(v) || lo));
+    return {
+      processes: clamp(c.processes, 1, 20000),
+      resources: clamp(c.resources, 1, 2000),
+      maxInstances: clamp(c.maxInstances, 1, 20),
+      waiting: Math.max(0, Math.min(1, Number(c.waiting) || 0))
+    };
+  }
+
+  // Every process takes up to three resources while units are free and
+  // declares a Max of up to two more on each; a share of them then waits for
+  // one more resource. Edges are built in one pass, so generating thousands
+  // of processes stays linear.
+  function generateSystem(config, seed) {
+    const c = withDefaults(config);
+    const random = Engine.seededRandom(seed);
+    const pick = n => Math.floor(random() * n);
+    const processes = [];
+    const resources = [];
+    const free = [];
+    for (let j = 0; j < c.resources; j++) {
+      const instances = 1 + pick(c.maxInstances);
+      resources.push({ id: "R" + (j + 1), instances });
+      free.push(instances);
+    }
+    const assignments = [];
+    const requests = [];
+    const max = {};
+    for (let i = 0; i < c.processes; i++) {
+      const pid = "P" + (i + 1);
+      processes.push(pid);
+      const held = {};
+      const count = 1 + pick(3);
+      for (let k = 0; k < count; k++) {
+        const j = pick(c.resources);
+        if (free[j] === 0 || held[j]) continue;
+        const units = 1 + pick(free[j]);
+        free[j] -= units;
+        held[j] = units;
+        assignments.push({ rid: resources[j].id, pid, units });
+      }
+      const row = {};
+      Object.keys(held).forEach(j => {
+        row[resources[j].id] = Math.min(resources[j].instances, held[j] + pick(3));
+      });
+      if (random() < c.waiting) {
+        const j = pick(c.resources);
+        const room = resources[j].instances - (held[j] || 0);
+        if (room > 0) {
+          const units = 1 + pick(room);
+          requests.push({ rid: resources[j].id, pid, units });
+          row[resources[j].id] = Math.max(row[resources[j].id] || 0, (held[j] || 0) + units);
+        }
+      }
+      max[pid] = row;
+    }
+    return Object.assign(Engine.emptyState(), {
+      processes,
+      resources,
+      assignments,
+      requests,
+      max
+    });
+  }
+
+  // `size` processes in one circle: each holds its own single-instance
+  // resource and waits for the next one's, the worst case for the cycle
+  // search.
+  function ringSystem(size) {
+    const n = Math.max(2, Math.floor(size) || 2);
+    const processes = [];
+    const resources = [];
+    const assignments = [];
+    const requests = [];
+    for (let i = 0; i < n; i++) {
+      const pid = "P" + (i + 1);
+      const rid = "R" + (i + 1);
+      processes.push(pid);
+      resources.push({ id: rid, instances: 1 });
+      assignments.push({ rid, pid, units: 1 });
+      requests.push({ rid: "R" + (((i + 1) % n) + 1), pid, units: 1 });
+    }
+    return Object.assign(Engine.emptyState(), { processes, resources, assignments, requests });
+  }
+
+  // ---- benchmark ----
+  const now =
+    typeof performance !== "undefined" && performance.now
+      ? () => performance.now()
+      : () => Date.now();
+
+  // incremental checks timed per benchmark run
+  const INCREMENTAL_SAMPLE = 200;
+  // processes on the single cycle of the "ring" case
+  const RING_SIZE = 5000;
+  // The step trace keeps Need and Work for every test it makes; past this
+  // many processes or resources (the page's drawing limit) it is not run,
+  // just as the page checks safety without it.
+  const TRACE_LIMIT = 100;
+
+  // the state with copies of its edge lists, so no index is cached for them
+  function cold(state) {
+    return Object.assign({}, state, {
+      assignments: state.assignments.slice(),
+      requests: state.requests.slice()
+    });
+  }
+
+  const plural = (n, word, many = word + "s") => `${n} ${n === 1 ? word : many}`;
+
+  // Each case prepares its input untimed and returns the timed `run`, which
+  // gives back a one-line summary of its result. A case with `skip` is left
+  // out when that returns a reason for the state.
+  const CASES = [
+    {
+      id: "index",
+      label: "Index the edges (holders, holdings)",
+      prepare: state => () => {
+        const s = cold(state);
+        Engine.edgeIndex(s.assignments);
+        Engine.edgeIndex(s.requests);
+        return (
+          plural(s.assignments.length, "assignment edge") + ", " +
+          plural(s.requests.length, "request edge")
+        );
+      }
+    },
+    {
+      id: "wfg",
+      label: "Build the Wait-For Graph",
+      prepare: state => () => {
+        const wfg = Engine.buildWaitForGraph(cold(state));
+        const edges = Object.keys(wfg).reduce((sum, pid) => sum + wfg[pid].length, 0);
+        return plural(edges, "wait-for edge");
+      }
+    },
+    {
+      id: "detect",
+      label: "Deadlock detection (full)",
+      prepare: state => () => {
+        const result = Engine.detectDeadlock(cold(state));
+        return (
+          (result.algorithm === "wfg" ? "Wait-For cycles: " : "matrix algorithm: ") +
+          (result.hasDeadlock
+            ? plural(result.deadlocked.length, "process", "processes") + " deadlocked"
+            : "no deadlock")
+        );
+      }
+    },
+    {
+      id: "incremental",
+      label: "Incremental check per waiting process",
+      perCheck: true,
+      prepare: state => {
+        const waiting = [...new Set(state.requests.map(e => e.pid))].slice(
+          0,
+          INCREMENTAL_SAMPLE
+        );
+        // as right after a request: the index of the new edges is in place
+        Engine.edgeIndex(state.assignments);
+        Engine.edgeIndex(state.requests);
+        const run = () => {
+          const onCycle = waiting.filter(pid => Engine.cycleThrough(state, pid).length > 0);
+          return (
+            `${onCycle.length} of ` +
+            plural(waiting.length, "waiting process", "waiting processes") +
+            " on a cycle"
+          );
+        };
+        run.checks = waiting.length;
+        return run;
+      }
+    },
+    {
+      id: "safety",
+      label: "Banker safety",
+      prepare: state => () => {
+        const result = Engine.bankerSafety(cold(state), { trace: false });
+        return result.safe ? "safe" : "not safe";
+      }
+    },
+    {
+      id: "safety-trace",
+      label: "Banker safety with the step trace",
+      skip: state =>
+        state.processes.length > TRACE_LIMIT || state.resources.length > TRACE_LIMIT
+          ? `not run: more than ${TRACE_LIMIT} processes or resources`
+          : null,
+      prepare: state => () => {
+        const result = Engine.bankerSafety(cold(state));
+        return plural(result.trace ? result.trace.length : 0, "Need <= Work test");
+      }
+    },
+    {
+      // independent of the state: one long cycle through every process
+      id: "ring",
+      label: `Deadlock detection on one ${RING_SIZE}-process cycle`,
+      prepare: () => {
+        const ring = ringSystem(RING_SIZE);
+        return () => {
+          const result = Engine.detectDeadlock(cold(ring));
+          return (
+            plural(result.cycles.length, "cycle") + " through " +
+            plural(result.deadlocked.length, "process", "processes")
+          );
+        };
+      }
+    }
+  ];
+
+  // Runs every case `repeat` times on `state`; times are in milliseconds, the
+  // median and best of the runs. The incremental check reports the time of a
+  // single check. A case left out has null times and the reason as summary.
+  function benchmark(state, repeat = 3) {
+    return CASES.map(c => {
+      const reason = c.skip ? c.skip(state) : null;
+      if (reason) return { id: c.id, label: c.label, ms: null, best: null, summary: reason };
+      const run = c.prepare(state);
+      const times = [];
+      let summary = "";
+      for (let k = 0; k < Math.max(1, repeat); k++) {
+        const started = now();
+        summary = run();
+        const elapsed = now() - started;
+        times.push(c.perCheck ? elapsed / Math.max(1, run.checks) : elapsed);
+      }
+      times.sort((a, b) => a - b);
+      return {
+        id: c.id,
+        label: c.label,
+        ms: times[Math.floor(times.length / 2)],
+        best: times[0],
+        summary
+      };
+    });
+  }
+
+  return { DEFAULT_SYSTEM, TRACE_LIMIT, generateSystem, ringSystem, benchmark };
+});
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+// Command-line front end for engine.js. Loads a scenario file (as written by
+// "Export JSON" in the simulator) and prints deadlock detection and Banker
+// safety results as text or JSON, or the Banker tables as Markdown or LaTeX.
+"use strict";
+
+const fs = require("fs");
+const Engine = require("./engine");
+
+const SEQUENCE_LIST_LIMIT = 500;
+
+const USAGE = [
+  "Usage: node cli.js <scenario.json> [--json | --markdown | --latex] [--sequences]",
+  "",
+  "  --json       print the full results as JSON",
+  "  --markdown   print Allocation / Max / Need and the safety result as Markdown",
+  "  --latex      the same as a LaTeX tabular",
+  "  --sequences  also list every safe sequence (up to " + SEQUENCE_LIST_LIMIT + "),",
+  "               with the text or JSON output",
+  "",
+  "Exit status: 0 when the scenario was analysed, 1 on bad arguments or an",
+  "unreadable or invalid scenario file."
+].join("\n");
+
+const FORMATS = { "--json": "json", "--markdown": "markdown", "--latex": "latex" };
+
+function parseArgs(argv) {
+  const options = { file: null, format: "text", sequences: false, help: false };
+  for (const arg of argv) {
+    if (FORMATS[arg] && options.format !== "text") {
+      return { error: "Only one of --json, --markdown and --latex can be given." };
+    }
+    if (FORMATS[arg]) options.format = FORMATS[arg];
+    else if (arg === "--sequences") options.sequences = true;
+    else if (arg === "-h" || arg === "--help") options.help = true;
+    else if (arg.startsWith("-")) return { error: "Unknown option " + arg };
+    else if (options.file) return { error: "Only one scenario file can be given." };
+    else options.file = arg;
+  }
+  if (options.sequences && (options.format === "markdown" || options.format === "latex")) {
+    return { error: "--sequences cannot be combined with --markdown or --latex." };
+  }
+  if (!options.file && !options.help) return { error: "No scenario file given." };
+  return { options };
+}
+
+// detection and safety results for a validated scenario
+function analyse(scenario, options) {
+  const detection = Engine.detectDeadlock(scenario);
+  const safety = Engine.bankerSafety(scenario);
+  if (options.sequences && safety.safe && safety.matrices) {
+    safety.allSequences = Engine.enumerateSafeSequences(
+      scenario,
+      safety.matrices,
+      SEQUENCE_LIST_LIMIT
+    );
+  }
+  return { name: scenario.name, detection, safety };
+}
+
+function formatReport(scenario, report) {
+  const lines = [];
+  if (report.name) lines.push("Scenario: " + report.name);
+  lines.push("Processes: " + (scenario.processes.join(", ") || "none"));
+  lines.push(
+    "Resources: " +
+    (scenario.resources.map(r => `${r.id} ×${r.instances}`).join(", ") || "none")
+  );
+
+  const { detection, safety } = report;
+  lines.push("", "Deadlock detection");
+  lines.push("  " + Engine.describeDetection(detection));
+  if (detection.hasDeadlock && detection.cycles.length > 1) {
+    lines.push("  Cycles:");
+    detection.cycles.forEach(cycle => lines.push("    " + cycle.join(" → ")));
+  }
+  lines.push("  " + detection.reason);
+
+  lines.push("", "Banker safety");
+  lines.push("  " + Engine.describeSafety(safety));
+  if (safety.matrices) {
+    const names = Engine.formatVector(scenario.resources.map(r => r.id));
+    const rows = [["Process", "Allocation " + names, "Max " + names, "Need " + names]];
+    scenario.processes.forEach((pid, i) => {
+      rows.push([
+        pid,
+        Engine.formatVector(safety.matrices.allocation[i]),
+        Engine.formatVector(safety.matrices.max[i]),
+        Engine.formatVector(safety.matrices.need[i])
+      ]);
+    });
+    const widths = rows[0].map((cell, c) =>
+      Math.max(...rows.map(row => row[c].length))
+    );
+    rows.forEach(row => {
+      lines.push("  " + row.map((cell, c) => cell.padEnd(widths[c])).join("  ").trimEnd());
+    });
+    lines.push("  Available " + Engine.formatVector(safety.matrices.available));
+  }
+  (safety.blocked || []).forEach(b => {
+    lines.push(`  ${b.pid} is blocked by ${b.resources.join(", ")}.`);
+  });
+  if (safety.allSequences) {
+    const all = safety.allSequences;
+    lines.push(
+      "",
+      `${all.exceeded ? "More than " : ""}${all.total} safe sequence(s)` +
+      (all.truncated ? `, first ${all.sequences.length} listed:` : ":")
+    );
+    all.sequences.forEach(seq => lines.push("  " + seq.join(" → ")));
+  }
+  return lines.join("\n");
+}
+
+// Runs the tool; output goes through `out` and `err` so tests can capture it.
+// Returns the exit status.
+function main(argv, out, err) {
+  const parsed = parseArgs(argv);
+  if (parsed.error) {
+    err(parsed.error + "\n\n" + USAGE);
+    return 1;
+  }
+  const options = parsed.options;
+  if (options.help) {
+    out(USAGE);
+    return 0;
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(options.file, "utf8"));
+  } catch (e) {
+    err(`Could not read ${options.file}: ${e.message}`);
+    return 1;
+  }
+  const { errors, scenario } = Engine.validateScenario(doc);
+  if (errors.length > 0) {
+    err(`${options.file} is not a valid scenario:\n` + errors.map(e => "  " + e).join("\n"));
+    return 1;
+  }
+
+  if (options.format === "markdown") {
+    out(Engine.formatMarkdownTables(scenario).trimEnd());
+    return 0;
+  }
+  if (options.format === "latex") {
+    out(Engine.formatLatexTables(scenario).trimEnd());
+    return 0;
+  }
+  const report = analyse(scenario, options);
+  out(
+    options.format === "json"
+      ? JSON.stringify(report, null, 2)
+      : formatReport(scenario, report)
+  );
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(
+    process.argv.slice(2),
+    text => process.stdout.write(text + "\n"),
+    text => process.stderr.write(text + "\n")
+  );
+}
+
+module.exports = { main, analyse, formatReport };
@@ -0,0 +1,277 @@
+// Strategy comparison: the same workload run headless under each deadlock
+// strategy, with the metrics that show what each one costs.
+//
+// Workloads are the parsed scripts of the Automatic Simulation,
+// { [pid]: [step] } with steps { type: "request" | "release", rid, units }
+// and { type: "hold", ticks }. Ticks work as in the page: every tick each
+// process in turn takes one step, and a waiting process continues once its
+// request has been granted. The run looks for a deadlock every `detectEvery`
+// ticks. Ignoring deadlocks only records one: its processes stay blocked and
+// the run is cut off at the tick limit. Every other strategy recovers by
+// aborting victims, which start their workload over.
+//
+// Loaded as a plain <script> after engine.js it defines `DeadlockCompare`;
+// under Node it is a CommonJS module.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine"));
+  } else {
+    root.DeadlockCompare = factory(root.DeadlockEngine);
+  }
+})(this, function (Engine) {
+  "use strict";
+
+  // `recover: false` leaves a deadlock in place
+  const STRATEGIES = [
+    { id: "ignore", label: "Ignore (ostrich)", options: {}, recover: false },
+    { id: "detect-recover", label: "Detect & recover", options: {} },
+    { id: "banker", label: "Banker avoidance", options: { avoidance: "banker" } },
+    {
+      id: "ordering",
+      label: "Resource ordering",
+      options: { prevention: "resource-ordering" }
+    }
+  ];
+
+  // `lower` marks the metrics where a smaller value is better
+  const METRICS = [
+    { key: "deadlocks", label: "Deadlocks", lower: true },
+    { key: "aborted", label: "Processes aborted", lower: true },
+    { key: "avgWait", label: "Average wait (ticks)", lower: true },
+    { key: "maxWait", label: "Max wait (ticks)", lower: true },
+    { key: "utilization", label: "Resource utilization (%)", lower: false },
+    { key: "throughput", label: "Throughput (finished / 10 ticks)", lower: false },
+    { key: "denied", label: "Requests denied", lower: true }
+  ];
+
+  // a run that has not finished by then is cut off
+  const TICK_LIMIT = 500;
+
+  // ---- preparing the workload ----
+  // Banker needs a declared Max: what each process already holds plus the
+  // most its workload ever holds on top of that.
+  function declareMax(state, workloads) {
+    const max = Object.assign({}, state.max);
+    Object.keys(workloads).forEach(pid => {
+      const held = {};
+      const peak = {};
+      state.resources.forEach(r => {
+        held[r.id] = Engine.unitsOn(state.assignments, pid, r.id);
+        peak[r.id] = held[r.id];
+      });
+      workloads[pid].forEach(step => {
+        if (step.type === "request") {
+          held[step.rid] += step.units;
+          peak[step.rid] = Math.max(peak[step.rid], held[step.rid]);
+        } else if (step.type === "release") {
+          held[step.rid] = step.units === null ? 0 : Math.max(0, held[step.rid] - step.units);
+        }
+      });
+      max[pid] = {};
+      state.resources.forEach(r => {
+        max[pid][r.id] = Math.min(r.instances, peak[r.id]);
+      });
+    });
+    return Object.assign({}, state, { max });
+  }
+
+  // Under resource ordering a program asks for resources in the global
+  // order: the requests between two releases are issued by resource rank,
+  // holds staying where they were.
+  function orderRequests(state, steps) {
+    const rank = rid => state.resources.findIndex(r => r.id === rid);
+    const ordered = steps.slice();
+    let start = 0;
+    for (let k = 0; k <= steps.length; k++) {
+      if (k < steps.length && steps[k].type !== "release") continue;
+      const slots = [];
+      for (let j = start; j < k; j++) {
+        if (steps[j].type === "request") slots.push(j);
+      }
+      slots
+        .map(j => steps[j])
+        .sort((a, b) => rank(a.rid) - rank(b.rid))
+        .forEach((step, i) => {
+          ordered[slots[i]] = step;
+        });
+      start = k + 1;
+    }
+    return ordered;
+  }
+
+  // ---- one run ----
+  // settings: { detectEvery, seed } plus engine options such as queuePolicy
+  // and victimPolicy; the strategy's own options take precedence.
+  function runStrategy(initial, workloads, strategy, settings) {
+    const s = Object.assign({ detectEvery: 1, seed: 1 }, settings);
+    const options = Object.assign(
+      {},
+      Engine.DEFAULT_OPTIONS,
+      s,
+      { avoidance: false, prevention: "none", random: Engine.seededRandom(s.seed) },
+      strategy.options
+    );
+    const scripts = {};
+    Object.keys(workloads).forEach(pid => {
+      scripts[pid] =
+        strategy.id === "ordering" ? orderRequests(initial, workloads[pid]) : workloads[pid];
+    });
+    let state = strategy.id === "banker" ? declareMax(initial, workloads) : initial;
+
+    const procs = {};
+    state.processes.forEach(pid => {
+      procs[pid] = { pc: 0, holdLeft: 0, status: scripts[pid] ? "ready" : "finished" };
+    });
+    const totalUnits = state.resources.reduce((sum, r) => sum + r.instances, 0);
+    const waits = [];
+    const utilization = [];
+    const events = [];
+    let deadlocks = 0;
+    let aborted = 0;
+    let denied = 0;
+    let finished = 0;
+    let tick = 0;
+    const ignored = new Set(); // deadlocked processes left blocked
+
+    function advance(pid) {
+      const p = procs[pid];
+      const steps = scripts[pid] || [];
+      if (p.status === "finished") return;
+      if (p.status === "waiting") {
+        if (Engine.unitsOn(state.requests, pid, steps[p.pc].rid) > 0) return;
+        waits.push(tick - p.since);
+        procs[pid] = { pc: p.pc + 1, holdLeft: 0, status: "ready" };
+        return;
+      }
+      if (p.status === "holding") {
+        procs[pid] =
+          p.holdLeft > 1
+            ? Object.assign({}, p, { holdLeft: p.holdLeft - 1 })
+            : { pc: p.pc + 1, holdLeft: 0, status: "ready" };
+        return;
+      }
+      if (p.pc >= steps.length) {
+        state = Engine.finish(state, pid, options).state;
+        procs[pid] = Object.assign({}, p, { status: "finished" });
+        finished++;
+        return;
+      }
+
+      const step = steps[p.pc];
+      if (step.type === "hold") {
+        procs[pid] =
+          step.ticks > 1
+            ? Object.assign({}, p, { status: "holding", holdLeft: step.ticks - 1 })
+            : Object.assign({}, p, { pc: p.pc + 1 });
+        return;
+      }
+      const free = Engine.freeUnits(state, step.rid);
+      const result =
+        step.type === "request"
+          ? Engine.request(state, pid, step.rid, step.units, options)
+          : Engine.release(state, pid, step.rid, step.units, options);
+      const kind = result.note.kind;
+      state = result.state;
+      // refused outright, or deferred by avoidance although the units were free
+      if (kind === "refused" || (kind === "waiting" && step.units <= free)) {
+        denied++;
+        events.push({ tick, pid, text: result.note.text });
+      }
+      if (kind === "error" || kind === "refused") {
+        // the step cannot ever succeed; skip it rather than stall the process
+        procs[pid] = Object.assign({}, p, { pc: p.pc + 1 });
+      } else if (kind === "waiting") {
+        procs[pid] = Object.assign({}, p, { status: "waiting", since: tick });
+      } else {
+        if (step.type === "request") waits.push(0);
+        procs[pid] = Object.assign({}, p, { pc: p.pc + 1 });
+      }
+    }
+
+    const done = () => state.processes.every(pid => procs[pid].status === "finished");
+    while (!done() && tick < TICK_LIMIT) {
+      tick++;
+      state.processes.forEach(advance);
+      if (tick % Math.max(1, s.detectEvery) === 0 && strategy.recover === false) {
+        const stuck = Engine.detectDeadlock(state).deadlocked.filter(pid => !ignored.has(pid));
+        if (stuck.length > 0) {
+          deadlocks++;
+          stuck.forEach(pid => ignored.add(pid));
+          events.push({
+            tick,
+            pid: null,
+            text: "Deadlock; " + stuck.join(", ") + " left blocked."
+          });
+        }
+      } else if (tick % Math.max(1, s.detectEvery) === 0) {
+        const recovery = Engine.recover(state, "abort-one", true, options);
+        if (recovery) {
+          deadlocks++;
+          aborted += recovery.victims.length;
+          state = recovery.state;
+          recovery.victims.forEach(pid => {
+            procs[pid] = { pc: 0, holdLeft: 0, status: "ready" };
+          });
+          events.push({
+            tick,
+            pid: null,
+            text: "Deadlock; aborted " + recovery.victims.join(", ") + " to restart."
+          });
+        }
+      }
+      // units held in a deadlock left alone do no work
+      const working =
+        ignored.size > 0 ? state.assignments.filter(e => !ignored.has(e.pid)) : state.assignments;
+      const used = state.resources.reduce(
+        (sum, r) => sum + Engine.allocatedUnits(working, r.id),
+        0
+      );
+      utilization.push(totalUnits > 0 ? (100 * used) / totalUnits : 0);
+    }
+
+    // waits still open when the run ends count up to its last tick
+    state.processes.forEach(pid => {
+      if (procs[pid].status === "waiting") waits.push(tick - procs[pid].since);
+    });
+    const mean = list => (list.length > 0 ? list.reduce((a, b) => a + b, 0) / list.length : 0);
+    return {
+      strategy: strategy.id,
+      label: strategy.label,
+      completed: done(),
+      ticks: tick,
+      finished,
+      metrics: {
+        deadlocks,
+        aborted,
+        avgWait: mean(waits),
+        maxWait: waits.length > 0 ? Math.max(...waits) : 0,
+        utilization: mean(utilization),
+        throughput: tick > 0 ? (10 * finished) / tick : 0,
+        denied
+      },
+      utilization,
+      events
+    };
+  }
+
+  // Every strategy on the same state, workload and seed.
+  function compareStrategies(state, workloads, settings) {
+    return STRATEGIES.map(strategy => runStrategy(state, workloads, strategy, settings));
+  }
+
+  // one or two decimals, whole numbers as they are
+  function formatMetric(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(value < 10 ? 2 : 1);
+  }
+
+  return {
+    STRATEGIES,
+    METRICS,
+    TICK_LIMIT,
+    declareMax,
+    orderRequests,
+    runStrategy,
+    compareStrategies,
+    formatMetric
+  };
+});
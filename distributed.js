@@ -0,0 +1,301 @@
+// Distributed deadlock detection: processes and resources spread over
+// sites, the Wait-For Graph each site can see, and two detection
+// algorithms played out as messages between the sites.
+//
+// Sites are a map { [pid or rid]: site }. A wait-for edge Pi → Pj is known
+// at the site of the resource Pi waits for, where Pi's request and Pj's
+// holding meet; the local graphs together make up the global one. Time runs
+// in ticks, and a message sent at tick t by a site with latency d arrives
+// at tick t + d; between two processes of the same site it takes one tick.
+//
+// A run is { algorithm, messages, log, lastTick, outcome } where
+//   messages: [{ from, to, fromSite, toSite, sent, arrive, text }]
+//   log:      [{ tick, kind, text }], kind "send", "receive", "drop",
+//             "deadlock", "phantom" or "none"
+//   outcome:  { tick, cycle, phantom } once a deadlock is declared, else null
+// The coordinator run also has `views`, the edges the coordinator knows
+// after each tick.
+//
+// Loaded as a plain <script> after engine.js it defines
+// `DeadlockDistributed`; under Node it is a CommonJS module.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine"));
+  } else {
+    root.DeadlockDistributed = factory(root.DeadlockEngine);
+  }
+})(this, function (Engine) {
+  "use strict";
+
+  const SITE_LIMIT = 6;
+  const COORDINATOR = "coordinator";
+
+  function siteNames(count) {
+    const n = Math.max(1, Math.min(SITE_LIMIT, Math.floor(count) || 1));
+    return Array.from({ length: n }, (_, k) => "S" + (k + 1));
+  }
+
+  // processes and resources dealt round-robin over `count` sites
+  function defaultSites(state, count) {
+    const names = siteNames(count);
+    const sites = {};
+    state.processes.forEach((pid, i) => {
+      sites[pid] = names[i % names.length];
+    });
+    state.resources.forEach((r, j) => {
+      sites[r.id] = names[j % names.length];
+    });
+    return sites;
+  }
+
+  const latencyOf = (settings, site) =>
+    Math.max(1, Math.floor((settings && settings.latency && settings.latency[site]) || 1));
+
+  const edgeText = e => `${e.from}→${e.to} (${e.rid})`;
+
+  // every wait-for edge with the resource it comes from and the site that
+  // knows it, keyed "from to rid"
+  function siteEdges(state, sites) {
+    const edges = new Map();
+    state.requests.forEach(({ pid, rid }) => {
+      Engine.holdersOf(state.assignments, rid).forEach(holder => {
+        if (holder === pid) return;
+        const key = pid + " " + holder + " " + rid;
+        if (!edges.has(key)) edges.set(key, { from: pid, to: holder, rid, site: sites[rid] });
+      });
+    });
+    return edges;
+  }
+
+  // The part of the Wait-For Graph `site` knows: its edges, and as nodes
+  // its own processes plus the remote ones its edges mention.
+  function localWaitFor(state, sites, site) {
+    const edges = [];
+    siteEdges(state, sites).forEach(e => {
+      if (e.site === site) edges.push({ from: e.from, to: e.to, rid: e.rid });
+    });
+    const mentioned = new Set();
+    edges.forEach(e => {
+      mentioned.add(e.from);
+      mentioned.add(e.to);
+    });
+    const nodes = state.processes
+      .filter(pid => sites[pid] === site || mentioned.has(pid))
+      .map(pid => ({ pid, remote: sites[pid] !== site }));
+    return { site, nodes, edges };
+  }
+
+  // first cycle in a list of { from, to } edges, [] if there is none
+  function cycleIn(edges) {
+    const graph = {};
+    edges.forEach(e => {
+      if (!graph[e.from]) graph[e.from] = [];
+      if (!graph[e.to]) graph[e.to] = [];
+      if (!graph[e.from].includes(e.to)) graph[e.from].push(e.to);
+    });
+    const nodes = Object.keys(graph).sort();
+    return Engine.elementaryCycles(graph, nodes, 1).cycles[0] || [];
+  }
+
+  // ---- centralized coordinator ----
+  // `states` are the system's states one tick apart. Whenever its local
+  // graph changes, a site reports the added and removed edges to the
+  // coordinator, which checks its union of the reports for a cycle after
+  // every delivery. Reports from a slow site can arrive after newer ones
+  // from a fast site, and the cycle found may then no longer exist (or
+  // never have existed): a phantom deadlock.
+  function runCoordinator(states, sites, settings) {
+    const messages = [];
+    const log = [];
+    let before = new Map();
+    states.forEach((state, t) => {
+      const now = siteEdges(state, sites);
+      const reports = {};
+      const report = site => {
+        if (!reports[site]) reports[site] = { added: [], removed: [] };
+        return reports[site];
+      };
+      before.forEach((e, key) => {
+        if (!now.has(key)) report(e.site).removed.push(e);
+      });
+      now.forEach((e, key) => {
+        if (!before.has(key)) report(e.site).added.push(e);
+      });
+      Object.keys(reports)
+        .sort()
+        .forEach(site => {
+          const { added, removed } = reports[site];
+          const text = added
+            .map(e => "+" + edgeText(e))
+            .concat(removed.map(e => "−" + edgeText(e)))
+            .join(", ");
+          messages.push({
+            from: site,
+            to: COORDINATOR,
+            fromSite: site,
+            toSite: COORDINATOR,
+            sent: t,
+            arrive: t + latencyOf(settings, site),
+            added,
+            removed,
+            text
+          });
+          log.push({ tick: t, kind: "send", text: `${site} reports ${text}.` });
+        });
+      before = now;
+    });
+
+    const known = new Map();
+    const views = [];
+    const lastSent = states.length - 1;
+    const lastArrival = messages.reduce((last, m) => Math.max(last, m.arrive), lastSent);
+    let outcome = null;
+    let tick = 0;
+    for (; tick <= lastArrival && !outcome; tick++) {
+      const arriving = messages.filter(m => m.arrive === tick);
+      arriving.forEach(m => {
+        m.removed.forEach(e => known.delete(e.from + " " + e.to + " " + e.rid));
+        m.added.forEach(e => known.set(e.from + " " + e.to + " " + e.rid, e));
+        log.push({
+          tick,
+          kind: "receive",
+          text: `Coordinator receives ${m.fromSite}'s report from tick ${m.sent}.`
+        });
+      });
+      const edges = [...known.values()];
+      views.push(edges);
+      if (arriving.length === 0) continue;
+      const cycle = cycleIn(edges);
+      if (cycle.length === 0) continue;
+      // the cycle is real only if every edge of it exists right now
+      const truth = Engine.buildWaitForGraph(states[Math.min(tick, lastSent)]);
+      const real = cycle.slice(1).every((pid, k) => (truth[cycle[k]] || []).includes(pid));
+      outcome = { tick, cycle, phantom: !real };
+      log.push({
+        tick,
+        kind: real ? "deadlock" : "phantom",
+        text: real
+          ? `Coordinator declares a deadlock: ${cycle.join(" → ")}.`
+          : `Coordinator declares a deadlock on ${cycle.join(" → ")}, but the ` +
+            "system has no such cycle now: a phantom deadlock from delayed reports."
+      });
+    }
+    if (!outcome) {
+      log.push({
+        tick: tick - 1,
+        kind: "none",
+        text: "Every report has arrived and the coordinator found no cycle."
+      });
+    }
+    // reports were logged as they were sent; interleave them with the rest
+    log.sort((a, b) => a.tick - b.tick);
+    return { algorithm: "coordinator", messages, log, lastTick: tick - 1, outcome, views };
+  }
+
+  // ---- Chandy–Misra–Haas edge chasing ----
+  // The blocked initiator Pi sends a probe (i, j, k) to every Pk it waits
+  // for. A blocked receiver passes Pi's probe on along its own wait-for
+  // edges, once; a running one drops it. A probe that comes back to Pi
+  // proves a cycle. Receiving on all edges (the AND model), it is exact for
+  // single-instance resources.
+  function runProbes(state, sites, initiator, settings) {
+    const wfg = Engine.buildWaitForGraph(state);
+    const messages = [];
+    const log = [];
+    const forwarded = new Set();
+    let outcome = null;
+
+    function send(j, k, path, tick) {
+      const remote = sites[j] !== sites[k];
+      const text = `probe (${initiator}, ${j}, ${k})`;
+      messages.push({
+        from: j,
+        to: k,
+        fromSite: sites[j],
+        toSite: sites[k],
+        sent: tick,
+        arrive: tick + (remote ? latencyOf(settings, sites[j]) : 1),
+        path,
+        text
+      });
+      log.push({
+        tick,
+        kind: "send",
+        text:
+          `${j} sends ${text}` +
+          (remote ? ` from ${sites[j]} to ${sites[k]}.` : ` within ${sites[j]}.`)
+      });
+    }
+
+    if (!wfg[initiator] || wfg[initiator].length === 0) {
+      log.push({
+        tick: 0,
+        kind: "none",
+        text: `${initiator} is not waiting, so it starts no probe.`
+      });
+      return { algorithm: "probes", initiator, messages, log, lastTick: 0, outcome };
+    }
+    wfg[initiator].forEach(k => send(initiator, k, [initiator], 0));
+
+    let tick = 1;
+    for (; !outcome && messages.some(m => m.arrive >= tick); tick++) {
+      messages
+        .filter(m => m.arrive === tick)
+        .forEach(m => {
+          if (outcome) return;
+          const k = m.to;
+          if (k === initiator) {
+            const cycle = m.path.concat(k);
+            outcome = { tick, cycle, phantom: false };
+            log.push({
+              tick,
+              kind: "deadlock",
+              text:
+                `${initiator} gets its own probe back from ${m.from}: ` +
+                `deadlock on ${cycle.join(" → ")}.`
+            });
+          } else if (wfg[k].length === 0) {
+            log.push({
+              tick,
+              kind: "drop",
+              text: `${k} is not waiting; the ${m.text} ends there.`
+            });
+          } else if (forwarded.has(k)) {
+            log.push({
+              tick,
+              kind: "drop",
+              text: `${k} has already passed ${initiator}'s probe on.`
+            });
+          } else {
+            forwarded.add(k);
+            log.push({ tick, kind: "receive", text: `${k} is waiting and passes the probe on.` });
+            wfg[k].forEach(next => send(k, next, m.path.concat(k), tick));
+          }
+        });
+    }
+    if (!outcome) {
+      log.push({
+        tick: tick - 1,
+        kind: "none",
+        text: `No probe came back to ${initiator}: it is on no deadlock cycle.`
+      });
+    }
+    return { algorithm: "probes", initiator, messages, log, lastTick: tick - 1, outcome };
+  }
+
+  // messages sent by `tick` that have not arrived by then
+  function inFlight(run, tick) {
+    return run.messages.filter(m => m.sent <= tick && m.arrive > tick);
+  }
+
+  return {
+    SITE_LIMIT,
+    COORDINATOR,
+    siteNames,
+    defaultSites,
+    localWaitFor,
+    runCoordinator,
+    runProbes,
+    inFlight
+  };
+});
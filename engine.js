@@ -0,0 +1,2253 @@
+// Deadlock simulator engine: the algorithms behind the UI and the CLI.
+//
+// A state is a plain object shaped like a scenario document:
+//   { processes: [pid], resources: [{ id, instances }],
+//     assignments: [{ rid, pid, units }], requests: [{ rid, pid, units }],
+//     max: { [pid]: { [rid]: n } }, processAttrs: { [pid]: { priority, ... } } }
+// Nothing here mutates a state. Operations return { state, note, label }:
+// the new state, an outcome note { kind, text } and a short log label. A note
+// of kind "error" means the operation was invalid and `state` is unchanged.
+//
+// Loaded as a plain <script> it defines `DeadlockEngine`; under Node it is a
+// CommonJS module.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DeadlockEngine = factory();
+  }
+})(this, function () {
+  "use strict";
+
+  // Policies that change how requests are handled. `random` is only used by
+  // the "random" queue policy and may be replaced for repeatable runs.
+  const DEFAULT_OPTIONS = {
+    avoidance: false, // "banker" (or true) | "claim-graph", see request
+    prevention: "none", // "resource-ordering" | "hold-and-wait" | "no-preemption"
+    queuePolicy: "fifo", // "priority" | "smallest-need" | "random"
+    agingBoost: 1, // priority gained per pass-over under "priority"
+    victimPolicy: "fewest-held", // see chooseVictim
+    random: Math.random
+  };
+
+  function withDefaults(options) {
+    return Object.assign({}, DEFAULT_OPTIONS, options);
+  }
+
+  function emptyState() {
+    return {
+      processes: [],
+      resources: [],
+      assignments: [],
+      requests: [],
+      max: {},
+      processAttrs: {}
+    };
+  }
+
+  // ---- edge index ----
+  // Edge lists are never mutated, so an index built for one stays valid for
+  // as long as the list exists. It turns the per-resource and per-process
+  // scans below into lookups, which is what keeps generated systems with
+  // thousands of processes and edges usable.
+  const edgeIndexes = new WeakMap();
+
+  function edgeIndex(edges) {
+    let index = edgeIndexes.get(edges);
+    if (index) return index;
+    index = { cells: new Map(), byResource: new Map(), byProcess: new Map() };
+    const group = (map, key, e) => {
+      let entry = map.get(key);
+      if (!entry) {
+        entry = { units: 0, edges: [] };
+        map.set(key, entry);
+      }
+      entry.units += e.units;
+      entry.edges.push(e);
+    };
+    edges.forEach(e => {
+      let row = index.cells.get(e.pid);
+      if (!row) {
+        row = new Map();
+        index.cells.set(e.pid, row);
+      }
+      row.set(e.rid, e);
+      group(index.byResource, e.rid, e);
+      group(index.byProcess, e.pid, e);
+    });
+    edgeIndexes.set(edges, index);
+    return index;
+  }
+
+  // position of each id in `ids`, for lookups instead of indexOf
+  function positions(ids) {
+    const map = new Map();
+    ids.forEach((id, k) => map.set(id, k));
+    return map;
+  }
+
+  // ---- helpers ----
+  function resourceById(state, rid) {
+    return state.resources.find(r => r.id === rid);
+  }
+
+  function allocatedUnits(assignments, rid) {
+    const entry = edgeIndex(assignments).byResource.get(rid);
+    return entry ? entry.units : 0;
+  }
+
+  function freeUnits(state, rid, assignments = state.assignments) {
+    const res = resourceById(state, rid);
+    if (!res) return 0;
+    return res.instances - allocatedUnits(assignments, rid);
+  }
+
+  function holdersOf(assignments, rid) {
+    const entry = edgeIndex(assignments).byResource.get(rid);
+    return entry ? entry.edges.map(e => e.pid) : [];
+  }
+
+  function heldUnits(assignments, pid) {
+    const entry = edgeIndex(assignments).byProcess.get(pid);
+    return entry ? entry.units : 0;
+  }
+
+  // the edges of `edges` that belong to pid
+  function edgesOf(edges, pid) {
+    const entry = edgeIndex(edges).byProcess.get(pid);
+    return entry ? entry.edges : [];
+  }
+
+  function unitsOn(edges, pid, rid) {
+    const row = edgeIndex(edges).cells.get(pid);
+    const edge = row && row.get(rid);
+    return edge ? edge.units : 0;
+  }
+
+  // edges keep one entry per (pid, rid) pair; the pair's count lives in `units`
+  function addUnits(edges, pid, rid, units) {
+    if (units <= 0) return edges;
+    const exists = edges.some(e => e.rid === rid && e.pid === pid);
+    if (!exists) return [...edges, { rid, pid, units }];
+    return edges.map(e =>
+      e.rid === rid && e.pid === pid
+        ? Object.assign({}, e, { units: e.units + units })
+        : e
+    );
+  }
+
+  function removeUnits(edges, pid, rid, units) {
+    if (units <= 0) return edges;
+    return edges
+      .map(e =>
+        e.rid === rid && e.pid === pid
+          ? Object.assign({}, e, { units: e.units - units })
+          : e
+      )
+      .filter(e => e.units > 0);
+  }
+
+  function attrsOf(state, pid) {
+    return Object.assign(
+      { priority: 0, workDone: 0, cost: 1 },
+      state.processAttrs[pid]
+    );
+  }
+
+  function declaredMax(state, pid, rid) {
+    const row = state.max[pid];
+    return row && typeof row[rid] === "number" ? row[rid] : null;
+  }
+
+  function withEdges(state, assignments, requests) {
+    return Object.assign({}, state, { assignments, requests });
+  }
+
+  function outcome(state, kind, text, label) {
+    return { state, note: { kind, text }, label: label || null };
+  }
+
+  function failure(state, text) {
+    return outcome(state, "error", text);
+  }
+
+  function formatVector(v) {
+    return "(" + v.join(", ") + ")";
+  }
+
+  // small seeded PRNG (mulberry32) so a seed always yields the same workloads
+  // and quiz problems
+  function seededRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // ---- building the system ----
+  function addProcesses(state, ids) {
+    const taken = ids.filter(
+      (id, k) => state.processes.includes(id) || ids.indexOf(id) !== k
+    );
+    if (taken.length > 0) {
+      return failure(state, "Process " + taken.join(", ") + " already exists.");
+    }
+    return outcome(
+      Object.assign({}, state, { processes: [...state.processes, ...ids] }),
+      "ok",
+      "Added " + ids.join(", ") + ".",
+      (ids.length === 1 ? "Added process " : "Added processes ") + ids.join(", ")
+    );
+  }
+
+  function addResource(state, id, instances) {
+    if (resourceById(state, id)) {
+      return failure(state, "Resource " + id + " already exists.");
+    }
+    return outcome(
+      Object.assign({}, state, {
+        resources: [...state.resources, { id, instances }]
+      }),
+      "ok",
+      `Added ${id} with ${instances} instance(s).`,
+      `Added resource ${id} (${instances})`
+    );
+  }
+
+  function setMax(state, pid, rid, value) {
+    if (!state.processes.includes(pid)) return failure(state, "Unknown process " + pid);
+    if (!resourceById(state, rid)) return failure(state, "Unknown resource " + rid);
+    return outcome(
+      Object.assign({}, state, {
+        max: Object.assign({}, state.max, {
+          [pid]: Object.assign({}, state.max[pid], { [rid]: value })
+        })
+      }),
+      "ok",
+      `Max ${pid}/${rid} = ${value}.`,
+      `Set Max ${pid}/${rid} = ${value}`
+    );
+  }
+
+  // ---- editing the system ----
+  function checkNewId(id, taken) {
+    if (!id) return "The new ID must not be empty.";
+    if (taken) return id + " already exists.";
+    return null;
+  }
+
+  // copy of `object` with key `from` renamed to `to`, keeping key order
+  function renameKey(object, from, to) {
+    const next = {};
+    Object.keys(object).forEach(key => {
+      next[key === from ? to : key] = object[key];
+    });
+    return next;
+  }
+
+  function renameProcess(state, pid, newId) {
+    if (!state.processes.includes(pid)) return failure(state, "Unknown process " + pid);
+    if (newId === pid) return outcome(state, "ok", "Nothing to rename.");
+    const error = checkNewId(newId, state.processes.includes(newId));
+    if (error) return failure(state, error);
+    const edge = e => (e.pid === pid ? Object.assign({}, e, { pid: newId }) : e);
+    return outcome(
+      Object.assign({}, state, {
+        processes: state.processes.map(p => (p === pid ? newId : p)),
+        assignments: state.assignments.map(edge),
+        requests: state.requests.map(edge),
+        max: renameKey(state.max, pid, newId),
+        processAttrs: renameKey(state.processAttrs, pid, newId)
+      }),
+      "ok",
+      `Renamed ${pid} to ${newId}.`,
+      `Renamed process ${pid} to ${newId}`
+    );
+  }
+
+  // Deleting a process releases what it holds to the waiters, then removes
+  // its edges, its Max row and its attributes.
+  function removeProcess(state, pid, options) {
+    if (!state.processes.includes(pid)) return failure(state, "Unknown process " + pid);
+    const held = state.assignments.filter(e => e.pid === pid);
+    const next = abortProcesses(state, [pid], options);
+    const handedOver = describeGrants(
+      state.requests.filter(e => e.pid !== pid),
+      next.requests
+    );
+    const max = Object.assign({}, state.max);
+    const processAttrs = Object.assign({}, state.processAttrs);
+    delete max[pid];
+    delete processAttrs[pid];
+    const released = held.map(e => `${e.rid} ×${e.units}`).join(", ");
+    return outcome(
+      Object.assign({}, next, {
+        processes: state.processes.filter(p => p !== pid),
+        max,
+        processAttrs
+      }),
+      "ok",
+      `Deleted ${pid}` +
+      (released ? " and released " + released : "") +
+      "." +
+      (handedOver ? " Granted to waiting " + handedOver + "." : ""),
+      `Deleted process ${pid}` + (handedOver ? " → granted to " + handedOver : "")
+    );
+  }
+
+  function renameResource(state, rid, newId) {
+    if (!resourceById(state, rid)) return failure(state, "Unknown resource " + rid);
+    if (newId === rid) return outcome(state, "ok", "Nothing to rename.");
+    const error = checkNewId(newId, Boolean(resourceById(state, newId)));
+    if (error) return failure(state, error);
+    const edge = e => (e.rid === rid ? Object.assign({}, e, { rid: newId }) : e);
+    const max = {};
+    Object.keys(state.max).forEach(pid => {
+      max[pid] = renameKey(state.max[pid], rid, newId);
+    });
+    return outcome(
+      Object.assign({}, state, {
+        resources: state.resources.map(r =>
+          r.id === rid ? Object.assign({}, r, { id: newId }) : r
+        ),
+        assignments: state.assignments.map(edge),
+        requests: state.requests.map(edge),
+        max
+      }),
+      "ok",
+      `Renamed ${rid} to ${newId}.`,
+      `Renamed resource ${rid} to ${newId}`
+    );
+  }
+
+  // Deleting a resource drops its edges and its Max column.
+  function removeResource(state, rid) {
+    if (!resourceById(state, rid)) return failure(state, "Unknown resource " + rid);
+    const max = {};
+    Object.keys(state.max).forEach(pid => {
+      max[pid] = Object.assign({}, state.max[pid]);
+      delete max[pid][rid];
+    });
+    const users = state.assignments
+      .concat(state.requests)
+      .filter(e => e.rid === rid)
+      .map(e => e.pid)
+      .filter((pid, k, all) => all.indexOf(pid) === k);
+    return outcome(
+      Object.assign({}, state, {
+        resources: state.resources.filter(r => r.id !== rid),
+        assignments: state.assignments.filter(e => e.rid !== rid),
+        requests: state.requests.filter(e => e.rid !== rid),
+        max
+      }),
+      "ok",
+      `Deleted ${rid}` +
+      (users.length > 0 ? `; ${users.join(", ")} no longer hold or await it.` : "."),
+      `Deleted resource ${rid}`
+    );
+  }
+
+  // Changes how many instances `rid` has. Extra instances go to waiters.
+  // Going below what is allocated is refused unless `onShortage` is
+  // "preempt": then the most recent holders lose units and must request
+  // them again. Pending requests that could never fit are cut down.
+  function setInstances(state, rid, instances, onShortage, options) {
+    const res = resourceById(state, rid);
+    if (!res) return failure(state, "Unknown resource " + rid);
+    if (!isCount(instances, 1)) return failure(state, "Instances must be a number >= 1.");
+    const allocated = allocatedUnits(state.assignments, rid);
+    if (instances < allocated && onShortage !== "preempt") {
+      return failure(
+        state,
+        `${rid} has ${allocated} unit(s) allocated, so it cannot shrink to ` +
+        `${instances}. Release units first or choose to preempt them.`
+      );
+    }
+
+    let assignments = state.assignments;
+    let requests = state.requests;
+    const preempted = [];
+    const rolledBack = [];
+    let excess = allocated - instances;
+    state.assignments
+      .filter(e => e.rid === rid)
+      .reverse()
+      .forEach(e => {
+        if (excess <= 0) return;
+        const take = Math.min(excess, e.units);
+        // the victim asks again for what it lost, as far as it still fits
+        const back = Math.min(
+          take,
+          instances - (e.units - take) - unitsOn(requests, e.pid, rid)
+        );
+        assignments = removeUnits(assignments, e.pid, rid, take);
+        requests = addUnits(requests, e.pid, rid, back);
+        preempted.push(`${e.pid} ×${take}`);
+        if (back > 0) rolledBack.push(e.pid);
+        excess -= take;
+      });
+
+    const trimmed = [];
+    requests.filter(e => e.rid === rid).forEach(e => {
+      const over = unitsOn(assignments, e.pid, rid) + e.units - instances;
+      if (over <= 0) return;
+      requests = removeUnits(requests, e.pid, rid, over);
+      trimmed.push(`${e.pid} ×${over}`);
+    });
+
+    const resized = Object.assign({}, state, {
+      resources: state.resources.map(r =>
+        r.id === rid ? Object.assign({}, r, { instances }) : r
+      )
+    });
+    const served = serveWaiters(resized, assignments, requests, [rid], withDefaults(options));
+    const handedOver = describeGrants(requests, served.requests);
+    return outcome(
+      withEdges(resized, served.assignments, served.requests),
+      "ok",
+      `${rid} now has ${instances} instance(s).` +
+      (preempted.length > 0
+        ? ` Preempted ${preempted.join(", ")}.`
+        : "") +
+      (rolledBack.length > 0
+        ? ` ${rolledBack.join(", ")} must request the lost units again.`
+        : "") +
+      (trimmed.length > 0
+        ? ` Dropped requests that can no longer fit: ${trimmed.join(", ")}.`
+        : "") +
+      (handedOver ? " Granted to waiting " + handedOver + "." : ""),
+      `Set ${rid} to ${instances} instance(s)` +
+      (preempted.length > 0 ? ", preempting " + preempted.join(", ") : "") +
+      (handedOver ? " → granted to " + handedOver : "")
+    );
+  }
+
+  // ---- matrix view ----
+  const MATRIX_NAMES = { allocation: "Allocation", max: "Max", request: "Request" };
+
+  // Allocation, Max, Request and Need as processes × resources arrays, with
+  // per-resource totals. `declared[i][j]` is false where Max falls back to
+  // the allocation because none was set.
+  function matrixView(state) {
+    const allocation = toMatrix(state, state.assignments);
+    const request = toMatrix(state, state.requests);
+    const declared = state.processes.map(pid =>
+      state.resources.map(r => declaredMax(state, pid, r.id) !== null)
+    );
+    const max = state.processes.map((pid, i) =>
+      state.resources.map((r, j) =>
+        declared[i][j] ? declaredMax(state, pid, r.id) : allocation[i][j]
+      )
+    );
+    const need = max.map((row, i) => row.map((v, j) => v - allocation[i][j]));
+    const allocated = state.resources.map((r, j) =>
+      allocation.reduce((sum, row) => sum + row[j], 0)
+    );
+    const available = state.resources.map((r, j) => r.instances - allocated[j]);
+    return { allocation, max, declared, request, need, allocated, available };
+  }
+
+  // sets the units on a (pid, rid) edge, keeping its place in the list
+  function setUnits(edges, pid, rid, units) {
+    const current = unitsOn(edges, pid, rid);
+    return units >= current
+      ? addUnits(edges, pid, rid, units - current)
+      : removeUnits(edges, pid, rid, current - units);
+  }
+
+  // Writes cells { pid, rid, value } into the Allocation, Max or Request
+  // matrix; a null Max value clears the cell. Edits are direct (nothing is
+  // granted or queued) and all-or-nothing: one bad cell rejects them all.
+  function setMatrixCells(state, kind, cells) {
+    const name = MATRIX_NAMES[kind];
+    if (!name) return failure(state, "Unknown matrix " + kind);
+    let { assignments, requests, max } = state;
+    for (const { pid, rid, value } of cells) {
+      if (!state.processes.includes(pid)) return failure(state, "Unknown process " + pid);
+      if (!resourceById(state, rid)) return failure(state, "Unknown resource " + rid);
+      if (value === null && kind === "max") {
+        max = Object.assign({}, max, { [pid]: Object.assign({}, max[pid]) });
+        delete max[pid][rid];
+        continue;
+      }
+      if (!isCount(value, 0)) {
+        return failure(state, `${name} ${pid}/${rid} must be a whole number >= 0.`);
+      }
+      if (kind === "allocation") assignments = setUnits(assignments, pid, rid, value);
+      else if (kind === "request") requests = setUnits(requests, pid, rid, value);
+      else {
+        max = Object.assign({}, max, {
+          [pid]: Object.assign({}, max[pid], { [rid]: value })
+        });
+      }
+    }
+
+    const next = Object.assign({}, state, { assignments, requests, max });
+    for (const r of state.resources) {
+      const used = allocatedUnits(assignments, r.id);
+      if (used > r.instances) {
+        return failure(
+          state,
+          `${r.id} would be over-allocated: ${used} unit(s) assigned but only ` +
+          `${r.instances} instance(s) exist.`
+        );
+      }
+      const greedy = state.processes.find(
+        pid => unitsOn(assignments, pid, r.id) + unitsOn(requests, pid, r.id) > r.instances
+      );
+      if (greedy) {
+        return failure(
+          state,
+          `${greedy} would hold and request more of ${r.id} than its ` +
+          `${r.instances} instance(s).`
+        );
+      }
+    }
+
+    const only = cells[0];
+    return outcome(
+      next,
+      "ok",
+      cells.length === 1
+        ? `${name} ${only.pid}/${only.rid} = ${only.value === null ? "not set" : only.value}.`
+        : `Updated ${cells.length} ${name} cell(s).`,
+      cells.length === 1
+        ? `Set ${name} ${only.pid}/${only.rid} = ${only.value === null ? "—" : only.value}`
+        : `Pasted ${cells.length} ${name} cell(s)`
+    );
+  }
+
+  // Reads a block of numbers copied from a spreadsheet, CSV or textbook
+  // table. Leading row labels ("P0") are dropped and rows without numbers
+  // (headers such as "A B C") are skipped.
+  function parseMatrixText(text) {
+    return text
+      .split(/\r?\n/)
+      .map(line => line.split(/[\s,;|]+/).filter(Boolean))
+      .map(tokens => {
+        const first = tokens.findIndex(t => /^-?\d+$/.test(t));
+        return first < 0 ? [] : tokens.slice(first);
+      })
+      .filter(tokens => tokens.length > 0)
+      .map(tokens => tokens.map(t => (/^-?\d+$/.test(t) ? Number(t) : NaN)));
+  }
+
+  // ---- request & release ----
+  function request(state, pid, rid, units, options) {
+    const opts = withDefaults(options);
+    if (!state.processes.includes(pid)) {
+      return failure(state, "Unknown process " + pid);
+    }
+    const res = resourceById(state, rid);
+    if (!res) {
+      return failure(state, "Unknown resource " + rid);
+    }
+
+    // a process can never be granted more than the resource has in total
+    const claimed =
+      unitsOn(state.assignments, pid, rid) + unitsOn(state.requests, pid, rid);
+    if (claimed + units > res.instances) {
+      return failure(
+        state,
+        "Process " + pid + " would need " + (claimed + units) + " of " + rid +
+        ", but " + rid + " only has " + res.instances + " instance(s)."
+      );
+    }
+
+    if (opts.prevention === "resource-ordering") {
+      const refusal = checkResourceOrder(state, pid, rid);
+      if (refusal) return refusal;
+    } else if (opts.prevention === "hold-and-wait") {
+      return requestAllAtOnce(state, pid, rid, units);
+    } else if (opts.prevention === "no-preemption" && !opts.avoidance) {
+      return requestOrReleaseAll(state, pid, rid, units, opts);
+    }
+
+    if (opts.avoidance === "claim-graph") {
+      return requestWithClaimGraph(state, pid, rid);
+    }
+    if (opts.avoidance) {
+      return requestWithAvoidance(state, pid, rid, units);
+    }
+
+    // grant what is free right now, the rest waits as a request edge
+    const granted = Math.min(freeUnits(state, rid), units);
+    const next = withEdges(
+      state,
+      addUnits(state.assignments, pid, rid, granted),
+      addUnits(state.requests, pid, rid, units - granted)
+    );
+    const label =
+      `${pid} requested ${units} of ${rid} → ` +
+      (granted === units
+        ? "granted"
+        : granted === 0
+          ? "waiting"
+          : `granted ${granted}, ${units - granted} waiting`);
+    if (granted === units) {
+      return outcome(next, "granted", `${pid} was granted ${units} of ${rid}.`, label);
+    }
+    return outcome(
+      next,
+      "waiting",
+      (granted > 0 ? `${pid} was granted ${granted} of ${rid}; ` : "") +
+      `${units - granted} unit(s) of ${rid} are not free, so ${pid} waits.`,
+      label
+    );
+  }
+
+  // Circular wait: resources are numbered in creation order and a process may
+  // only ask for a resource numbered above everything it holds or awaits.
+  function checkResourceOrder(state, pid, rid) {
+    const rank = id => state.resources.findIndex(r => r.id === id);
+    const higher = state.assignments
+      .concat(state.requests)
+      .filter(e => e.pid === pid && e.rid !== rid)
+      .map(e => e.rid)
+      .filter((other, k, all) => all.indexOf(other) === k && rank(other) > rank(rid));
+    if (higher.length === 0) return null;
+    return outcome(
+      state,
+      "refused",
+      `Refused (circular wait prevented): ${pid} already holds or awaits ` +
+      higher.map(h => `${h} (#${rank(h) + 1})`).join(", ") +
+      ` and may not ask for ${rid} (#${rank(rid) + 1}). Resources must be ` +
+      "requested in increasing order."
+    );
+  }
+
+  // Hold and wait: a process holding nothing asks for its whole Max in one
+  // request, granted atomically; a process holding anything may not ask.
+  function requestAllAtOnce(state, pid, rid, units) {
+    const holding = state.assignments.filter(e => e.pid === pid);
+    if (holding.length > 0) {
+      return outcome(
+        state,
+        "refused",
+        `Refused (hold and wait prevented): ${pid} holds ` +
+        holding.map(e => `${e.rid} ×${e.units}`).join(", ") +
+        " and must release everything before requesting again."
+      );
+    }
+    if (state.requests.some(e => e.pid === pid)) {
+      return outcome(
+        state,
+        "refused",
+        `Refused (hold and wait prevented): ${pid} is already waiting for ` +
+        "its full set of resources."
+      );
+    }
+
+    const wanted = {};
+    Object.keys(state.max[pid] || {}).forEach(r => {
+      if (state.max[pid][r] > 0 && resourceById(state, r)) {
+        wanted[r] = state.max[pid][r];
+      }
+    });
+    wanted[rid] = Math.max(wanted[rid] || 0, units);
+    const rids = Object.keys(wanted);
+    const tooBig = rids.filter(r => wanted[r] > resourceById(state, r).instances);
+    if (tooBig.length > 0) {
+      return failure(
+        state,
+        `${pid}'s full set needs more of ${tooBig.join(", ")} than exists.`
+      );
+    }
+
+    const set = rids.map(r => `${r} ×${wanted[r]}`).join(", ");
+    const expanded =
+      rids.length > 1 || wanted[rid] !== units
+        ? ` The request was expanded to ${pid}'s whole Max: ${set}.`
+        : "";
+    let assignments = state.assignments;
+    let requests = state.requests;
+    const allFree = rids.every(r => wanted[r] <= freeUnits(state, r));
+    rids.forEach(r => {
+      if (allFree) assignments = addUnits(assignments, pid, r, wanted[r]);
+      else requests = addUnits(requests, pid, r, wanted[r]);
+    });
+    const next = withEdges(state, assignments, requests);
+    const label =
+      `${pid} requested all of ${set} → ${allFree ? "granted" : "waiting"}`;
+    return allFree
+      ? outcome(next, "granted", `${pid} was granted ${set} at once.` + expanded, label)
+      : outcome(
+          next,
+          "waiting",
+          `${pid} waits holding nothing until all of ${set} are free ` +
+          "(hold and wait prevented)." +
+          expanded,
+          label
+        );
+  }
+
+  // No preemption, relaxed: a process that cannot get everything it asks for
+  // gives up all it holds and waits for the old and the new units together.
+  function requestOrReleaseAll(state, pid, rid, units, opts) {
+    if (units <= freeUnits(state, rid) && unitsOn(state.requests, pid, rid) === 0) {
+      return outcome(
+        withEdges(state, addUnits(state.assignments, pid, rid, units), state.requests),
+        "granted",
+        `${pid} was granted ${units} of ${rid}.`,
+        `${pid} requested ${units} of ${rid} → granted`
+      );
+    }
+
+    const holding = state.assignments.filter(e => e.pid === pid);
+    const served = serveWaiters(
+      state,
+      state.assignments.filter(e => e.pid !== pid),
+      addUnits(state.requests, pid, rid, units),
+      holding.map(e => e.rid),
+      opts
+    );
+    let requests = served.requests;
+    holding.forEach(e => {
+      requests = addUnits(requests, pid, e.rid, e.units);
+    });
+    const released = holding.map(e => `${e.rid} ×${e.units}`).join(", ");
+    return outcome(
+      withEdges(state, served.assignments, requests),
+      "waiting",
+      `${pid} waits for ${units} of ${rid}.` +
+      (released
+        ? ` Because it blocked, it released ${released} (no preemption ` +
+          "relaxed) and will request them again together with " + rid + "."
+        : ""),
+      `${pid} requested ${units} of ${rid} → waiting` +
+      (released ? `, released ${released}` : "")
+    );
+  }
+
+  // Banker's resource-request algorithm: Request <= Need, Request <= Available,
+  // then pretend to allocate and only keep the grant if the state stays safe.
+  function requestWithAvoidance(state, pid, rid, units) {
+    const held = unitsOn(state.assignments, pid, rid);
+    const pending = unitsOn(state.requests, pid, rid);
+    const declared = declaredMax(state, pid, rid);
+    const max = declared === null ? held : declared;
+    const need = max - held;
+
+    if (pending + units > need) {
+      return outcome(
+        state,
+        "refused",
+        `Refused: ${pid} asked for ${pending + units} of ${rid} but its ` +
+        `Need is only ${need} (Max ${max} − Allocation ${held}). ` +
+        "A process may not exceed its declared maximum claim."
+      );
+    }
+
+    const available = freeUnits(state, rid);
+    if (pending > 0 || units > available) {
+      return outcome(
+        withEdges(state, state.assignments, addUnits(state.requests, pid, rid, units)),
+        "waiting",
+        `${pid} waits: Request ${pending + units} of ${rid} > ` +
+        `Available ${available}.`,
+        `${pid} requested ${units} of ${rid} → waiting (not available)`
+      );
+    }
+
+    const tentative = addUnits(state.assignments, pid, rid, units);
+    const check = bankerSafety(withEdges(state, tentative, state.requests), { trace: false });
+    if (!check.safe) {
+      const stuck = state.processes.filter(p => !check.sequence.includes(p));
+      return outcome(
+        withEdges(state, state.assignments, addUnits(state.requests, pid, rid, units)),
+        "waiting",
+        `${pid} waits: granting ${units} of ${rid} would leave the system ` +
+        "unsafe. " +
+        (stuck.length > 0
+          ? `Afterwards ${stuck.join(", ")} could not be guaranteed to finish.`
+          : check.message),
+        `${pid} requested ${units} of ${rid} → waiting (unsafe)`
+      );
+    }
+
+    return outcome(
+      withEdges(state, tentative, state.requests),
+      "granted",
+      `${pid} was granted ${units} of ${rid}; the state stays safe ` +
+      `(safe sequence ${check.sequence.join(" → ")}).`,
+      `${pid} requested ${units} of ${rid} → granted (safe)`
+    );
+  }
+
+  // ---- claim edges ----
+  // A claim edge P ⇢ R says P may still ask for R: the part of its declared
+  // Max it neither holds nor has requested. Requesting turns a claim into a
+  // request edge, a grant into an assignment edge, and a release turns it
+  // back into a claim.
+  function claimEdges(state) {
+    const claims = [];
+    state.processes.forEach(pid => {
+      state.resources.forEach(({ id: rid }) => {
+        const declared = declaredMax(state, pid, rid);
+        if (declared === null) return;
+        const units =
+          declared - unitsOn(state.assignments, pid, rid) - unitsOn(state.requests, pid, rid);
+        if (units > 0) claims.push({ rid, pid, units });
+      });
+    });
+    return claims;
+  }
+
+  // Declares that pid may ask for one more unit of rid by raising its Max.
+  function declareClaim(state, pid, rid) {
+    if (!state.processes.includes(pid)) return failure(state, "Unknown process " + pid);
+    const res = resourceById(state, rid);
+    if (!res) return failure(state, "Unknown resource " + rid);
+    const used = unitsOn(state.assignments, pid, rid) + unitsOn(state.requests, pid, rid);
+    const declared = declaredMax(state, pid, rid);
+    const max = Math.max(declared === null ? 0 : declared, used) + 1;
+    if (max > res.instances) {
+      return failure(
+        state,
+        `${pid} already claims all ${res.instances} instance(s) of ${rid}.`
+      );
+    }
+    const next = setMax(state, pid, rid, max).state;
+    return outcome(
+      next,
+      "ok",
+      `${pid} may now ask for ${rid} (Max ${max}).`,
+      `${pid} declared a claim on ${rid}`
+    );
+  }
+
+  // Resource-allocation graph with claim edges: P → R for requests and
+  // claims, R → P for assignments. Nodes are keyed "P:id" and "R:id" because
+  // a process and a resource may share an ID.
+  function claimGraph(state, assignments, requests) {
+    const graph = {};
+    state.processes.forEach(pid => {
+      graph["P:" + pid] = [];
+    });
+    state.resources.forEach(r => {
+      graph["R:" + r.id] = [];
+    });
+    const link = (from, to) => {
+      if (graph[from] && graph[to] && !graph[from].includes(to)) graph[from].push(to);
+    };
+    const next = withEdges(state, assignments, requests);
+    requests.concat(claimEdges(next)).forEach(e => link("P:" + e.pid, "R:" + e.rid));
+    assignments.forEach(e => link("R:" + e.rid, "P:" + e.pid));
+    return graph;
+  }
+
+  // First cycle of the claim graph as a list of IDs, [] if there is none
+  function claimGraphCycle(state, assignments = state.assignments, requests = state.requests) {
+    const nodes = state.processes
+      .map(pid => "P:" + pid)
+      .concat(state.resources.map(r => "R:" + r.id));
+    const { cycles } = elementaryCycles(claimGraph(state, assignments, requests), nodes, 1);
+    return (cycles[0] || []).map(key => key.slice(2));
+  }
+
+  // Claim-graph avoidance for single-instance resources: pid may only ask
+  // for what it has claimed, and the request is granted only if turning it
+  // into an assignment edge closes no cycle, claim edges included.
+  // Otherwise pid waits and the note carries the would-be cycle.
+  function requestWithClaimGraph(state, pid, rid) {
+    const shared = state.resources.filter(r => r.instances > 1).map(r => r.id);
+    if (shared.length > 0) {
+      return failure(
+        state,
+        "Claim-graph avoidance needs single-instance resources, but " +
+        shared.join(", ") + (shared.length === 1 ? " has" : " have") +
+        " several instances. Use Banker avoidance instead."
+      );
+    }
+    if (!(declaredMax(state, pid, rid) >= 1)) {
+      return outcome(
+        state,
+        "refused",
+        `Refused: ${pid} has no claim edge to ${rid}. Under claim-graph ` +
+        "avoidance a process must declare every resource it may ask for in advance."
+      );
+    }
+
+    const waiting = withEdges(state, state.assignments, addUnits(state.requests, pid, rid, 1));
+    if (freeUnits(state, rid) === 0) {
+      return outcome(
+        waiting,
+        "waiting",
+        `${pid} waits: ${rid} is held by ${holdersOf(state.assignments, rid).join(", ")}.`,
+        `${pid} requested ${rid} → waiting (not available)`
+      );
+    }
+
+    const tentative = addUnits(state.assignments, pid, rid, 1);
+    const cycle = claimGraphCycle(state, tentative, state.requests);
+    if (cycle.length > 0) {
+      const result = outcome(
+        waiting,
+        "waiting",
+        `${pid} waits: assigning ${rid} to ${pid} would close the cycle ` +
+        `${cycle.join(" → ")} (claim edges included), so the state would be unsafe.`,
+        `${pid} requested ${rid} → waiting (would close a cycle)`
+      );
+      result.note.cycle = cycle;
+      return result;
+    }
+    return outcome(
+      withEdges(state, tentative, state.requests),
+      "granted",
+      `${pid} was granted ${rid}; no cycle forms, claim edges included.`,
+      `${pid} requested ${rid} → granted (no cycle)`
+    );
+  }
+
+  // `units` null releases everything pid holds of rid
+  function release(state, pid, rid, units, options) {
+    const opts = withDefaults(options);
+    if (!state.processes.includes(pid)) {
+      return failure(state, "Unknown process " + pid);
+    }
+    if (!resourceById(state, rid)) {
+      return failure(state, "Unknown resource " + rid);
+    }
+    const held = unitsOn(state.assignments, pid, rid);
+    if (held === 0) {
+      return failure(state, "Process " + pid + " does not hold resource " + rid);
+    }
+    if (units === null || units === undefined) units = held;
+    if (units > held) {
+      return failure(state, "Process " + pid + " holds only " + held + " of " + rid + ".");
+    }
+
+    // release from pid, then hand the freed units to waiters
+    const served = serveWaiters(
+      state,
+      removeUnits(state.assignments, pid, rid, units),
+      state.requests,
+      [rid],
+      opts
+    );
+    const handedOver = describeGrants(state.requests, served.requests);
+    return outcome(
+      withEdges(state, served.assignments, served.requests),
+      "released",
+      `${pid} released ${units} of ${rid}.` +
+      (handedOver ? " Granted to waiting " + handedOver + "." : ""),
+      `${pid} released ${units} of ${rid}` +
+      (handedOver ? " → granted to " + handedOver : "")
+    );
+  }
+
+  // The process ran to completion: everything it holds is released and
+  // handed to waiters, and it stops waiting for anything.
+  function finish(state, pid, options) {
+    if (!state.processes.includes(pid)) {
+      return failure(state, "Unknown process " + pid);
+    }
+    const held = state.assignments.filter(e => e.pid === pid);
+    const next = abortProcesses(state, [pid], options);
+    const waitingBefore = state.requests.filter(e => e.pid !== pid);
+    const handedOver = describeGrants(waitingBefore, next.requests);
+    const released = held.map(e => `${e.rid} ×${e.units}`).join(", ");
+    return outcome(
+      next,
+      "released",
+      `${pid} finished` +
+      (released ? " and released " + released : "") +
+      "." +
+      (handedOver ? " Granted to waiting " + handedOver + "." : ""),
+      `${pid} finished` +
+      (released ? ", releasing " + released : "") +
+      (handedOver ? " → granted to " + handedOver : "")
+    );
+  }
+
+  // "P2 ×1 of R1, ..." for the waiting units that were granted between the
+  // two request lists
+  function describeGrants(before, after) {
+    return before
+      .map(e => ({ e, granted: e.units - unitsOn(after, e.pid, e.rid) }))
+      .filter(x => x.granted > 0)
+      .map(x => `${x.e.pid} ×${x.granted} of ${x.e.rid}`)
+      .join(", ");
+  }
+
+  // Gives free units of `rids` to waiting processes and returns the new state.
+  function grantWaiters(state, rids, options) {
+    const served = serveWaiters(
+      state,
+      state.assignments,
+      state.requests,
+      rids,
+      withDefaults(options)
+    );
+    return withEdges(state, served.assignments, served.requests);
+  }
+
+  // Outside avoidance mode waiters are served in queue order and may be
+  // granted part of their request.
+  function serveWaiters(state, assignments, requests, rids, opts) {
+    if (opts.avoidance) return serveSafeWaiters(state, assignments, requests, opts);
+    if (opts.prevention === "hold-and-wait") {
+      return serveWholeSets(state, assignments, requests);
+    }
+
+    rids.forEach(rid => {
+      const res = resourceById(state, rid);
+      if (!res) return;
+      let free = res.instances - allocatedUnits(assignments, rid);
+      const arrival = requests.filter(e => e.rid === rid);
+      const served = [];
+      orderWaiters(state, arrival, opts, true).forEach(e => {
+        if (free === 0) return;
+        const grant = Math.min(free, e.units);
+        assignments = addUnits(assignments, e.pid, rid, grant);
+        requests = removeUnits(requests, e.pid, rid, grant);
+        served.push(e.pid);
+        free -= grant;
+      });
+      requests = notePassedOver(requests, rid, arrival, served);
+    });
+    return { assignments, requests };
+  }
+
+  // Under hold-and-wait prevention a waiting process receives all of its
+  // pending units at once, or nothing. Waiters are served in queue order.
+  function serveWholeSets(state, assignments, requests) {
+    const waiting = requests
+      .map(e => e.pid)
+      .filter((pid, k, all) => all.indexOf(pid) === k);
+    waiting.forEach(pid => {
+      const wanted = requests.filter(e => e.pid === pid);
+      const fits = wanted.every(
+        e => e.units <= freeUnits(state, e.rid, assignments)
+      );
+      if (!fits) return;
+      wanted.forEach(e => {
+        assignments = addUnits(assignments, pid, e.rid, e.units);
+        requests = removeUnits(requests, pid, e.rid, e.units);
+      });
+    });
+    return { assignments, requests };
+  }
+
+  // In avoidance mode a waiting request is granted whole, and only when the
+  // resulting state is safe (or, for the claim graph, acyclic). Any release
+  // may unblock a waiter on another resource, so every waiting request is
+  // reconsidered.
+  function serveSafeWaiters(state, assignments, requests, opts) {
+    const isSafe = (tentative, rest) =>
+      opts.avoidance === "claim-graph"
+        ? claimGraphCycle(state, tentative, rest).length === 0
+        : bankerSafety(withEdges(state, tentative, requests), { trace: false }).safe;
+    let granted = true;
+    while (granted) {
+      granted = false;
+      for (const e of orderWaiters(state, requests, opts, true)) {
+        if (e.units > freeUnits(state, e.rid, assignments)) continue;
+        const tentative = addUnits(assignments, e.pid, e.rid, e.units);
+        if (isSafe(tentative, removeUnits(requests, e.pid, e.rid, e.units))) {
+          assignments = tentative;
+          requests = removeUnits(requests, e.pid, e.rid, e.units);
+          granted = true;
+          break;
+        }
+      }
+    }
+    return { assignments, requests };
+  }
+
+  // ---- wait queues ----
+  function effectivePriority(state, e, options) {
+    const opts = withDefaults(options);
+    return attrsOf(state, e.pid).priority + opts.agingBoost * (e.passedOver || 0);
+  }
+
+  // Sorts waiting request edges (given in arrival order) into service order.
+  // The random policy only shuffles when `forService` is set, so a queue
+  // shown to the user stays in arrival order.
+  function orderWaiters(state, edges, opts, forService) {
+    const queue = edges.slice();
+    if (opts.queuePolicy === "priority") {
+      return queue.sort(
+        (a, b) => effectivePriority(state, b, opts) - effectivePriority(state, a, opts)
+      );
+    }
+    if (opts.queuePolicy === "smallest-need") {
+      return queue.sort((a, b) => a.units - b.units);
+    }
+    if (opts.queuePolicy === "random" && forService) {
+      for (let k = queue.length - 1; k > 0; k--) {
+        const j = Math.floor(opts.random() * (k + 1));
+        [queue[k], queue[j]] = [queue[j], queue[k]];
+      }
+    }
+    return queue;
+  }
+
+  // request edges waiting for `rid`, in the order they would be served
+  function waitQueue(state, rid, options) {
+    return orderWaiters(
+      state,
+      state.requests.filter(e => e.rid === rid),
+      withDefaults(options),
+      false
+    );
+  }
+
+  // A waiter is passed over when someone who arrived after it was served
+  // while it got nothing. Being served resets the count.
+  function notePassedOver(requests, rid, arrival, served) {
+    const lastServed = arrival.reduce(
+      (last, e, k) => (served.includes(e.pid) ? k : last),
+      -1
+    );
+    return requests.map(e => {
+      if (e.rid !== rid) return e;
+      if (served.includes(e.pid)) {
+        return Object.assign({}, e, { passedOver: 0 });
+      }
+      const k = arrival.findIndex(a => a.pid === e.pid);
+      if (k < 0 || k > lastServed) return e;
+      return Object.assign({}, e, { passedOver: (e.passedOver || 0) + 1 });
+    });
+  }
+
+  // ---- Wait-For Graph + deadlock detection ----
+  function buildWaitForGraph(state) {
+    const wfg = {};
+    state.processes.forEach(pid => {
+      wfg[pid] = [];
+    });
+
+    state.processes.forEach(pid => {
+      const seen = new Set();
+      edgesOf(state.requests, pid).forEach(({ rid }) => {
+        holdersOf(state.assignments, rid).forEach(h => {
+          if (h !== pid && !seen.has(h)) {
+            seen.add(h);
+            wfg[pid].push(h);
+          }
+        });
+      });
+    });
+
+    return wfg;
+  }
+
+  // cycle enumeration stops after this many cycles
+  const CYCLE_LIMIT = 50;
+
+  // Strongly connected components of `graph` restricted to `nodes`
+  // (Tarjan's algorithm), each listed in `nodes` order. The depth-first
+  // search keeps its own stack, so a long chain of waits cannot overflow
+  // the call stack.
+  function stronglyConnected(graph, nodes) {
+    const inside = new Set(nodes);
+    const order = positions(nodes);
+    const index = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let counter = 0;
+
+    nodes.forEach(root => {
+      if (index.has(root)) return;
+      // frames [node, next edge to look at]
+      const frames = [[root, 0]];
+      index.set(root, counter);
+      low.set(root, counter++);
+      stack.push(root);
+      onStack.add(root);
+      while (frames.length > 0) {
+        const frame = frames[frames.length - 1];
+        const u = frame[0];
+        const edges = graph[u] || [];
+        if (frame[1] < edges.length) {
+          const v = edges[frame[1]++];
+          if (!inside.has(v)) continue;
+          if (!index.has(v)) {
+            index.set(v, counter);
+            low.set(v, counter++);
+            stack.push(v);
+            onStack.add(v);
+            frames.push([v, 0]);
+          } else if (onStack.has(v)) {
+            low.set(u, Math.min(low.get(u), index.get(v)));
+          }
+          continue;
+        }
+        frames.pop();
+        if (frames.length > 0) {
+          const parent = frames[frames.length - 1][0];
+          low.set(parent, Math.min(low.get(parent), low.get(u)));
+        }
+        if (low.get(u) === index.get(u)) {
+          const component = [];
+          let v;
+          do {
+            v = stack.pop();
+            onStack.delete(v);
+            component.push(v);
+          } while (v !== u);
+          components.push(component.sort((a, b) => order.get(a) - order.get(b)));
+        }
+      }
+    });
+    return components.sort((a, b) => order.get(a[0]) - order.get(b[0]));
+  }
+
+  // Every elementary cycle of `graph` among `nodes` (Johnson's algorithm).
+  // Each cycle starts and ends at its earliest process in `nodes` order.
+  // `truncated` is set when there were more than `limit`.
+  //
+  // As in Johnson's paper the components are only recomputed when moving
+  // on to the next start, the earliest node still on a cycle once the
+  // earlier starts are left out; every start closes at least one cycle, so
+  // there are at most `limit` + 1 passes. With `limit` 1 the search stops
+  // at the first cycle and leaves `truncated` unset. Both searches keep
+  // their own stacks.
+  function elementaryCycles(graph, nodes, limit = CYCLE_LIMIT) {
+    const cycles = [];
+    let truncated = false;
+    const order = positions(nodes);
+
+    let from = 0;
+    while (from < nodes.length && !truncated) {
+      const rest = from === 0 ? nodes : nodes.slice(from);
+      const component = stronglyConnected(graph, rest)
+        .filter(c => c.length > 1)
+        .reduce((first, c) => (!first || order.get(c[0]) < order.get(first[0]) ? c : first), null);
+      if (!component) break;
+      const start = component[0];
+      const inside = new Set(component);
+      const blocked = new Set();
+      const blockedBy = new Map(component.map(v => [v, new Set()]));
+      const path = [];
+
+      const unblock = u => {
+        const pending = [u];
+        while (pending.length > 0) {
+          const v = pending.pop();
+          blocked.delete(v);
+          blockedBy.get(v).forEach(w => {
+            if (blocked.has(w)) pending.push(w);
+          });
+          blockedBy.get(v).clear();
+        }
+      };
+
+      // frames [node, next edge to look at, whether a cycle was found]
+      const frames = [[start, 0, false]];
+      path.push(start);
+      blocked.add(start);
+      while (frames.length > 0 && !truncated) {
+        const frame = frames[frames.length - 1];
+        const v = frame[0];
+        const edges = graph[v] || [];
+        if (frame[1] < edges.length) {
+          const w = edges[frame[1]++];
+          if (!inside.has(w)) continue;
+          if (w === start) {
+            if (cycles.length === limit) truncated = true;
+            else cycles.push(path.concat(start));
+            frame[2] = true;
+          } else if (!blocked.has(w)) {
+            path.push(w);
+            blocked.add(w);
+            frames.push([w, 0, false]);
+          }
+          continue;
+        }
+        frames.pop();
+        if (frame[2]) unblock(v);
+        else edges.forEach(w => inside.has(w) && blockedBy.get(w).add(v));
+        path.pop();
+        if (frames.length > 0 && frame[2]) frames[frames.length - 1][2] = true;
+      }
+      if (limit === 1 && cycles.length === 1) break;
+      from = order.get(start) + 1;
+    }
+    return { cycles, truncated };
+  }
+
+  // processes that can reach one of `targets` in the Wait-For Graph but are
+  // not among them: they wait, directly or through others, on a deadlock
+  function waitingOn(wfg, processes, targets) {
+    const waiters = {};
+    processes.forEach(pid => {
+      waiters[pid] = [];
+    });
+    processes.forEach(pid => wfg[pid].forEach(v => waiters[v] && waiters[v].push(pid)));
+    const reached = new Set(targets);
+    const queue = [...targets];
+    while (queue.length > 0) {
+      waiters[queue.pop()].forEach(pid => {
+        if (!reached.has(pid)) {
+          reached.add(pid);
+          queue.push(pid);
+        }
+      });
+    }
+    const stuck = new Set(targets);
+    return processes.filter(pid => reached.has(pid) && !stuck.has(pid));
+  }
+
+  // First cycle of the Wait-For Graph, if any
+  function findCycle(state) {
+    const { cycles } = elementaryCycles(buildWaitForGraph(state), state.processes, 1);
+    return { hasDeadlock: cycles.length > 0, cycle: cycles[0] || [] };
+  }
+
+  // Cycle analysis of the Wait-For Graph: every elementary cycle, the
+  // components they form, the processes on them and those blocked behind.
+  // With single-instance resources this is exact deadlock detection.
+  function analyseWaitFor(state) {
+    const wfg = buildWaitForGraph(state);
+    const components = stronglyConnected(wfg, state.processes).filter(
+      c => c.length > 1
+    );
+    const { cycles, truncated } = elementaryCycles(wfg, state.processes);
+    const onCycle = new Set();
+    components.forEach(c => c.forEach(pid => onCycle.add(pid)));
+    const deadlocked = state.processes.filter(pid => onCycle.has(pid));
+    return {
+      hasDeadlock: deadlocked.length > 0,
+      cycle: cycles[0] || [],
+      cycles,
+      cyclesTruncated: truncated,
+      components,
+      deadlocked,
+      blocked: waitingOn(wfg, state.processes, deadlocked)
+    };
+  }
+
+  // Detection algorithm for multi-instance resources: Available, Allocation
+  // and Request matrices. Processes that can never finish are deadlocked.
+  function detectByMatrix(state) {
+    const { processes, resources } = state;
+    const n = processes.length;
+    // Allocation and Request are sparse, so rows are read off the edge
+    // lists: column j of a row is the edge's units on resource j
+    const columns = positions(resources.map(r => r.id));
+    const work = resources.map(r => r.instances - allocatedUnits(state.assignments, r.id));
+    // a process holding nothing cannot be part of a deadlock
+    const finished = processes.map(pid => heldUnits(state.assignments, pid) === 0);
+    const satisfied = pid =>
+      edgesOf(state.requests, pid).every(e => e.units <= work[columns.get(e.rid)]);
+    const sequence = [];
+
+    let progress = true;
+    while (progress) {
+      progress = false;
+      for (let i = 0; i < n; i++) {
+        if (!finished[i] && satisfied(processes[i])) {
+          edgesOf(state.assignments, processes[i]).forEach(e => {
+            work[columns.get(e.rid)] += e.units;
+          });
+          finished[i] = true;
+          sequence.push(processes[i]);
+          progress = true;
+        }
+      }
+    }
+
+    const deadlocked = processes.filter((pid, i) => !finished[i]);
+    // Processes holding nothing were skipped above; one whose request
+    // exceeds what is left at the end waits forever on the deadlock.
+    const blocked = processes.filter(
+      (pid, i) => finished[i] && heldUnits(state.assignments, pid) === 0 && !satisfied(pid)
+    );
+    // the wait-for cycles among the deadlocked processes show how they are
+    // stuck; every one of them waits on another, so there is at least one
+    const wfg = buildWaitForGraph(state);
+    const components = stronglyConnected(wfg, deadlocked).filter(c => c.length > 1);
+    const { cycles, truncated } = elementaryCycles(wfg, deadlocked);
+    return {
+      hasDeadlock: deadlocked.length > 0,
+      deadlocked,
+      blocked,
+      sequence,
+      cycle: [],
+      cycles,
+      cyclesTruncated: truncated,
+      components
+    };
+  }
+
+  // ---- incremental detection ----
+  // Shortest Wait-For cycle through pid, [] if there is none. The search
+  // only follows what pid waits on, directly or through others.
+  function cycleThrough(state, pid) {
+    const parent = new Map([[pid, null]]);
+    const queue = [pid];
+    for (let k = 0; k < queue.length; k++) {
+      const from = queue[k];
+      for (const { rid } of edgesOf(state.requests, from)) {
+        for (const to of holdersOf(state.assignments, rid)) {
+          if (to === from) continue;
+          if (to === pid) {
+            const path = [pid];
+            for (let v = from; v !== null; v = parent.get(v)) path.unshift(v);
+            return path;
+          }
+          if (!parent.has(to)) {
+            parent.set(to, from);
+            queue.push(to);
+          }
+        }
+      }
+    }
+    return [];
+  }
+
+  // Detection after pid's request has added edges out of pid. If the system
+  // was deadlock-free before, a new deadlock has to put pid on a Wait-For
+  // cycle, so the search above rules one out without looking at the rest.
+  // Returns null when there is no such cycle, the full result otherwise.
+  function detectAfterRequest(state, pid) {
+    return cycleThrough(state, pid).length > 0 ? detectDeadlock(state) : null;
+  }
+
+  // Picks the algorithm that is exact for the state: WFG cycle detection when
+  // every resource has one instance, the matrix algorithm otherwise.
+  function detectDeadlock(state) {
+    const multi = state.resources.filter(r => r.instances > 1);
+    if (multi.length > 0) {
+      return Object.assign(detectByMatrix(state), {
+        algorithm: "matrix",
+        reason:
+          "Multi-instance resource(s) " +
+          multi.map(r => `${r.id}(${r.instances})`).join(", ") +
+          " present, so a cycle would not prove a deadlock."
+      });
+    }
+    return Object.assign(analyseWaitFor(state), {
+      algorithm: "wfg",
+      reason:
+        "Every resource has a single instance, so a cycle in the " +
+        "Wait-For Graph is exactly a deadlock."
+    });
+  }
+
+  // processes taking part in the deadlock a detection result reports
+  function deadlockedProcesses(result) {
+    return result.hasDeadlock ? result.deadlocked : [];
+  }
+
+  // processes × resources matrix of the units on `edges`
+  function toMatrix(state, edges) {
+    const matrix = state.processes.map(() => state.resources.map(() => 0));
+    const rows = positions(state.processes);
+    const columns = positions(state.resources.map(r => r.id));
+    edges.forEach(e => {
+      const i = rows.get(e.pid);
+      const j = columns.get(e.rid);
+      if (i !== undefined && j !== undefined) matrix[i][j] += e.units;
+    });
+    return matrix;
+  }
+
+  // ---- Deadlock recovery ----
+  // Picks the victim with the lowest score under `policy`. Ties go to the
+  // cheaper process, then to the one created first.
+  function chooseVictim(state, candidates, policy, assignments = state.assignments) {
+    function score(pid) {
+      const a = attrsOf(state, pid);
+      switch (policy) {
+        case "fewest-held":
+          return heldUnits(assignments, pid);
+        case "lowest-priority":
+          return a.priority;
+        case "youngest":
+          return -state.processes.indexOf(pid);
+        case "least-work":
+          return a.workDone;
+        default:
+          return a.cost;
+      }
+    }
+    return candidates.slice().sort(
+      (x, y) =>
+        score(x) - score(y) ||
+        attrsOf(state, x).cost - attrsOf(state, y).cost ||
+        state.processes.indexOf(x) - state.processes.indexOf(y)
+    )[0];
+  }
+
+  function describePolicyValue(state, pid, policy, assignments = state.assignments) {
+    const a = attrsOf(state, pid);
+    switch (policy) {
+      case "fewest-held":
+        return `holds ${heldUnits(assignments, pid)} unit(s)`;
+      case "lowest-priority":
+        return `priority ${a.priority}`;
+      case "youngest":
+        return `created #${state.processes.indexOf(pid) + 1}`;
+      case "least-work":
+        return `work done ${a.workDone}`;
+      default:
+        return `cost ${a.cost}`;
+    }
+  }
+
+  // Terminating a process releases everything it holds and drops its
+  // pending requests; it would be restarted from scratch later.
+  function abortProcesses(state, victims, options) {
+    const freed = state.assignments.filter(e => victims.includes(e.pid));
+    const served = serveWaiters(
+      state,
+      state.assignments.filter(e => !victims.includes(e.pid)),
+      state.requests.filter(e => !victims.includes(e.pid)),
+      freed.map(e => e.rid),
+      withDefaults(options)
+    );
+    return withEdges(state, served.assignments, served.requests);
+  }
+
+  // Preemption takes units away from the victim and rolls it back: it has to
+  // request them again, queued behind the processes already waiting.
+  function preemptFrom(state, victim, options) {
+    const held = state.assignments.filter(e => e.pid === victim);
+    const contested = held.filter(e =>
+      state.requests.some(r => r.rid === e.rid && r.pid !== victim)
+    );
+    const taken = contested.length > 0 ? contested : held;
+    let assignments = state.assignments;
+    taken.forEach(e => {
+      assignments = removeUnits(assignments, victim, e.rid, e.units);
+    });
+    const served = serveWaiters(
+      state,
+      assignments,
+      state.requests,
+      taken.map(e => e.rid),
+      withDefaults(options)
+    );
+    let requests = served.requests;
+    taken.forEach(e => {
+      requests = addUnits(requests, victim, e.rid, e.units);
+    });
+    return { state: withEdges(state, served.assignments, requests), taken };
+  }
+
+  // Runs one recovery action ("abort-all", "abort-one", "preempt-one"), or
+  // repeats it until detection reports no deadlock when `untilResolved`.
+  // Victims lose their work done. Returns null when there is no deadlock.
+  function recover(state, action, untilResolved, options) {
+    const opts = withDefaults(options);
+    let detection = detectDeadlock(state);
+    if (!detection.hasDeadlock) return null;
+
+    const steps = [];
+    const victims = [];
+    let cost = 0;
+    let current = state;
+
+    function charge(pid) {
+      cost += attrsOf(current, pid).cost;
+      victims.push(pid);
+      current = Object.assign({}, current, {
+        processAttrs: Object.assign({}, current.processAttrs, {
+          [pid]: Object.assign({}, attrsOf(current, pid), { workDone: 0 })
+        })
+      });
+    }
+
+    let rounds = 0;
+    do {
+      const stuck = deadlockedProcesses(detection);
+      let text;
+      if (action === "abort-all") {
+        stuck.forEach(charge);
+        current = abortProcesses(current, stuck, opts);
+        text = "Aborted all deadlocked processes: " + stuck.join(", ") + ".";
+      } else {
+        const holders = stuck.filter(pid => heldUnits(current.assignments, pid) > 0);
+        const victim = chooseVictim(
+          current,
+          action === "preempt-one" && holders.length > 0 ? holders : stuck,
+          opts.victimPolicy
+        );
+        const why = describePolicyValue(current, victim, opts.victimPolicy);
+        charge(victim);
+        if (action === "abort-one") {
+          current = abortProcesses(current, [victim], opts);
+          text = `Aborted ${victim} (${why}).`;
+        } else {
+          const result = preemptFrom(current, victim, opts);
+          current = result.state;
+          text =
+            `Preempted ${result.taken
+              .map(e => `${e.rid} ×${e.units}`)
+              .join(", ")} from ${victim} (${why}); ${victim} is rolled ` +
+            "back and must request them again.";
+        }
+      }
+
+      detection = detectDeadlock(current);
+      const remaining = deadlockedProcesses(detection);
+      steps.push({
+        text,
+        after: detection.hasDeadlock
+          ? "Still deadlocked: " + remaining.join(", ") + "."
+          : "Deadlock-free."
+      });
+      rounds++;
+    } while (
+      untilResolved &&
+      detection.hasDeadlock &&
+      rounds <= state.processes.length * 2
+    );
+
+    return { state: current, steps, victims, cost, detection };
+  }
+
+  // ---- Banker safety algorithm ----
+  // `options.trace` (default true) records every Need <= Work test for the
+  // step-by-step view and returns the full matrices with it. Without it the
+  // algorithm only touches the non-zero cells, which is what avoidance and
+  // large systems need.
+  function bankerSafety(state, options) {
+    const report = !options || options.trace !== false;
+    const { processes, resources } = state;
+    const n = processes.length;
+    const m = resources.length;
+
+    if (n === 0 || m === 0) {
+      return {
+        safe: true,
+        sequence: [],
+        message: "No processes or resources."
+      };
+    }
+
+    // sparse rows of [column, value]: Allocation from the edges, Need from
+    // the declared Max (without one a process needs nothing more)
+    const columns = positions(resources.map(r => r.id));
+    const heldRows = processes.map(pid =>
+      edgesOf(state.assignments, pid)
+        .filter(e => columns.has(e.rid))
+        .map(e => [columns.get(e.rid), e.units])
+    );
+    const needRows = processes.map(pid =>
+      Object.keys(state.max[pid] || {})
+        .filter(rid => columns.has(rid) && declaredMax(state, pid, rid) !== null)
+        .map(rid => [
+          columns.get(rid),
+          declaredMax(state, pid, rid) - unitsOn(state.assignments, pid, rid)
+        ])
+        .filter(([, v]) => v !== 0)
+    );
+    const available = resources.map(r => r.instances);
+    heldRows.forEach(row => row.forEach(([j, v]) => {
+      available[j] -= v;
+    }));
+
+    // the inputs, shown before the step-by-step trace
+    let matrices;
+    if (report) {
+      const allocation = toMatrix(state, state.assignments);
+      const need = processes.map(() => resources.map(() => 0));
+      needRows.forEach((row, i) => row.forEach(([j, v]) => {
+        need[i][j] = v;
+      }));
+      const max = need.map((row, i) => row.map((v, j) => v + allocation[i][j]));
+      matrices = { allocation, max, need, available: [...available] };
+    }
+
+    // check for negative need (allocation > max)
+    const over = needRows.findIndex(row => row.some(([, v]) => v < 0));
+    if (over >= 0) {
+      return {
+        safe: false,
+        sequence: [],
+        matrices,
+        trace: [],
+        blocked: [],
+        message:
+          "Allocation exceeds Max for process " +
+          processes[over] +
+          " on some resource."
+      };
+    }
+
+    const work = [...available];
+    const finished = Array(n).fill(false);
+    const sequence = [];
+    // one entry per "Need_i <= Work?" test, in the order the loop ran them
+    const trace = [];
+    // a negative Work entry fails every test, even where Need is 0
+    let shortColumns = work.filter(v => v < 0).length;
+
+    let progress = true;
+    let pass = 0;
+    while (progress) {
+      progress = false;
+      pass++;
+      for (let i = 0; i < n; i++) {
+        if (finished[i]) continue;
+        const canFinish = shortColumns === 0 && needRows[i].every(([j, v]) => v <= work[j]);
+        const step = report && {
+          pass,
+          pid: processes[i],
+          need: [...matrices.need[i]],
+          work: [...work],
+          canFinish
+        };
+        if (canFinish) {
+          heldRows[i].forEach(([j, v]) => {
+            if (work[j] < 0 && work[j] + v >= 0) shortColumns--;
+            work[j] += v;
+          });
+          finished[i] = true;
+          sequence.push(processes[i]);
+          progress = true;
+        }
+        if (report) {
+          step.workAfter = [...work];
+          trace.push(step);
+        }
+      }
+    }
+
+    // processes that never passed, with the resources whose Need exceeds Work
+    const blocked = [];
+    const negative = work.map((v, j) => (v < 0 ? j : -1)).filter(j => j >= 0);
+    processes.forEach((pid, i) => {
+      if (finished[i]) return;
+      const short = new Set(needRows[i].filter(([j, v]) => v > work[j]).map(([j]) => j));
+      negative.forEach(j => short.add(j));
+      blocked.push({
+        pid,
+        resources: resources.filter((r, j) => short.has(j)).map(r => r.id)
+      });
+    });
+
+    const allFinished = finished.every(f => f);
+    return {
+      safe: allFinished,
+      sequence,
+      matrices,
+      trace,
+      blocked,
+      available: work,
+      message: allFinished
+        ? "System is in a SAFE state."
+        : "System is NOT in a safe state. No complete safe sequence exists."
+    };
+  }
+
+  // safe sequences are counted up to this many
+  const SEQUENCE_COUNT_LIMIT = 100000;
+
+  // Backtracking over every order in which processes can finish. Only the
+  // first `limit` sequences are kept; the total is counted with memoisation
+  // over the set of finished processes (Work depends only on that set).
+  // Counting stops once the total passes `countLimit`: the result then has
+  // `exceeded` set and `total` is the limit, read as "more than total".
+  function enumerateSafeSequences(state, matrices, limit, countLimit = SEQUENCE_COUNT_LIMIT) {
+    const n = state.processes.length;
+    const m = state.resources.length;
+    const { allocation, need, available } = matrices;
+    const sequences = [];
+    const order = [];
+    const finished = Array(n).fill(false);
+
+    function canRun(i, work) {
+      for (let j = 0; j < m; j++) {
+        if (need[i][j] > work[j]) return false;
+      }
+      return true;
+    }
+
+    function release(i, work, sign) {
+      for (let j = 0; j < m; j++) {
+        work[j] += sign * allocation[i][j];
+      }
+    }
+
+    function collect(work) {
+      if (sequences.length >= limit) return;
+      if (order.length === n) {
+        sequences.push(order.map(i => state.processes[i]));
+        return;
+      }
+      for (let i = 0; i < n; i++) {
+        if (finished[i] || !canRun(i, work)) continue;
+        finished[i] = true;
+        order.push(i);
+        release(i, work, 1);
+        collect(work);
+        release(i, work, -1);
+        order.pop();
+        finished[i] = false;
+      }
+    }
+
+    const memo = new Map();
+    function count(key, work) {
+      if (order.length === n) return 1;
+      if (memo.has(key)) return memo.get(key);
+      let total = 0;
+      for (let i = 0; i < n; i++) {
+        if (finished[i] || !canRun(i, work)) continue;
+        finished[i] = true;
+        order.push(i);
+        release(i, work, 1);
+        total += count(finished.map(f => (f ? "1" : "0")).join(""), work);
+        release(i, work, -1);
+        order.pop();
+        finished[i] = false;
+        // each subset searched lies on a sequence of its own, so stopping
+        // here keeps the search in proportion to the limit
+        if (total > countLimit) return total;
+      }
+      memo.set(key, total);
+      return total;
+    }
+
+    collect([...available]);
+    const total = count("", [...available]);
+    const exceeded = total > countLimit;
+    return {
+      sequences,
+      total: exceeded ? countLimit : total,
+      truncated: exceeded || total > sequences.length,
+      exceeded
+    };
+  }
+
+  // Replays a typed order ("P1, P3 → P0 ...") against the state and reports
+  // the first step at which Need exceeds Work.
+  function validateSequence(state, text) {
+    const { processes, resources } = state;
+    const ids = text.split(/[\s,;>→-]+/).filter(Boolean);
+    const result = bankerSafety(state);
+    if (!result.matrices) {
+      return { valid: false, steps: [], error: result.message };
+    }
+    const { allocation, need, available } = result.matrices;
+
+    const unknown = ids.filter(id => !processes.includes(id));
+    if (unknown.length > 0) {
+      return {
+        valid: false,
+        steps: [],
+        error: "Unknown process(es): " + unknown.join(", ") + "."
+      };
+    }
+    const repeated = ids.filter((id, k) => ids.indexOf(id) !== k);
+    if (repeated.length > 0) {
+      return {
+        valid: false,
+        steps: [],
+        error: "Listed more than once: " + repeated.join(", ") + "."
+      };
+    }
+
+    const work = [...available];
+    const steps = [];
+    for (let k = 0; k < ids.length; k++) {
+      const i = processes.indexOf(ids[k]);
+      const short = resources
+        .filter((r, j) => need[i][j] > work[j])
+        .map(r => r.id);
+      const step = {
+        pid: ids[k],
+        need: [...need[i]],
+        work: [...work],
+        ok: short.length === 0
+      };
+      steps.push(step);
+      if (!step.ok) {
+        return {
+          valid: false,
+          steps,
+          error:
+            `Step ${k + 1} fails: ${ids[k]} needs more ${short.join(", ")} ` +
+            `than Work ${formatVector(work)} provides.`
+        };
+      }
+      resources.forEach((r, j) => { work[j] += allocation[i][j]; });
+    }
+    const missing = processes.filter(pid => !ids.includes(pid));
+    if (missing.length > 0) {
+      return {
+        valid: false,
+        steps,
+        error:
+          "Every step passed, but the sequence leaves out " +
+          missing.join(", ") + "."
+      };
+    }
+    return { valid: true, steps, error: null };
+  }
+
+  // ---- one-line summaries ----
+  function describeDetection(result) {
+    const how =
+      result.algorithm === "matrix" ? "detection algorithm" : "Wait-For Graph";
+    if (!result.hasDeadlock) return `No deadlock (${how}).`;
+    const { blocked } = result;
+    const behind =
+      blocked.length > 0
+        ? ` ${blocked.join(", ")} ${blocked.length === 1 ? "is" : "are"} ` +
+          "blocked behind the deadlock."
+        : "";
+    if (result.algorithm === "wfg" && result.cycles.length === 1) {
+      return `Deadlock: cycle ${result.cycle.join(" → ")} (${how}).` + behind;
+    }
+    return (
+      `Deadlock: ${result.deadlocked.join(", ")} are deadlocked, ` +
+      `${describeCycleCount(result)} (${how}).` + behind
+    );
+  }
+
+  function describeCycleCount(result) {
+    const cycles = `${result.cycles.length}${result.cyclesTruncated ? "+" : ""} cycle(s)`;
+    return result.components.length > 1
+      ? `${cycles} in ${result.components.length} separate groups`
+      : cycles;
+  }
+
+  function describeSafety(result) {
+    if (result.safe) {
+      return result.sequence.length > 0
+        ? "SAFE. Safe sequence: " + result.sequence.join(" → ") + "."
+        : "SAFE. " + result.message;
+    }
+    return "NOT safe. " + result.message;
+  }
+
+  // ---- lecture-note tables ----
+  // Allocation / Max / Need with Available and the safety result, computed
+  // by bankerSafety, as a Markdown table or a LaTeX tabular.
+  function matrixRows(state) {
+    const safety = bankerSafety(state);
+    if (!safety.matrices) return { safety, rows: null };
+    const { allocation, max, need } = safety.matrices;
+    const rows = state.processes.map((pid, i) => ({
+      pid,
+      cells: [allocation[i], max[i], need[i]]
+    }));
+    return { safety, rows };
+  }
+
+  function safetyLine(safety, formatSequence) {
+    if (!safety.safe) return safety.message;
+    return safety.sequence.length > 0
+      ? "Safe sequence: " + formatSequence(safety.sequence) + "."
+      : "Safe: " + safety.message;
+  }
+
+  function formatMarkdownTables(state) {
+    const { safety, rows } = matrixRows(state);
+    if (!rows) return safetyLine(safety) + "\n";
+    const esc = text => String(text).replace(/[|\\]/g, m => "\\" + m);
+    const names = state.resources.map(r => esc(r.id)).join(" ");
+    const lines = [
+      `| Process | Allocation (${names}) | Max (${names}) | Need (${names}) |`,
+      "|---|---|---|---|"
+    ];
+    rows.forEach(({ pid, cells }) => {
+      lines.push(`| ${esc(pid)} | ${cells.map(v => v.join(" ")).join(" | ")} |`);
+    });
+    lines.push(
+      "",
+      `**Available** (${names}): ${safety.matrices.available.join(" ")}`,
+      "",
+      "**" + safetyLine(safety, seq => seq.map(esc).join(" → ")) + "**"
+    );
+    return lines.join("\n") + "\n";
+  }
+
+  const LATEX_SPECIAL = {
+    "\\": "\\textbackslash{}",
+    "~": "\\textasciitilde{}",
+    "^": "\\textasciicircum{}"
+  };
+
+  function latexText(text) {
+    return String(text).replace(/[\\{}$&#^_%~]/g, c => LATEX_SPECIAL[c] || "\\" + c);
+  }
+
+  // P0 becomes P_{0} (for use in math mode); anything else is escaped text
+  function latexName(id) {
+    const m = /^([A-Za-z]+)(\d+)$/.exec(id);
+    return m ? `${m[1]}_{${m[2]}}` : latexText(id);
+  }
+
+  function formatLatexTables(state) {
+    const { safety, rows } = matrixRows(state);
+    if (!rows) return latexText(safetyLine(safety)) + "\n";
+    const m = state.resources.length;
+    const group = "c".repeat(m);
+    const heads = state.resources.map(r => `$${latexName(r.id)}$`).join(" & ");
+    const lines = [
+      `\\begin{tabular}{l|${group}|${group}|${group}}`,
+      "\\hline",
+      ` & \\multicolumn{${m}}{c|}{Allocation} & \\multicolumn{${m}}{c|}{Max}` +
+        ` & \\multicolumn{${m}}{c}{Need} \\\\`,
+      `Process & ${heads} & ${heads} & ${heads} \\\\`,
+      "\\hline"
+    ];
+    rows.forEach(({ pid, cells }) => {
+      lines.push(
+        `$${latexName(pid)}$ & ${cells.map(v => v.join(" & ")).join(" & ")} \\\\`
+      );
+    });
+    lines.push(
+      "\\hline",
+      "\\end{tabular}",
+      "",
+      `Available $(${state.resources.map(r => latexName(r.id)).join(", ")})` +
+        ` = (${safety.matrices.available.join(", ")})$.`,
+      "",
+      safety.safe
+        ? safetyLine(safety, seq => `$\\langle ${seq.map(latexName).join(", ")} \\rangle$`)
+        : latexText(safety.message)
+    );
+    return lines.join("\n") + "\n";
+  }
+
+  // ---- Scenario documents ----
+  const SCENARIO_FORMAT = "deadlock-simulator-scenario";
+  const SCENARIO_VERSION = 1;
+
+  function isCount(v, min) {
+    return typeof v === "number" && Number.isInteger(v) && v >= min;
+  }
+
+  // Checks an untrusted scenario document. Returns every problem found, and a
+  // normalised scenario (missing optional parts filled in) when there are
+  // none. A valid scenario is also a valid engine state.
+  function validateScenario(doc) {
+    const errors = [];
+    if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+      return { errors: ["The document is not a JSON object."], scenario: null };
+    }
+    if (doc.format !== SCENARIO_FORMAT) {
+      errors.push(`"format" must be "${SCENARIO_FORMAT}".`);
+    }
+    if (doc.version !== SCENARIO_VERSION) {
+      errors.push(
+        `Unsupported version ${JSON.stringify(doc.version)} ` +
+        `(this simulator reads version ${SCENARIO_VERSION}).`
+      );
+    }
+
+    const processes = Array.isArray(doc.processes) ? doc.processes : [];
+    if (!Array.isArray(doc.processes)) errors.push('"processes" must be an array.');
+    processes.forEach((pid, k) => {
+      if (typeof pid !== "string" || !pid.trim()) {
+        errors.push(`processes[${k}] must be a non-empty string.`);
+      } else if (processes.indexOf(pid) !== k) {
+        errors.push(`Process ${pid} is listed twice.`);
+      }
+    });
+
+    const resources = Array.isArray(doc.resources) ? doc.resources : [];
+    if (!Array.isArray(doc.resources)) errors.push('"resources" must be an array.');
+    const resourceIds = [];
+    resources.forEach((r, k) => {
+      if (!r || typeof r.id !== "string" || !r.id.trim()) {
+        errors.push(`resources[${k}] needs a non-empty string "id".`);
+        return;
+      }
+      if (resourceIds.includes(r.id)) errors.push(`Resource ${r.id} is listed twice.`);
+      resourceIds.push(r.id);
+      if (!isCount(r.instances, 1)) {
+        errors.push(`Resource ${r.id} must have a whole number of instances >= 1.`);
+      }
+    });
+
+    // the edge index keeps one edge per process and resource, so a pair may
+    // appear only once in each list
+    function checkEdges(key) {
+      const edges = doc[key] === undefined ? [] : doc[key];
+      if (!Array.isArray(edges)) {
+        errors.push(`"${key}" must be an array.`);
+        return [];
+      }
+      const pairs = new Set();
+      edges.forEach((e, k) => {
+        if (!e || typeof e !== "object") {
+          errors.push(`${key}[${k}] must be an object.`);
+          return;
+        }
+        const pair = e.pid + "/" + e.rid;
+        if (pairs.has(pair)) errors.push(`${pair} is listed twice in "${key}".`);
+        pairs.add(pair);
+        if (!processes.includes(e.pid)) {
+          errors.push(`${key}[${k}] refers to unknown process ${JSON.stringify(e.pid)}.`);
+        }
+        if (!resourceIds.includes(e.rid)) {
+          errors.push(`${key}[${k}] refers to unknown resource ${JSON.stringify(e.rid)}.`);
+        }
+        if (!isCount(e.units, 1)) {
+          errors.push(`${key}[${k}] must have a whole number of units >= 1.`);
+        }
+      });
+      return edges;
+    }
+    const assignments = checkEdges("assignments");
+    const requests = checkEdges("requests");
+
+    resources.forEach(r => {
+      if (!r || !isCount(r.instances, 1)) return;
+      const used = assignments
+        .filter(e => e && e.rid === r.id && isCount(e.units, 1))
+        .reduce((sum, e) => sum + e.units, 0);
+      if (used > r.instances) {
+        errors.push(
+          `Resource ${r.id} is over-allocated: ${used} unit(s) assigned ` +
+          `but only ${r.instances} instance(s) exist.`
+        );
+      }
+    });
+
+    // as in request(): a process can never need more than the resource has
+    const instancesOf = new Map(
+      resources.filter(r => r && isCount(r.instances, 1)).map(r => [r.id, r.instances])
+    );
+    const claimed = new Map(); // "pid/rid" -> { rid, units }
+    assignments.concat(requests).forEach(e => {
+      if (!e || !instancesOf.has(e.rid) || !isCount(e.units, 1)) return;
+      const pair = e.pid + "/" + e.rid;
+      const entry = claimed.get(pair) || { rid: e.rid, units: 0 };
+      entry.units += e.units;
+      claimed.set(pair, entry);
+    });
+    claimed.forEach(({ rid, units }, pair) => {
+      if (units > instancesOf.get(rid)) {
+        errors.push(
+          `${pair} holds and requests ${units} unit(s) in all, ` +
+          `but ${rid} only has ${instancesOf.get(rid)} instance(s).`
+        );
+      }
+    });
+
+    const max = doc.max === undefined ? {} : doc.max;
+    if (!max || typeof max !== "object" || Array.isArray(max)) {
+      errors.push('"max" must be an object of { process: { resource: n } }.');
+    } else {
+      Object.keys(max).forEach(pid => {
+        if (!processes.includes(pid)) errors.push(`Max refers to unknown process ${pid}.`);
+        const row = max[pid] || {};
+        Object.keys(row).forEach(rid => {
+          if (!resourceIds.includes(rid)) {
+            errors.push(`Max for ${pid} refers to unknown resource ${rid}.`);
+          }
+          if (typeof row[rid] !== "number" || !Number.isInteger(row[rid])) {
+            errors.push(`Max for ${pid}/${rid} must be a whole number.`);
+          } else if (row[rid] < 0) {
+            errors.push(`Max for ${pid}/${rid} is negative (${row[rid]}).`);
+          }
+        });
+      });
+    }
+
+    const attrs = doc.processAttrs === undefined ? {} : doc.processAttrs;
+    if (!attrs || typeof attrs !== "object" || Array.isArray(attrs)) {
+      errors.push('"processAttrs" must be an object.');
+    }
+
+    if (errors.length > 0) return { errors, scenario: null };
+    const edge = e => ({ rid: e.rid, pid: e.pid, units: e.units });
+    return {
+      errors,
+      scenario: {
+        name: typeof doc.name === "string" ? doc.name : "",
+        processes,
+        resources: resources.map(r => ({ id: r.id, instances: r.instances })),
+        assignments: assignments.map(edge),
+        requests: requests.map(edge),
+        max,
+        processAttrs: attrs
+      }
+    };
+  }
+
+  // the scenario document for a state, as written by export and autosave
+  function toScenario(state, name) {
+    const edge = e => ({ pid: e.pid, rid: e.rid, units: e.units });
+    return {
+      format: SCENARIO_FORMAT,
+      version: SCENARIO_VERSION,
+      name: name || "",
+      processes: state.processes,
+      resources: state.resources,
+      assignments: state.assignments.map(edge),
+      requests: state.requests.map(edge),
+      max: state.max,
+      processAttrs: state.processAttrs
+    };
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    SCENARIO_FORMAT,
+    SCENARIO_VERSION,
+    emptyState,
+    edgeIndex,
+    resourceById,
+    allocatedUnits,
+    freeUnits,
+    holdersOf,
+    heldUnits,
+    unitsOn,
+    addUnits,
+    removeUnits,
+    attrsOf,
+    formatVector,
+    seededRandom,
+    addProcesses,
+    addResource,
+    setMax,
+    renameProcess,
+    removeProcess,
+    renameResource,
+    removeResource,
+    setInstances,
+    matrixView,
+    setMatrixCells,
+    parseMatrixText,
+    request,
+    release,
+    finish,
+    claimEdges,
+    declareClaim,
+    claimGraphCycle,
+    grantWaiters,
+    effectivePriority,
+    waitQueue,
+    buildWaitForGraph,
+    stronglyConnected,
+    elementaryCycles,
+    findCycle,
+    cycleThrough,
+    detectAfterRequest,
+    detectByMatrix,
+    detectDeadlock,
+    deadlockedProcesses,
+    chooseVictim,
+    describePolicyValue,
+    abortProcesses,
+    preemptFrom,
+    recover,
+    bankerSafety,
+    enumerateSafeSequences,
+    validateSequence,
+    describeDetection,
+    describeSafety,
+    formatMarkdownTables,
+    formatLatexTables,
+    isCount,
+    validateScenario,
+    toScenario
+  };
+});
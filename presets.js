@@ -0,0 +1,497 @@
+// Library of classic scenarios, each with a guided walkthrough.
+//
+// A preset is { id, title, description, params, load(values) }; `load`
+// returns { name, state, steps, sites? }. A step is
+//   { text, target, select?, done? }
+// where `target` names the control to click next (see TOUR_TARGETS in
+// app.js), `select` pre-fills the request form ({ pid, rid, units }) and
+// `done(state, ui)` tells when the step has been carried out. `ui` holds
+// { deadlockResult, safetyResult, avoidance, prevention, distributed },
+// the last being the latest distributed detection run. `sites`, for the
+// distributed presets, is { count, place: { [pid or rid]: site },
+// latency: { [site]: ticks } }.
+//
+// Loaded as a plain <script> after engine.js it defines `DeadlockPresets`;
+// under Node it is a CommonJS module.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine"));
+  } else {
+    root.DeadlockPresets = factory(root.DeadlockEngine);
+  }
+})(this, function (Engine) {
+  "use strict";
+
+  // builds a state from "P1 R1 2" style edge lists
+  function makeState(processes, resources, holds, waits, max) {
+    const edges = list =>
+      list.map(text => {
+        const [pid, rid, units] = text.split(" ");
+        return { rid, pid, units: units ? Number(units) : 1 };
+      });
+    return Object.assign(Engine.emptyState(), {
+      processes,
+      resources: Object.keys(resources).map(id => ({ id, instances: resources[id] })),
+      assignments: edges(holds),
+      requests: edges(waits || []),
+      max: max || {}
+    });
+  }
+
+  const waits = (state, pid, rid) => Engine.unitsOn(state.requests, pid, rid) > 0;
+  const holds = (state, pid, rid) => Engine.unitsOn(state.assignments, pid, rid);
+  const deadlockFound = (state, ui) => Boolean(ui.deadlockResult && ui.deadlockResult.hasDeadlock);
+  const noDeadlockFound = (state, ui) =>
+    Boolean(ui.deadlockResult && !ui.deadlockResult.hasDeadlock);
+
+  const twoProcessCycle = {
+    id: "two-process-cycle",
+    title: "Two-process cycle",
+    description:
+      "P1 holds R1 and P2 holds R2, one instance each. Each then asks for " +
+      "the other's resource: the smallest circular wait.",
+    params: {},
+    load() {
+      return {
+        name: this.title,
+        state: makeState(["P1", "P2"], { R1: 1, R2: 1 }, ["P1 R1", "P2 R2"]),
+        steps: [
+          {
+            text: "P1 asks for R2, which P2 holds. Click Request: P1 has to wait.",
+            target: "request",
+            select: { pid: "P1", rid: "R2", units: 1 },
+            done: s => waits(s, "P1", "R2")
+          },
+          {
+            text: "P2 asks for R1, which P1 holds. Click Request: now each waits for the other.",
+            target: "request",
+            select: { pid: "P2", rid: "R1", units: 1 },
+            done: s => waits(s, "P2", "R1")
+          },
+          {
+            text:
+              "Click Check Deadlock. With single instances a cycle in the " +
+              "Wait-For Graph is a deadlock: P1 → P2 → P1.",
+            target: "check-deadlock",
+            done: deadlockFound
+          },
+          {
+            text:
+              "Switch the graph to the Wait-For Graph: resources are folded " +
+              "away and the cycle runs between the two processes.",
+            target: "graph"
+          },
+          {
+            text:
+              "Break the deadlock: click Abort one victim. Its unit goes to " +
+              "the other process, which no longer waits.",
+            target: "recovery",
+            done: s => s.requests.length === 0
+          }
+        ]
+      };
+    }
+  };
+
+  const diningPhilosophers = {
+    id: "dining-philosophers",
+    title: "Dining philosophers",
+    description:
+      "N philosophers sit around a table with one fork between neighbours " +
+      "and need both forks to eat. Each has picked up the left fork; all " +
+      "but the last already wait for the right one.",
+    params: { philosophers: { label: "Philosophers", min: 2, max: 10, value: 5 } },
+    load(values) {
+      const n = Math.max(2, Math.min(10, Math.floor((values && values.philosophers) || 5)));
+      const ps = [];
+      const forks = {};
+      for (let i = 1; i <= n; i++) {
+        ps.push("P" + i);
+        forks["F" + i] = 1;
+      }
+      const right = i => "F" + ((i % n) + 1);
+      const last = "P" + n;
+      return {
+        name: `${this.title} (${n})`,
+        state: makeState(
+          ps,
+          forks,
+          ps.map((pid, k) => `${pid} F${k + 1}`),
+          ps.slice(0, -1).map((pid, k) => `${pid} ${right(k + 1)}`)
+        ),
+        steps: [
+          {
+            text:
+              `Every philosopher holds its left fork and P1–P${n - 1} wait ` +
+              `for their right one. ${last} reaches for F1: click Request.`,
+            target: "request",
+            select: { pid: last, rid: "F1", units: 1 },
+            done: s => waits(s, last, "F1")
+          },
+          {
+            text: `Click Check Deadlock: one cycle runs through all ${n} philosophers.`,
+            target: "check-deadlock",
+            done: deadlockFound
+          },
+          {
+            text:
+              "Recover: click Abort one victim. The victim's fork goes to the " +
+              "philosopher waiting for it, and the chain unwinds from there.",
+            target: "recovery",
+            done: s => !Engine.detectDeadlock(s).hasDeadlock
+          },
+          {
+            text:
+              "To prevent it instead, load the preset again and choose Global " +
+              `resource ordering here before ${last} reaches for F1. The request ` +
+              `is then refused, because ${last} already holds F${n}, which comes ` +
+              "later in the order.",
+            target: "prevention",
+            done: (s, ui) => ui.prevention === "resource-ordering"
+          }
+        ]
+      };
+    }
+  };
+
+  const silberschatzBanker = {
+    id: "banker-silberschatz",
+    title: "Banker's algorithm (Silberschatz)",
+    description:
+      "The textbook example: five processes and resources A, B and C with " +
+      "10, 5 and 7 instances, Max declared for everyone. The state is safe.",
+    params: {},
+    load() {
+      const allocation = {
+        P0: [0, 1, 0],
+        P1: [2, 0, 0],
+        P2: [3, 0, 2],
+        P3: [2, 1, 1],
+        P4: [0, 0, 2]
+      };
+      const maxRows = {
+        P0: [7, 5, 3],
+        P1: [3, 2, 2],
+        P2: [9, 0, 2],
+        P3: [2, 2, 2],
+        P4: [4, 3, 3]
+      };
+      const ids = ["A", "B", "C"];
+      const holdsList = [];
+      const max = {};
+      Object.keys(allocation).forEach(pid => {
+        max[pid] = {};
+        ids.forEach((rid, j) => {
+          if (allocation[pid][j] > 0) holdsList.push(`${pid} ${rid} ${allocation[pid][j]}`);
+          max[pid][rid] = maxRows[pid][j];
+        });
+      });
+      return {
+        name: this.title,
+        state: makeState(Object.keys(allocation), { A: 10, B: 5, C: 7 }, holdsList, [], max),
+        steps: [
+          {
+            text:
+              "Click Check Safety. Need = Max − Allocation; the algorithm " +
+              "finds the safe sequence P1 → P3 → P4 → P0 → P2.",
+            target: "check-safety",
+            done: (s, ui) => Boolean(ui.safetyResult && ui.safetyResult.safe)
+          },
+          {
+            text: "Choose Banker avoidance: from now on a grant must leave the state safe.",
+            target: "avoidance",
+            done: (s, ui) => ui.avoidance === "banker"
+          },
+          {
+            text: "P1 asks for (1, 0, 2). Request 1 unit of A for P1 …",
+            target: "request",
+            select: { pid: "P1", rid: "A", units: 1 },
+            done: s => holds(s, "P1", "A") >= 3
+          },
+          {
+            text: "… and 2 units of C. Both grants keep the state safe.",
+            target: "request",
+            select: { pid: "P1", rid: "C", units: 2 },
+            done: s => holds(s, "P1", "C") >= 2
+          },
+          {
+            text:
+              "Now P0 asks for 2 units of B. Three are free, but after the " +
+              "grant no process could be sure to finish, so P0 is made to wait.",
+            target: "request",
+            select: { pid: "P0", rid: "B", units: 2 },
+            done: s => waits(s, "P0", "B")
+          },
+          {
+            text:
+              "Click Check Safety again: the state is still safe, because the " +
+              "risky grant was deferred.",
+            target: "check-safety",
+            done: (s, ui) => Boolean(ui.safetyResult && ui.safetyResult.safe)
+          }
+        ]
+      };
+    }
+  };
+
+  const multiInstanceCycle = {
+    id: "multi-instance-cycle",
+    title: "Cycle without deadlock",
+    description:
+      "R1 has two instances. P1 and P2 wait for each other, but P3 also " +
+      "holds a unit of R1 and is not waiting, so the cycle can be broken.",
+    params: {},
+    load() {
+      return {
+        name: this.title,
+        state: makeState(
+          ["P1", "P2", "P3"],
+          { R1: 2, R2: 1 },
+          ["P1 R1", "P3 R1", "P2 R2"],
+          ["P1 R2", "P2 R1"]
+        ),
+        steps: [
+          {
+            text:
+              "Switch the graph to the Wait-For Graph: P1 → P2 → P1 is a " +
+              "cycle. With several instances that is not enough for a deadlock.",
+            target: "graph"
+          },
+          {
+            text:
+              "Click Check Deadlock. R1 has two instances, so the detection " +
+              "algorithm runs and finds no deadlock.",
+            target: "check-deadlock",
+            done: noDeadlockFound
+          },
+          {
+            text: "P3 waits for nothing. Click Process finishes: its unit of R1 goes to P2.",
+            target: "finish",
+            select: { pid: "P3" },
+            done: s => Engine.heldUnits(s.assignments, "P3") === 0
+          },
+          {
+            text: "P2 now has R1 and R2. Finish P2 too: R2 goes to P1 and nobody waits any more.",
+            target: "finish",
+            select: { pid: "P2" },
+            done: s => s.requests.length === 0
+          }
+        ]
+      };
+    }
+  };
+
+  const claimGraphAvoidance = {
+    id: "claim-graph",
+    title: "Claim-graph avoidance",
+    description:
+      "Single instances of R1 and R2. P1 holds R1 and P2 waits for it; both " +
+      "have declared a claim on R2 (dashed claim edges).",
+    params: {},
+    load() {
+      return {
+        name: this.title,
+        state: makeState(
+          ["P1", "P2"],
+          { R1: 1, R2: 1 },
+          ["P1 R1"],
+          ["P2 R1"],
+          { P1: { R1: 1, R2: 1 }, P2: { R1: 1, R2: 1 } }
+        ),
+        steps: [
+          {
+            text:
+              "Choose Claim graph avoidance: a grant may not close a cycle, " +
+              "claim edges included.",
+            target: "avoidance",
+            done: (s, ui) => ui.avoidance === "claim-graph"
+          },
+          {
+            text:
+              "P2 asks for R2, which is free. Click Request: the assignment " +
+              "R2 → P2 would close P1 ⇢ R2 → P2 → R1 → P1, so P2 waits.",
+            target: "request",
+            select: { pid: "P2", rid: "R2", units: 1 },
+            done: s => waits(s, "P2", "R2")
+          },
+          {
+            text:
+              "P1 asks for R2 along its claim edge. Click Request: no cycle " +
+              "forms, so it is granted.",
+            target: "request",
+            select: { pid: "P1", rid: "R2", units: 1 },
+            done: s => holds(s, "P1", "R2") === 1
+          },
+          {
+            text: "Click Process finishes for P1: R1 and R2 both go to P2, and nobody waits.",
+            target: "finish",
+            select: { pid: "P1" },
+            done: s => s.requests.length === 0
+          }
+        ]
+      };
+    }
+  };
+
+  const unsafeNotDeadlocked = {
+    id: "unsafe-not-deadlocked",
+    title: "Unsafe but not deadlocked",
+    description:
+      "Twelve tape drives T. P0, P1 and P2 hold 5, 2 and 3 and may need up " +
+      "to 10, 4 and 9. Nobody waits, yet the state is unsafe.",
+    params: {},
+    load() {
+      return {
+        name: this.title,
+        state: makeState(
+          ["P0", "P1", "P2"],
+          { T: 12 },
+          ["P0 T 5", "P1 T 2", "P2 T 3"],
+          [],
+          { P0: { T: 10 }, P1: { T: 4 }, P2: { T: 9 } }
+        ),
+        steps: [
+          {
+            text: "Click Check Deadlock: nobody is waiting, so there is no deadlock.",
+            target: "check-deadlock",
+            done: noDeadlockFound
+          },
+          {
+            text:
+              "Click Check Safety: NOT safe. Only P1 is sure to finish; after " +
+              "it 4 drives are free, but P0 may need 5 more and P2 6 more.",
+            target: "check-safety",
+            done: (s, ui) => Boolean(ui.safetyResult && !ui.safetyResult.safe)
+          },
+          {
+            text:
+              "Unsafe only means a deadlock can happen. P1 takes its last 2 " +
+              "drives: click Request …",
+            target: "request",
+            select: { pid: "P1", rid: "T", units: 2 },
+            done: s => holds(s, "P1", "T") === 4
+          },
+          {
+            text: "… and finishes: click Process finishes.",
+            target: "finish",
+            select: { pid: "P1" },
+            done: s => Engine.heldUnits(s.assignments, "P1") === 0
+          },
+          {
+            text:
+              "P0 asks for its remaining 5 drives. Only 4 are free, so P0 gets " +
+              "them and waits for 1.",
+            target: "request",
+            select: { pid: "P0", rid: "T", units: 5 },
+            done: s => waits(s, "P0", "T")
+          },
+          {
+            text: "P2 asks for its remaining 6 drives and waits as well.",
+            target: "request",
+            select: { pid: "P2", rid: "T", units: 6 },
+            done: s => waits(s, "P2", "T")
+          },
+          {
+            text:
+              "Click Check Deadlock: P0 and P2 are deadlocked. Banker " +
+              "avoidance would never have granted the drives that made the state unsafe.",
+            target: "check-deadlock",
+            done: deadlockFound
+          }
+        ]
+      };
+    }
+  };
+
+  const phantomDeadlock = {
+    id: "phantom-deadlock",
+    title: "Phantom deadlock (distributed)",
+    description:
+      "Two sites: P1 and R1 on S1, P2 and R2 on S2. P1 holds R1, P2 holds R2 " +
+      "and waits for R1. S1's messages take 3 ticks, S2's only 1.",
+    params: {},
+    load() {
+      return {
+        name: this.title,
+        state: makeState(["P1", "P2"], { R1: 1, R2: 1 }, ["P1 R1", "P2 R2"], ["P2 R1"]),
+        sites: {
+          count: 2,
+          place: { P1: "S1", R1: "S1", P2: "S2", R2: "S2" },
+          latency: { S1: 3, S2: 1 }
+        },
+        steps: [
+          {
+            text:
+              "P1 releases R1: click Release. R1 goes to P2, so S1's edge " +
+              "P2 → P1 is gone, but S1 is slow to report it.",
+            target: "release",
+            select: { pid: "P1", rid: "R1", units: 1 },
+            done: s => holds(s, "P2", "R1") === 1
+          },
+          {
+            text:
+              "P1 asks for R2, which P2 holds. Click Request: P1 waits, and " +
+              "S2 reports the new edge P1 → P2 quickly.",
+            target: "request",
+            select: { pid: "P1", rid: "R2", units: 1 },
+            done: s => waits(s, "P1", "R2")
+          },
+          {
+            text:
+              "With the Centralized coordinator click Run detection and step " +
+              "through it: at tick 3 S1's old P2 → P1 and S2's new P1 → P2 " +
+              "arrive together, and the coordinator declares a deadlock that " +
+              "does not exist.",
+            target: "distributed",
+            done: (s, ui) =>
+              Boolean(
+                ui.distributed &&
+                  ui.distributed.algorithm === "coordinator" &&
+                  ui.distributed.outcome &&
+                  ui.distributed.outcome.phantom
+              )
+          },
+          {
+            text:
+              "Switch to Chandy–Misra–Haas probes with P1 as initiator and run " +
+              "again: the probe reaches P2, which is not waiting, and stops. " +
+              "No deadlock is declared.",
+            target: "distributed",
+            done: (s, ui) =>
+              Boolean(
+                ui.distributed &&
+                  ui.distributed.algorithm === "probes" &&
+                  ui.distributed.initiator === "P1" &&
+                  !ui.distributed.outcome
+              )
+          }
+        ]
+      };
+    }
+  };
+
+  const PRESETS = [
+    twoProcessCycle,
+    diningPhilosophers,
+    silberschatzBanker,
+    multiInstanceCycle,
+    claimGraphAvoidance,
+    unsafeNotDeadlocked,
+    phantomDeadlock
+  ];
+
+  function presetById(id) {
+    return PRESETS.find(p => p.id === id) || null;
+  }
+
+  // default parameter values of a preset, e.g. { philosophers: 5 }
+  function defaultValues(preset) {
+    const values = {};
+    Object.keys(preset.params).forEach(key => {
+      values[key] = preset.params[key].value;
+    });
+    return values;
+  }
+
+  return { PRESETS, presetById, defaultValues };
+});
@@ -0,0 +1,396 @@
+// Practice quiz: seeded random states, questions about them, and grading
+// against the engine's own Banker and detection algorithms.
+//
+// A quiz is { seed, config, problems }. Each problem carries its state, the
+// prompt and the solution, so grading needs nothing else. Responses are
+// "yes" / "no" for the safe and grant questions, a sequence text such as
+// "P1 P3 P0" for the sequence question and an array of pids for the
+// deadlocked question.
+//
+// Loaded as a plain <script> after engine.js it defines `DeadlockQuiz`; under
+// Node it is a CommonJS module.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine"));
+  } else {
+    root.DeadlockQuiz = factory(root.DeadlockEngine);
+  }
+})(this, function (Engine) {
+  "use strict";
+
+  const QUESTION_TYPES = {
+    safe: "Is this state safe?",
+    sequence: "Give a safe sequence",
+    deadlocked: "Which processes are deadlocked?",
+    grant: "Can the request be granted?"
+  };
+
+  const DEFAULT_CONFIG = {
+    processes: 4, // 2–8
+    resources: 3, // 1–5
+    count: 8, // 1–30 questions
+    types: Object.keys(QUESTION_TYPES)
+  };
+
+  // random states tried for the wanted answer before settling for any
+  const ATTEMPTS = 200;
+
+  const formatVector = Engine.formatVector;
+
+  function withDefaults(config) {
+    const c = Object.assign({}, DEFAULT_CONFIG, config);
+    const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, Math.floor(v) || lo));
+    const types = (c.types || []).filter(t => QUESTION_TYPES[t]);
+    return {
+      processes: clamp(c.processes, 2, 8),
+      resources: clamp(c.resources, 1, 5),
+      count: clamp(c.count, 1, 30),
+      types: types.length > 0 ? types : DEFAULT_CONFIG.types
+    };
+  }
+
+  // ---- random states ----
+  function randomInt(random, lo, hi) {
+    return lo + Math.floor(random() * (hi - lo + 1));
+  }
+
+  function zeros(n, m) {
+    return Array.from({ length: n }, () => Array(m).fill(0));
+  }
+
+  // Processes P0, P1, ... and resources A, B, ... with 3–9 instances each;
+  // every instance is held by a random process with probability 0.7.
+  function randomAllocation(random, n, m) {
+    const instances = Array.from({ length: m }, () => randomInt(random, 3, 9));
+    const allocation = zeros(n, m);
+    instances.forEach((count, j) => {
+      for (let u = 0; u < count; u++) {
+        if (random() < 0.7) allocation[randomInt(random, 0, n - 1)][j]++;
+      }
+    });
+    return { instances, allocation };
+  }
+
+  function toState(instances, allocation, extra) {
+    const processes = allocation.map((row, i) => "P" + i);
+    const resources = instances.map((count, j) => ({
+      id: String.fromCharCode(65 + j),
+      instances: count
+    }));
+    const edges = matrix => {
+      const list = [];
+      matrix.forEach((row, i) =>
+        row.forEach((units, j) => {
+          if (units > 0) list.push({ rid: resources[j].id, pid: processes[i], units });
+        })
+      );
+      return list;
+    };
+    const max = {};
+    if (extra.max) {
+      processes.forEach((pid, i) => {
+        max[pid] = {};
+        resources.forEach((r, j) => {
+          max[pid][r.id] = extra.max[i][j];
+        });
+      });
+    }
+    return Object.assign(Engine.emptyState(), {
+      processes,
+      resources,
+      assignments: edges(allocation),
+      requests: edges(extra.request || []),
+      max
+    });
+  }
+
+  // a Banker state: Max is the allocation plus up to four more of each
+  function bankerState(random, n, m) {
+    const { instances, allocation } = randomAllocation(random, n, m);
+    const max = allocation.map(row =>
+      row.map((v, j) => v + randomInt(random, 0, Math.min(4, instances[j] - v)))
+    );
+    return toState(instances, allocation, { max });
+  }
+
+  // a detection state: about 40% of the cells have a pending request
+  function detectionState(random, n, m) {
+    const { instances, allocation } = randomAllocation(random, n, m);
+    const request = allocation.map(row =>
+      row.map((v, j) => {
+        const room = Math.min(3, instances[j] - v);
+        return room > 0 && random() < 0.4 ? randomInt(random, 1, room) : 0;
+      })
+    );
+    return toState(instances, allocation, { request });
+  }
+
+  // first candidate from `make` that `wanted` accepts, or the last one tried
+  function pick(make, wanted) {
+    let candidate;
+    for (let k = 0; k < ATTEMPTS; k++) {
+      candidate = make();
+      if (wanted(candidate)) return candidate;
+    }
+    return candidate;
+  }
+
+  // ---- Banker's resource-request check ----
+  // Can `pid` be granted `vector` (one entry per resource) right now?
+  function checkGrant(state, pid, vector) {
+    const { need, available } = Engine.bankerSafety(state).matrices;
+    const i = state.processes.indexOf(pid);
+    const ask = formatVector(vector);
+    if (vector.some((v, j) => v > need[i][j])) {
+      return {
+        grantable: false,
+        reason:
+          `${ask} exceeds ${pid}'s remaining Need ${formatVector(need[i])}, ` +
+          "so the request is an error."
+      };
+    }
+    if (vector.some((v, j) => v > available[j])) {
+      return {
+        grantable: false,
+        reason: `Only ${formatVector(available)} is available, so ${pid} has to wait.`
+      };
+    }
+    let assignments = state.assignments;
+    state.resources.forEach((r, j) => {
+      assignments = Engine.addUnits(assignments, pid, r.id, vector[j]);
+    });
+    const after = Engine.bankerSafety(Object.assign({}, state, { assignments }));
+    return after.safe
+      ? {
+          grantable: true,
+          reason:
+            "Pretending to grant leaves a safe state " +
+            `(${after.sequence.join(" → ")}), so it is granted.`
+        }
+      : {
+          grantable: false,
+          reason: `Pretending to grant leaves an unsafe state, so ${pid} has to wait.`
+        };
+  }
+
+  // ---- problems ----
+  // `target` is the answer the generator aims for (true = "yes" / some
+  // deadlocked processes) so that a quiz mixes both outcomes.
+  function makeProblem(random, type, config, target) {
+    const n = config.processes;
+    const m = config.resources;
+
+    if (type === "safe" || type === "sequence") {
+      const state = pick(
+        () => bankerState(random, n, m),
+        s => Engine.bankerSafety(s).safe === (type === "sequence" || target)
+      );
+      const safety = Engine.bankerSafety(state);
+      // no safe state turned up: ask whether this one is safe instead
+      if (type === "sequence" && !safety.safe) {
+        return makeProblem(random, "safe", config, false);
+      }
+      return {
+        type,
+        kind: "banker",
+        state,
+        prompt:
+          type === "safe"
+            ? "Is this state safe?"
+            : "Give a safe sequence for this state (e.g. P1 P3 P0 P2).",
+        solution: { safe: safety.safe, sequence: safety.sequence }
+      };
+    }
+
+    if (type === "deadlocked") {
+      const state = pick(
+        () => detectionState(random, n, m),
+        s => Engine.detectDeadlock(s).hasDeadlock === target
+      );
+      return {
+        type,
+        kind: "detection",
+        state,
+        prompt: "Which processes are deadlocked? Tick none if there is no deadlock.",
+        solution: { deadlocked: Engine.detectDeadlock(state).deadlocked }
+      };
+    }
+
+    // grant: a request within some process's Need in a safe state
+    const candidate = pick(
+      () => {
+        const state = pick(
+          () => bankerState(random, n, m),
+          s => Engine.bankerSafety(s).safe
+        );
+        const { need } = Engine.bankerSafety(state).matrices;
+        const needy = state.processes.filter((pid, i) => need[i].some(v => v > 0));
+        if (needy.length === 0) return null;
+        const pid = needy[randomInt(random, 0, needy.length - 1)];
+        const row = need[state.processes.indexOf(pid)];
+        let vector = row.map(v => randomInt(random, 0, v));
+        if (vector.every(v => v === 0)) vector = row.map(v => Math.min(v, 1));
+        return { state, pid, vector, check: checkGrant(state, pid, vector) };
+      },
+      c => c !== null && c.check.grantable === target
+    );
+    // only reachable when every attempt found no process with any Need
+    if (!candidate) return makeProblem(random, "safe", config, target);
+    return {
+      type,
+      kind: "banker",
+      state: candidate.state,
+      request: { pid: candidate.pid, vector: candidate.vector },
+      prompt: `Can ${candidate.pid}'s request of ${formatVector(candidate.vector)} be granted?`,
+      solution: candidate.check
+    };
+  }
+
+  // Builds `config.count` problems cycling through `config.types`. Each
+  // yes/no type alternates its target answer, starting at random, so any
+  // type asked at least twice gets both outcomes.
+  function generateQuiz(config, seed) {
+    const c = withDefaults(config);
+    const random = Engine.seededRandom(seed);
+    const flip = {};
+    c.types.forEach(type => {
+      flip[type] = random() < 0.5;
+    });
+    const problems = [];
+    for (let k = 0; k < c.count; k++) {
+      const type = c.types[k % c.types.length];
+      flip[type] = !flip[type];
+      problems.push(
+        Object.assign({ number: k + 1 }, makeProblem(random, type, c, flip[type]))
+      );
+    }
+    return { seed, config: c, problems };
+  }
+
+  // ---- grading ----
+  // Returns { correct, feedback }; the feedback always states the answer.
+  function grade(problem, response) {
+    const { state, solution } = problem;
+
+    if (problem.type === "safe") {
+      const correct = (response === "yes") === solution.safe;
+      const why = solution.safe
+        ? `Safe: ${solution.sequence.join(" → ")} lets every process finish.`
+        : "Unsafe: no order lets every process finish.";
+      return { correct, feedback: (correct ? "Correct. " : "Wrong. ") + why };
+    }
+
+    if (problem.type === "sequence") {
+      const check = Engine.validateSequence(state, String(response || ""));
+      return check.valid
+        ? { correct: true, feedback: "Correct: every process can finish in that order." }
+        : {
+            correct: false,
+            feedback: `${check.error} One safe sequence is ${solution.sequence.join(" → ")}.`
+          };
+    }
+
+    if (problem.type === "deadlocked") {
+      const given = state.processes.filter(pid => (response || []).includes(pid));
+      const right = solution.deadlocked;
+      const missed = right.filter(pid => !given.includes(pid));
+      const extra = given.filter(pid => !right.includes(pid));
+      const correct = missed.length === 0 && extra.length === 0;
+      const answer =
+        right.length > 0
+          ? `${right.join(", ")} ${right.length === 1 ? "is" : "are"} deadlocked.`
+          : "There is no deadlock.";
+      const notes = [];
+      if (missed.length > 0 && given.length > 0) {
+        notes.push("Missed " + missed.join(", ") + ".");
+      }
+      if (extra.length > 0) notes.push(extra.join(", ") + " can finish.");
+      return {
+        correct,
+        feedback: [correct ? "Correct." : "Wrong."].concat(notes, answer).join(" ")
+      };
+    }
+
+    const correct = (response === "yes") === solution.grantable;
+    return {
+      correct,
+      feedback: (correct ? "Correct. " : "Wrong. ") + solution.reason
+    };
+  }
+
+  // ---- results ----
+  // `answers` maps problem numbers to { response, correct, feedback }
+  function summarize(quiz, answers) {
+    const byType = {};
+    let answered = 0;
+    let correct = 0;
+    quiz.problems.forEach(p => {
+      const t = byType[p.type] || (byType[p.type] = { total: 0, answered: 0, correct: 0 });
+      t.total++;
+      const a = answers[p.number];
+      if (!a) return;
+      t.answered++;
+      answered++;
+      if (a.correct) {
+        t.correct++;
+        correct++;
+      }
+    });
+    return { total: quiz.problems.length, answered, correct, byType };
+  }
+
+  function formatResponse(response) {
+    if (Array.isArray(response)) return response.join(" ") || "none";
+    return response === undefined ? "" : String(response);
+  }
+
+  // everything needed to review or regenerate the quiz
+  function resultsDocument(quiz, answers) {
+    return {
+      seed: quiz.seed,
+      config: quiz.config,
+      score: summarize(quiz, answers),
+      questions: quiz.problems.map(p => {
+        const a = answers[p.number];
+        return {
+          number: p.number,
+          type: p.type,
+          prompt: p.prompt,
+          response: a ? formatResponse(a.response) : null,
+          correct: a ? a.correct : null,
+          feedback: a ? a.feedback : null
+        };
+      })
+    };
+  }
+
+  function resultsCsv(doc) {
+    const cell = v => {
+      const text = v === null ? "" : String(v);
+      return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    const rows = [["number", "type", "prompt", "response", "correct", "feedback"]];
+    doc.questions.forEach(q => {
+      rows.push([
+        q.number,
+        q.type,
+        q.prompt,
+        q.response,
+        q.correct === null ? "" : q.correct ? "yes" : "no",
+        q.feedback
+      ]);
+    });
+    return rows.map(row => row.map(cell).join(",")).join("\n") + "\n";
+  }
+
+  return {
+    QUESTION_TYPES,
+    DEFAULT_CONFIG,
+    generateQuiz,
+    checkGrant,
+    grade,
+    summarize,
+    resultsDocument,
+    resultsCsv
+  };
+});
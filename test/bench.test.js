@@ -0,0 +1,67 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Engine = require("../engine");
+const Bench = require("../bench");
+
+test("bench: the same seed generates the same valid system", () => {
+  const config = { processes: 300, resources: 40, maxInstances: 3, waiting: 0.5 };
+  const state = Bench.generateSystem(config, 11);
+  assert.deepEqual(Bench.generateSystem(config, 11), state);
+  assert.notDeepEqual(Bench.generateSystem(config, 12), state);
+
+  assert.equal(state.processes.length, 300);
+  assert.equal(state.resources.length, 40);
+  assert.ok(state.requests.length > 0);
+  const { errors } = Engine.validateScenario(
+    Object.assign({ format: "deadlock-simulator-scenario", version: 1 }, state)
+  );
+  assert.deepEqual(errors, []);
+  state.resources.forEach(r => {
+    assert.ok(Engine.allocatedUnits(state.assignments, r.id) <= r.instances);
+  });
+
+  // the incremental check agrees with full detection for every waiter
+  const full = Engine.detectDeadlock(state);
+  state.requests.forEach(({ pid }) => {
+    const after = Engine.detectAfterRequest(state, pid);
+    if (after === null) assert.equal(Engine.cycleThrough(state, pid).length, 0);
+    else assert.deepEqual(after, full);
+  });
+});
+
+test("bench: every case reports a time and a result", () => {
+  const state = Bench.generateSystem({ processes: Bench.TRACE_LIMIT, resources: 20 }, 3);
+  const rows = Bench.benchmark(state, 1);
+  assert.deepEqual(
+    rows.map(row => row.id),
+    ["index", "wfg", "detect", "incremental", "safety", "safety-trace", "ring"]
+  );
+  rows.forEach(row => {
+    assert.ok(Number.isFinite(row.ms) && row.ms >= 0);
+    assert.ok(row.best <= row.ms);
+    assert.ok(row.summary.length > 0);
+  });
+  const safe = Engine.bankerSafety(state).safe ? "safe" : "not safe";
+  assert.equal(rows.find(row => row.id === "safety").summary, safe);
+  assert.equal(rows.find(row => row.id === "ring").summary, "1 cycle through 5000 processes");
+});
+
+test("bench: the ring system is one deadlocked cycle", () => {
+  const state = Bench.ringSystem(4);
+  assert.deepEqual(Engine.findCycle(state).cycle, ["P1", "P2", "P3", "P4", "P1"]);
+  assert.equal(Engine.detectDeadlock(state).deadlocked.length, 4);
+});
+
+test("bench: the step trace is not run past the drawing limit", () => {
+  const state = Bench.generateSystem({ processes: Bench.TRACE_LIMIT + 1, resources: 20 }, 3);
+  const rows = Bench.benchmark(state, 1);
+  const trace = rows.find(row => row.id === "safety-trace");
+  assert.equal(trace.ms, null);
+  assert.equal(trace.best, null);
+  assert.match(trace.summary, /^not run/);
+  rows
+    .filter(row => row.id !== "safety-trace")
+    .forEach(row => assert.ok(Number.isFinite(row.ms)));
+});
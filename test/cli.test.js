@@ -0,0 +1,83 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+const fixture = name => path.join(__dirname, "fixtures", name);
+
+function run(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+}
+
+test("prints detection and safety as text", () => {
+  const result = run([fixture("banker-safe.json")]);
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, /Scenario: Banker's algorithm \(Silberschatz\)/);
+  assert.match(result.stdout, /No deadlock \(detection algorithm\)\./);
+  assert.match(result.stdout, /SAFE\. Safe sequence: P1 → P3 → P4 → P0 → P2\./);
+  assert.match(result.stdout, /P0 +\(0, 1, 0\) +\(7, 5, 3\) +\(7, 4, 3\)/);
+  assert.match(result.stdout, /Available \(3, 3, 2\)/);
+});
+
+test("lists every safe sequence on request", () => {
+  const result = run([fixture("banker-safe.json"), "--sequences"]);
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, /16 safe sequence\(s\):/);
+  assert.match(result.stdout, /P3 → P4 → P1 → P2 → P0/);
+});
+
+test("prints JSON with --json", () => {
+  const result = run([fixture("two-process-cycle.json"), "--json"]);
+  assert.equal(result.status, 0);
+  const report = JSON.parse(result.stdout);
+  assert.equal(report.detection.hasDeadlock, true);
+  assert.deepEqual(report.detection.cycle, ["P1", "P2", "P1"]);
+  assert.deepEqual(report.detection.cycles, [["P1", "P2", "P1"]]);
+  assert.deepEqual(report.detection.blocked, []);
+  assert.equal(report.safety.safe, true);
+});
+
+test("prints the Banker tables as Markdown or LaTeX", () => {
+  let result = run([fixture("banker-safe.json"), "--markdown"]);
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, /^\| Process \| Allocation \(A B C\)/);
+
+  result = run([fixture("banker-safe.json"), "--latex"]);
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, /\\end\{tabular\}/);
+
+  result = run([fixture("banker-safe.json"), "--latex", "--json"]);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Only one of --json, --markdown and --latex/);
+});
+
+test("refuses --sequences with the Markdown or LaTeX tables", () => {
+  for (const format of ["--markdown", "--latex"]) {
+    const result = run([fixture("banker-safe.json"), "--sequences", format]);
+    assert.equal(result.status, 1);
+    assert.equal(result.stdout, "");
+    assert.match(result.stderr, /--sequences cannot be combined with --markdown or --latex/);
+  }
+  assert.equal(run([fixture("banker-safe.json"), "--json", "--sequences"]).status, 0);
+});
+
+test("rejects invalid input with status 1", () => {
+  let result = run([]);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /No scenario file given/);
+
+  result = run([fixture("missing.json")]);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Could not read/);
+
+  result = run([path.join(__dirname, "..", "package.json")]);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /is not a valid scenario/);
+
+  result = run([fixture("banker-safe.json"), "--fast"]);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Unknown option --fast/);
+});
@@ -0,0 +1,84 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Engine = require("../engine");
+const Compare = require("../compare");
+
+const request = rid => ({ type: "request", rid, units: 1 });
+const release = rid => ({ type: "release", rid, units: null });
+const hold = ticks => ({ type: "hold", ticks });
+
+// P1 and P2 take R1 and R2 in opposite orders: deadlocks unless prevented
+function crossingRun() {
+  const state = Object.assign(Engine.emptyState(), {
+    processes: ["P1", "P2"],
+    resources: [
+      { id: "R1", instances: 1 },
+      { id: "R2", instances: 1 }
+    ]
+  });
+  const workloads = {
+    P1: [request("R1"), hold(2), request("R2"), release("R1"), release("R2")],
+    P2: [request("R2"), hold(2), request("R1"), release("R2"), release("R1")]
+  };
+  return { state, workloads };
+}
+
+test("compare: each strategy handles the crossing workload its own way", () => {
+  const { state, workloads } = crossingRun();
+  const runs = Compare.compareStrategies(state, workloads, { seed: 7 });
+  const byId = {};
+  runs.forEach(run => {
+    byId[run.strategy] = run;
+  });
+  assert.deepEqual(Object.keys(byId), ["ignore", "detect-recover", "banker", "ordering"]);
+  runs.filter(run => run.strategy !== "ignore").forEach(run => {
+    assert.equal(run.completed, true, run.strategy);
+    assert.equal(run.finished, 2, run.strategy);
+  });
+
+  assert.equal(byId["detect-recover"].metrics.deadlocks, 1);
+  assert.equal(byId["detect-recover"].metrics.aborted, 1);
+  assert.equal(byId.banker.metrics.deadlocks, 0);
+  assert.equal(byId.banker.metrics.denied, 1);
+  assert.equal(byId.ordering.metrics.deadlocks, 0);
+  assert.equal(byId.ordering.metrics.denied, 0);
+  runs.forEach(run => {
+    assert.ok(run.metrics.utilization > 0 && run.metrics.utilization <= 100);
+    assert.ok(run.metrics.maxWait >= run.metrics.avgWait);
+  });
+
+  assert.deepEqual(Compare.compareStrategies(state, workloads, { seed: 7 }), runs);
+});
+
+test("compare: ignoring a deadlock aborts nobody and leaves it blocked", () => {
+  const { state, workloads } = crossingRun();
+  const settings = { seed: 7 };
+  const ignore = Compare.runStrategy(state, workloads, Compare.STRATEGIES[0], settings);
+  const recover = Compare.runStrategy(state, workloads, Compare.STRATEGIES[1], settings);
+  assert.equal(ignore.strategy, "ignore");
+  assert.equal(ignore.metrics.aborted, 0);
+  assert.equal(ignore.metrics.deadlocks, 1);
+  assert.equal(ignore.completed, false);
+  assert.equal(ignore.ticks, Compare.TICK_LIMIT);
+  assert.ok(ignore.finished < recover.finished);
+  assert.ok(ignore.metrics.throughput < recover.metrics.throughput);
+  assert.ok(ignore.metrics.maxWait > recover.metrics.maxWait);
+  assert.match(ignore.events[0].text, /P1, P2 left blocked/);
+});
+
+test("compare: Max for Banker and request order for prevention come from the workload", () => {
+  const { state, workloads } = crossingRun();
+  assert.deepEqual(Compare.declareMax(state, workloads).max, {
+    P1: { R1: 1, R2: 1 },
+    P2: { R1: 1, R2: 1 }
+  });
+  assert.deepEqual(Compare.orderRequests(state, workloads.P2), [
+    request("R1"),
+    hold(2),
+    request("R2"),
+    release("R2"),
+    release("R1")
+  ]);
+});
@@ -0,0 +1,81 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Engine = require("../engine");
+const Distributed = require("../distributed");
+
+// P1 and R1 on S1, P2 and R2 on S2; P1 holds R1, P2 holds R2
+function twoSites(waits) {
+  const state = Object.assign(Engine.emptyState(), {
+    processes: ["P1", "P2"],
+    resources: [
+      { id: "R1", instances: 1 },
+      { id: "R2", instances: 1 }
+    ],
+    assignments: [
+      { rid: "R1", pid: "P1", units: 1 },
+      { rid: "R2", pid: "P2", units: 1 }
+    ],
+    requests: waits.map(([pid, rid]) => ({ rid, pid, units: 1 }))
+  });
+  return { state, sites: Distributed.defaultSites(state, 2) };
+}
+
+test("distributed: each site sees the edges through its own resources", () => {
+  const { state, sites } = twoSites([
+    ["P2", "R1"],
+    ["P1", "R2"]
+  ]);
+  assert.deepEqual(sites, { P1: "S1", P2: "S2", R1: "S1", R2: "S2" });
+  assert.deepEqual(Distributed.localWaitFor(state, sites, "S1"), {
+    site: "S1",
+    nodes: [
+      { pid: "P1", remote: false },
+      { pid: "P2", remote: true }
+    ],
+    edges: [{ from: "P2", to: "P1", rid: "R1" }]
+  });
+  assert.deepEqual(Distributed.localWaitFor(state, sites, "S2").edges, [
+    { from: "P1", to: "P2", rid: "R2" }
+  ]);
+});
+
+test("distributed: delayed reports make the coordinator see a phantom deadlock", () => {
+  // P1 hands R1 to P2, then waits for R2: never a cycle
+  const { state, sites } = twoSites([["P2", "R1"]]);
+  const released = Engine.release(state, "P1", "R1", null).state;
+  const waiting = Engine.request(released, "P1", "R2", 1).state;
+  const states = [state, released, waiting];
+
+  const slow = Distributed.runCoordinator(states, sites, { latency: { S1: 3, S2: 1 } });
+  assert.deepEqual(slow.outcome, { tick: 3, cycle: ["P1", "P2", "P1"], phantom: true });
+  assert.equal(slow.log[slow.log.length - 1].kind, "phantom");
+  assert.equal(Distributed.inFlight(slow, 2).length, 3);
+
+  const even = Distributed.runCoordinator(states, sites, {});
+  assert.equal(even.outcome, null);
+  assert.deepEqual(even.views[even.lastTick], [{ from: "P1", to: "P2", rid: "R2", site: "S2" }]);
+});
+
+test("distributed: probes come back around a real cycle only", () => {
+  const { state, sites } = twoSites([
+    ["P2", "R1"],
+    ["P1", "R2"]
+  ]);
+  const run = Distributed.runProbes(state, sites, "P1", { latency: { S1: 2 } });
+  assert.deepEqual(run.outcome, { tick: 3, cycle: ["P1", "P2", "P1"], phantom: false });
+  assert.deepEqual(
+    run.messages.map(m => [m.text, m.sent, m.arrive]),
+    [
+      ["probe (P1, P1, P2)", 0, 2],
+      ["probe (P1, P2, P1)", 2, 3]
+    ]
+  );
+
+  const open = twoSites([["P1", "R2"]]);
+  const dropped = Distributed.runProbes(open.state, open.sites, "P1", {});
+  assert.equal(dropped.outcome, null);
+  assert.ok(dropped.log.some(entry => entry.kind === "drop"));
+  assert.match(Distributed.runProbes(open.state, open.sites, "P2", {}).log[0].text, /not waiting/);
+});
@@ -0,0 +1,559 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Engine = require("../engine");
+const bankerDoc = require("./fixtures/banker-safe.json");
+const cycleDoc = require("./fixtures/two-process-cycle.json");
+
+function load(doc) {
+  const { errors, scenario } = Engine.validateScenario(doc);
+  assert.deepEqual(errors, []);
+  return scenario;
+}
+
+// builds a state from "P1 R1 2" style edge lists
+function build(processes, resources, assignments, requests, max) {
+  const edges = list =>
+    list.map(text => {
+      const [pid, rid, units] = text.split(" ");
+      return { pid, rid, units: units ? Number(units) : 1 };
+    });
+  return Object.assign(Engine.emptyState(), {
+    processes,
+    resources: Object.keys(resources).map(id => ({ id, instances: resources[id] })),
+    assignments: edges(assignments),
+    requests: edges(requests || []),
+    max: max || {}
+  });
+}
+
+// Silberschatz's multi-instance detection example: 7 A, 2 B, 6 C
+function detectionExample(extraRequests) {
+  return build(
+    ["P0", "P1", "P2", "P3", "P4"],
+    { A: 7, B: 2, C: 6 },
+    ["P0 B 1", "P1 A 2", "P2 A 3", "P2 C 3", "P3 A 2", "P3 B 1", "P3 C 1", "P4 C 2"],
+    ["P1 A 2", "P1 C 2", "P3 A 1", "P4 C 2"].concat(extraRequests)
+  );
+}
+
+test("Banker: the textbook state is safe with sequence P1 P3 P4 P0 P2", () => {
+  const result = Engine.bankerSafety(load(bankerDoc));
+  assert.equal(result.safe, true);
+  assert.deepEqual(result.sequence, ["P1", "P3", "P4", "P0", "P2"]);
+  assert.deepEqual(result.matrices.available, [3, 3, 2]);
+  assert.deepEqual(result.matrices.need[0], [7, 4, 3]);
+  assert.deepEqual(result.available, [10, 5, 7]);
+});
+
+test("Banker: every safe sequence of the textbook state is counted", () => {
+  const state = load(bankerDoc);
+  const { matrices } = Engine.bankerSafety(state);
+  const all = Engine.enumerateSafeSequences(state, matrices, 500);
+  assert.equal(all.total, 16);
+  assert.equal(all.sequences.length, 16);
+  assert.equal(all.truncated, false);
+  assert.ok(all.sequences.every(seq => Engine.validateSequence(state, seq.join(" ")).valid));
+
+  const few = Engine.enumerateSafeSequences(state, matrices, 3);
+  assert.equal(few.sequences.length, 3);
+  assert.equal(few.total, 16);
+  assert.equal(few.truncated, true);
+  assert.equal(few.exceeded, false);
+});
+
+test("Banker: counting safe sequences stops at the limit", () => {
+  // 25 processes that need nothing more can finish in any of 25! orders
+  const processes = Array.from({ length: 25 }, (_, i) => "P" + i);
+  const max = {};
+  processes.forEach(pid => {
+    max[pid] = { R1: 1 };
+  });
+  const state = build(processes, { R1: 25 }, processes.map(pid => pid + " R1 1"), [], max);
+  const { matrices } = Engine.bankerSafety(state);
+  const all = Engine.enumerateSafeSequences(state, matrices, 10);
+  assert.equal(all.sequences.length, 10);
+  assert.equal(all.exceeded, true);
+  assert.equal(all.total, 100000);
+  assert.equal(all.truncated, true);
+
+  const textbook = load(bankerDoc);
+  const small = Engine.enumerateSafeSequences(textbook, Engine.bankerSafety(textbook).matrices, 3, 10);
+  assert.deepEqual([small.total, small.exceeded], [10, true]);
+});
+
+test("Banker: a typed sequence is replayed step by step", () => {
+  const state = load(bankerDoc);
+  assert.equal(Engine.validateSequence(state, "P1, P3 → P4 P0 P2").valid, true);
+
+  const bad = Engine.validateSequence(state, "P0 P1 P2 P3 P4");
+  assert.equal(bad.valid, false);
+  assert.equal(bad.steps.length, 1);
+  assert.match(bad.error, /Step 1 fails: P0 needs more A, B, C/);
+
+  assert.match(Engine.validateSequence(state, "P1 P3").error, /leaves out P0, P2, P4/);
+  assert.match(Engine.validateSequence(state, "P1 P9").error, /Unknown process/);
+});
+
+test("Banker: allocation above Max makes the state unsafe", () => {
+  const state = build(["P1"], { R1: 2 }, ["P1 R1 2"], [], { P1: { R1: 1 } });
+  const result = Engine.bankerSafety(state);
+  assert.equal(result.safe, false);
+  assert.match(result.message, /Allocation exceeds Max for process P1/);
+});
+
+test("avoidance: the textbook requests are granted or deferred", () => {
+  const options = { avoidance: true };
+  let state = load(bankerDoc);
+
+  // P1 asks for (1, 0, 2): safe, granted
+  let step = Engine.request(state, "P1", "A", 1, options);
+  assert.equal(step.note.kind, "granted");
+  step = Engine.request(step.state, "P1", "C", 2, options);
+  assert.equal(step.note.kind, "granted");
+  state = step.state;
+  assert.deepEqual(Engine.bankerSafety(state).matrices.available, [2, 3, 0]);
+
+  // P4 asks for 3 A: more than is available
+  step = Engine.request(state, "P4", "A", 3, options);
+  assert.equal(step.note.kind, "waiting");
+  assert.match(step.note.text, /Available 2/);
+
+  // P0 asks for 2 B: available, but the result would be unsafe
+  step = Engine.request(state, "P0", "B", 2, options);
+  assert.equal(step.note.kind, "waiting");
+  assert.match(step.note.text, /unsafe/);
+  assert.equal(Engine.unitsOn(step.state.assignments, "P0", "B"), 1);
+  assert.equal(Engine.unitsOn(step.state.requests, "P0", "B"), 2);
+
+  // asking beyond the declared Max is refused outright
+  step = Engine.request(state, "P3", "A", 1, options);
+  assert.equal(step.note.kind, "refused");
+  assert.equal(step.state, state);
+});
+
+test("claim graph: claims turn into requests and grants that close no cycle", () => {
+  const options = { avoidance: "claim-graph" };
+  const state = build(["P1", "P2"], { R1: 1, R2: 1 }, ["P1 R1"], ["P2 R1"], {
+    P1: { R1: 1, R2: 1 },
+    P2: { R1: 1, R2: 1 }
+  });
+  assert.deepEqual(Engine.claimEdges(state), [
+    { rid: "R2", pid: "P1", units: 1 },
+    { rid: "R2", pid: "P2", units: 1 }
+  ]);
+
+  // R2 is free, but assigning it to P2 would close a cycle through P1's claim
+  let step = Engine.request(state, "P2", "R2", 1, options);
+  assert.equal(step.note.kind, "waiting");
+  assert.deepEqual(step.note.cycle, ["P1", "R2", "P2", "R1", "P1"]);
+  assert.deepEqual(Engine.claimEdges(step.state), [{ rid: "R2", pid: "P1", units: 1 }]);
+
+  // P1's request closes no cycle; once P1 finishes P2 gets both
+  step = Engine.request(step.state, "P1", "R2", 1, options);
+  assert.equal(step.note.kind, "granted");
+  step = Engine.finish(step.state, "P1", options);
+  assert.deepEqual(step.state.requests, []);
+  assert.equal(Engine.heldUnits(step.state.assignments, "P2"), 2);
+
+  // without a claim the request is refused; several instances are not supported
+  const unclaimed = Engine.declareClaim(
+    Object.assign({}, state, { max: {} }), "P1", "R2"
+  );
+  assert.equal(unclaimed.state.max.P1.R2, 1);
+  step = Engine.request(Object.assign({}, state, { max: {} }), "P1", "R2", 1, options);
+  assert.equal(step.note.kind, "refused");
+  const shared = Object.assign({}, state, {
+    resources: [{ id: "R1", instances: 1 }, { id: "R2", instances: 2 }]
+  });
+  assert.equal(Engine.request(shared, "P1", "R2", 1, options).note.kind, "error");
+});
+
+test("detection: a two-process cycle over single instances", () => {
+  const result = Engine.detectDeadlock(load(cycleDoc));
+  assert.equal(result.algorithm, "wfg");
+  assert.equal(result.hasDeadlock, true);
+  assert.deepEqual(result.cycle, ["P1", "P2", "P1"]);
+  assert.deepEqual(Engine.deadlockedProcesses(result), ["P1", "P2"]);
+  assert.equal(
+    Engine.describeDetection(result),
+    "Deadlock: cycle P1 → P2 → P1 (Wait-For Graph)."
+  );
+});
+
+test("detection: every cycle, component and blocked process is reported", () => {
+  const state = build(
+    ["P1", "P2", "P3", "P4", "P5", "P6"],
+    { R1: 1, R2: 1, R3: 1, R4: 1, R5: 1 },
+    ["P1 R1", "P2 R2", "P3 R3", "P4 R4", "P5 R5"],
+    ["P1 R2", "P2 R1", "P3 R4", "P4 R3", "P5 R1", "P6 R5"]
+  );
+  const result = Engine.detectDeadlock(state);
+  assert.deepEqual(result.cycles, [["P1", "P2", "P1"], ["P3", "P4", "P3"]]);
+  assert.deepEqual(result.components, [["P1", "P2"], ["P3", "P4"]]);
+  assert.deepEqual(result.deadlocked, ["P1", "P2", "P3", "P4"]);
+  assert.deepEqual(result.blocked, ["P5", "P6"]);
+  assert.match(Engine.describeDetection(result), /2 cycle\(s\) in 2 separate groups/);
+
+  // four processes all waiting on each other: 20 elementary cycles
+  const complete = { a: ["b", "c", "d"], b: ["a", "c", "d"], c: ["a", "b", "d"], d: ["a", "b", "c"] };
+  assert.equal(Engine.elementaryCycles(complete, ["a", "b", "c", "d"]).cycles.length, 20);
+  const capped = Engine.elementaryCycles(complete, ["a", "b", "c", "d"], 5);
+  assert.equal(capped.cycles.length, 5);
+  assert.equal(capped.truncated, true);
+});
+
+test("detection: one cycle through 20000 processes", () => {
+  // each process holds its own resource and waits for the next one's
+  const n = 20000;
+  const state = Engine.emptyState();
+  for (let i = 1; i <= n; i++) {
+    state.processes.push("P" + i);
+    state.resources.push({ id: "R" + i, instances: 1 });
+    state.assignments.push({ rid: "R" + i, pid: "P" + i, units: 1 });
+    state.requests.push({ rid: "R" + ((i % n) + 1), pid: "P" + i, units: 1 });
+  }
+  const ring = state.processes.concat("P1");
+
+  const result = Engine.detectDeadlock(state);
+  assert.equal(result.algorithm, "wfg");
+  assert.deepEqual(result.cycles, [ring]);
+  assert.deepEqual(result.components, [state.processes]);
+  assert.equal(result.deadlocked.length, n);
+  assert.deepEqual(Engine.findCycle(state).cycle, ring);
+});
+
+test("detection: the textbook multi-instance example", () => {
+  const fine = Engine.detectDeadlock(detectionExample([]));
+  assert.equal(fine.algorithm, "matrix");
+  assert.equal(fine.hasDeadlock, false);
+  assert.deepEqual(fine.sequence, ["P0", "P2", "P3", "P4", "P1"]);
+
+  // P2 asks for one more C and everyone but P0 is stuck
+  const stuck = Engine.detectDeadlock(detectionExample(["P2 C 1"]));
+  assert.equal(stuck.hasDeadlock, true);
+  assert.deepEqual(stuck.deadlocked, ["P1", "P2", "P3", "P4"]);
+  assert.ok(stuck.cycles.length > 0);
+
+  // a process holding nothing waits behind the deadlock
+  const state = detectionExample(["P2 C 1", "P5 C 1"]);
+  state.processes.push("P5");
+  const behind = Engine.detectDeadlock(state);
+  assert.deepEqual(behind.deadlocked, ["P1", "P2", "P3", "P4"]);
+  assert.deepEqual(behind.blocked, ["P5"]);
+});
+
+test("detection: a cycle through a multi-instance resource is not a deadlock", () => {
+  const state = build(
+    ["P1", "P2", "P3"],
+    { R1: 2, R2: 1 },
+    ["P1 R1", "P3 R1", "P2 R2"],
+    ["P1 R2", "P2 R1"]
+  );
+  assert.ok(Engine.findCycle(state).hasDeadlock);
+  assert.equal(Engine.detectDeadlock(state).hasDeadlock, false);
+});
+
+test("detection: after a request only cycles through the requester are searched", () => {
+  const state = load(cycleDoc);
+  assert.deepEqual(Engine.cycleThrough(state, "P2"), ["P2", "P1", "P2"]);
+  const result = Engine.detectAfterRequest(state, "P2");
+  assert.equal(result.hasDeadlock, true);
+  assert.deepEqual(result.deadlocked, ["P1", "P2"]);
+
+  // P3 waits behind the deadlock but is on no cycle of its own
+  const behind = build(["P1", "P2", "P3"], { R1: 1, R2: 1 }, ["P1 R1", "P2 R2"], [
+    "P1 R2",
+    "P2 R1",
+    "P3 R1"
+  ]);
+  assert.deepEqual(Engine.cycleThrough(behind, "P3"), []);
+  assert.equal(Engine.detectAfterRequest(behind, "P3"), null);
+
+  // over a multi-instance resource the cycle goes to the matrix algorithm
+  const multi = build(
+    ["P1", "P2", "P3"],
+    { R1: 2, R2: 1 },
+    ["P1 R1", "P3 R1", "P2 R2"],
+    ["P1 R2", "P2 R1"]
+  );
+  assert.equal(Engine.detectAfterRequest(multi, "P2").hasDeadlock, false);
+});
+
+test("Banker: the safety check without its trace finds the same sequence", () => {
+  const state = load(bankerDoc);
+  const full = Engine.bankerSafety(state);
+  const quick = Engine.bankerSafety(state, { trace: false });
+  assert.equal(quick.safe, true);
+  assert.deepEqual(quick.sequence, full.sequence);
+  assert.equal(quick.matrices, undefined);
+  assert.deepEqual(quick.trace, []);
+});
+
+test("request and release: partial grants and hand-over to waiters", () => {
+  let state = build(["P1", "P2"], { R1: 3 }, ["P1 R1 2"]);
+  let step = Engine.request(state, "P2", "R1", 2);
+  assert.equal(step.note.kind, "waiting");
+  assert.deepEqual(step.state.assignments[1], { rid: "R1", pid: "P2", units: 1 });
+  assert.equal(Engine.unitsOn(step.state.requests, "P2", "R1"), 1);
+
+  step = Engine.release(step.state, "P1", "R1", null);
+  assert.equal(step.note.kind, "released");
+  assert.match(step.note.text, /Granted to waiting P2 ×1 of R1/);
+  assert.deepEqual(step.state.requests, []);
+  assert.equal(Engine.freeUnits(step.state, "R1"), 1);
+
+  state = step.state;
+  step = Engine.request(state, "P2", "R1", 2);
+  assert.equal(step.note.kind, "error");
+  assert.equal(step.state, state);
+  assert.equal(Engine.release(state, "P1", "R1", 1).note.kind, "error");
+});
+
+test("finish releases everything the process holds", () => {
+  const state = build(["P1", "P2"], { R1: 1, R2: 1 }, ["P1 R1", "P1 R2"], ["P2 R2"]);
+  const step = Engine.finish(state, "P1");
+  assert.deepEqual(step.state.assignments, [{ rid: "R2", pid: "P2", units: 1 }]);
+  assert.deepEqual(step.state.requests, []);
+  assert.equal(step.label, "P1 finished, releasing R1 ×1, R2 ×1 → granted to P2 ×1 of R2");
+});
+
+test("prevention: resource ordering refuses requests that go downwards", () => {
+  const state = build(["P1"], { R1: 1, R2: 1 }, ["P1 R2"]);
+  const step = Engine.request(state, "P1", "R1", 1, { prevention: "resource-ordering" });
+  assert.equal(step.note.kind, "refused");
+  assert.match(step.note.text, /circular wait prevented/);
+  assert.equal(step.state, state);
+});
+
+test("prevention: hold and wait requests the whole Max at once", () => {
+  const options = { prevention: "hold-and-wait" };
+  const state = build(["P1", "P2"], { R1: 1, R2: 1 }, ["P1 R1"], [], {
+    P2: { R1: 1, R2: 1 }
+  });
+  let step = Engine.request(state, "P2", "R2", 1, options);
+  assert.equal(step.note.kind, "waiting");
+  assert.deepEqual(step.state.assignments, state.assignments);
+  assert.equal(step.state.requests.length, 2);
+
+  assert.equal(Engine.request(state, "P1", "R2", 1, options).note.kind, "refused");
+
+  step = Engine.release(step.state, "P1", "R1", null, options);
+  assert.equal(Engine.heldUnits(step.state.assignments, "P2"), 2);
+  assert.deepEqual(step.state.requests, []);
+});
+
+test("prevention: a blocked process gives up what it holds", () => {
+  const state = build(["P1", "P2"], { R1: 1, R2: 1 }, ["P1 R1", "P2 R2"], ["P2 R1"]);
+  const step = Engine.request(state, "P1", "R2", 1, { prevention: "no-preemption" });
+  assert.equal(step.note.kind, "waiting");
+  assert.equal(Engine.unitsOn(step.state.assignments, "P2", "R1"), 1);
+  assert.equal(Engine.unitsOn(step.state.requests, "P1", "R1"), 1);
+  assert.equal(Engine.unitsOn(step.state.requests, "P1", "R2"), 1);
+  assert.equal(Engine.detectDeadlock(step.state).hasDeadlock, false);
+});
+
+test("wait queues: priority with aging and pass-over counts", () => {
+  const options = { queuePolicy: "priority", agingBoost: 0 };
+  let state = build(["P1", "P2", "P3"], { R1: 1 }, ["P1 R1"], ["P2 R1", "P3 R1"]);
+  state.processAttrs = { P3: { priority: 5 } };
+  assert.deepEqual(Engine.waitQueue(state, "R1", options).map(e => e.pid), ["P3", "P2"]);
+
+  let step = Engine.release(state, "P1", "R1", null, options);
+  assert.equal(Engine.unitsOn(step.state.assignments, "P3", "R1"), 1);
+  assert.equal(step.state.requests[0].passedOver, 1);
+
+  // with aging, P2's pass-overs eventually outweigh P3's priority
+  state = Object.assign({}, step.state, {
+    requests: [{ rid: "R1", pid: "P2", units: 1, passedOver: 6 }, { rid: "R1", pid: "P1", units: 1 }],
+    processAttrs: { P1: { priority: 5 } }
+  });
+  assert.deepEqual(
+    Engine.waitQueue(state, "R1", { queuePolicy: "priority", agingBoost: 1 }).map(e => e.pid),
+    ["P2", "P1"]
+  );
+  assert.deepEqual(
+    Engine.waitQueue(state, "R1", { queuePolicy: "fifo" }).map(e => e.pid),
+    ["P2", "P1"]
+  );
+});
+
+test("wait queues: smallest request first", () => {
+  const state = build(["P1", "P2", "P3"], { R1: 3 }, ["P1 R1 3"], ["P2 R1 3", "P3 R1 1"]);
+  const step = Engine.release(state, "P1", "R1", 1, { queuePolicy: "smallest-need" });
+  assert.equal(Engine.unitsOn(step.state.assignments, "P3", "R1"), 1);
+  assert.equal(Engine.unitsOn(step.state.assignments, "P2", "R1"), 0);
+});
+
+test("recovery: victims follow the selected policy", () => {
+  const state = Object.assign(load(cycleDoc), {
+    processAttrs: { P1: { priority: 3, cost: 4 }, P2: { priority: 1, cost: 2 } }
+  });
+
+  const aborted = Engine.recover(state, "abort-one", false, { victimPolicy: "lowest-priority" });
+  assert.deepEqual(aborted.victims, ["P2"]);
+  assert.equal(aborted.cost, 2);
+  assert.equal(aborted.detection.hasDeadlock, false);
+  assert.deepEqual(aborted.state.assignments, [{ rid: "R1", pid: "P1", units: 1 }, { rid: "R2", pid: "P1", units: 1 }]);
+
+  const preempted = Engine.recover(state, "preempt-one", true, { victimPolicy: "youngest" });
+  assert.deepEqual(preempted.victims, ["P2"]);
+  assert.match(preempted.steps[0].text, /Preempted R2 ×1 from P2/);
+  assert.equal(Engine.unitsOn(preempted.state.requests, "P2", "R2"), 1);
+
+  const all = Engine.recover(state, "abort-all", false);
+  assert.deepEqual(all.victims, ["P1", "P2"]);
+  assert.equal(all.cost, 6);
+
+  assert.equal(Engine.recover(load(bankerDoc), "abort-one", false), null);
+});
+
+test("scenarios: invalid documents report every problem", () => {
+  const { errors, scenario } = Engine.validateScenario({
+    format: "something-else",
+    version: 2,
+    processes: ["P1", "P1"],
+    resources: [{ id: "R1", instances: 0 }],
+    assignments: [{ pid: "P9", rid: "R1", units: 1 }],
+    max: { P1: { R1: -1 } }
+  });
+  assert.equal(scenario, null);
+  assert.equal(errors.length, 6);
+  assert.match(errors.join("\n"), /Process P1 is listed twice/);
+  assert.match(errors.join("\n"), /unknown process "P9"/);
+
+  const state = load(bankerDoc);
+  assert.deepEqual(load(Engine.toScenario(state, state.name)), state);
+});
+
+test("scenarios: a process and resource pair appears once per edge list", () => {
+  const doc = Object.assign(Engine.toScenario(load(cycleDoc), "pairs"), {
+    assignments: [
+      { pid: "P1", rid: "R1", units: 1 },
+      { pid: "P1", rid: "R1", units: 1 }
+    ],
+    requests: [
+      { pid: "P2", rid: "R1", units: 1 },
+      { pid: "P2", rid: "R1", units: 1 }
+    ]
+  });
+  const { errors, scenario } = Engine.validateScenario(doc);
+  assert.equal(scenario, null);
+  assert.match(errors.join("\n"), /P1\/R1 is listed twice in "assignments"/);
+  assert.match(errors.join("\n"), /P2\/R1 is listed twice in "requests"/);
+});
+
+test("scenarios: a pair may not hold and request more than the instances", () => {
+  const doc = Object.assign(Engine.toScenario(load(cycleDoc), "too many"), {
+    resources: [{ id: "R1", instances: 2 }, { id: "R2", instances: 1 }],
+    assignments: [{ pid: "P1", rid: "R1", units: 2 }],
+    requests: [{ pid: "P1", rid: "R1", units: 1 }]
+  });
+  const { errors, scenario } = Engine.validateScenario(doc);
+  assert.equal(scenario, null);
+  assert.deepEqual(errors, [
+    "P1/R1 holds and requests 3 unit(s) in all, but R1 only has 2 instance(s)."
+  ]);
+});
+
+test("editing: renames cascade through edges, Max and attributes", () => {
+  const state = Object.assign(load(cycleDoc), {
+    max: { P1: { R1: 1, R2: 1 } },
+    processAttrs: { P1: { priority: 2 } }
+  });
+  let step = Engine.renameProcess(state, "P1", "A");
+  assert.deepEqual(step.state.processes, ["A", "P2"]);
+  assert.equal(Engine.unitsOn(step.state.requests, "A", "R2"), 1);
+  assert.deepEqual(step.state.max, { A: { R1: 1, R2: 1 } });
+  assert.equal(Engine.attrsOf(step.state, "A").priority, 2);
+  assert.equal(Engine.renameProcess(state, "P1", "P2").note.kind, "error");
+
+  step = Engine.renameResource(state, "R1", "Disk");
+  assert.deepEqual(step.state.resources[0], { id: "Disk", instances: 1 });
+  assert.equal(Engine.unitsOn(step.state.assignments, "P1", "Disk"), 1);
+  assert.deepEqual(step.state.max, { P1: { Disk: 1, R2: 1 } });
+});
+
+test("editing: deleting a process hands its units to waiters", () => {
+  const state = Object.assign(load(cycleDoc), { max: { P1: { R1: 1 } } });
+  const step = Engine.removeProcess(state, "P1");
+  assert.deepEqual(step.state.processes, ["P2"]);
+  assert.deepEqual(step.state.assignments, [
+    { rid: "R2", pid: "P2", units: 1 },
+    { rid: "R1", pid: "P2", units: 1 }
+  ]);
+  assert.deepEqual(step.state.requests, []);
+  assert.deepEqual(step.state.max, {});
+  assert.match(step.note.text, /Granted to waiting P2 ×1 of R1/);
+
+  const gone = Engine.removeResource(state, "R2");
+  assert.deepEqual(gone.state.resources, [{ id: "R1", instances: 1 }]);
+  assert.ok(gone.state.assignments.concat(gone.state.requests).every(e => e.rid === "R1"));
+  assert.deepEqual(gone.state.max, { P1: { R1: 1 } });
+});
+
+test("editing: shrinking a resource is refused or preempts", () => {
+  const state = build(["P1", "P2", "P3"], { R1: 3 }, ["P1 R1 2", "P2 R1 1"], ["P3 R1 3"]);
+  assert.equal(Engine.setInstances(state, "R1", 2, "refuse").note.kind, "error");
+
+  const step = Engine.setInstances(state, "R1", 2, "preempt");
+  assert.equal(Engine.unitsOn(step.state.assignments, "P2", "R1"), 0);
+  assert.equal(Engine.unitsOn(step.state.requests, "P2", "R1"), 1);
+  assert.equal(Engine.unitsOn(step.state.requests, "P3", "R1"), 2);
+  assert.match(step.note.text, /Preempted P2 ×1/);
+
+  const grown = Engine.setInstances(state, "R1", 5);
+  assert.equal(Engine.unitsOn(grown.state.assignments, "P3", "R1"), 2);
+  assert.equal(Engine.unitsOn(grown.state.requests, "P3", "R1"), 1);
+});
+
+test("matrix: cells write edges and Max, all or nothing", () => {
+  const state = load(bankerDoc);
+  let step = Engine.setMatrixCells(state, "allocation", [{ pid: "P1", rid: "A", value: 3 }]);
+  assert.equal(Engine.unitsOn(step.state.assignments, "P1", "A"), 3);
+  assert.deepEqual(Engine.matrixView(step.state).available, [2, 3, 2]);
+
+  step = Engine.setMatrixCells(state, "allocation", [
+    { pid: "P0", rid: "B", value: 0 },
+    { pid: "P1", rid: "A", value: 9 }
+  ]);
+  assert.equal(step.note.kind, "error");
+  assert.equal(step.state, state);
+
+  step = Engine.setMatrixCells(state, "max", [{ pid: "P0", rid: "A", value: null }]);
+  const view = Engine.matrixView(step.state);
+  assert.equal(view.declared[0][0], false);
+  assert.equal(view.max[0][0], 0);
+
+  assert.equal(
+    Engine.setMatrixCells(state, "request", [{ pid: "P0", rid: "A", value: -1 }]).note.kind,
+    "error"
+  );
+});
+
+test("lecture notes: Banker tables as Markdown and LaTeX", () => {
+  const state = load(bankerDoc);
+  const markdown = Engine.formatMarkdownTables(state).split("\n");
+  assert.equal(markdown[0], "| Process | Allocation (A B C) | Max (A B C) | Need (A B C) |");
+  assert.equal(markdown[2], "| P0 | 0 1 0 | 7 5 3 | 7 4 3 |");
+  assert.ok(markdown.includes("**Available** (A B C): 3 3 2"));
+  assert.ok(markdown.includes("**Safe sequence: P1 → P3 → P4 → P0 → P2.**"));
+
+  const latex = Engine.formatLatexTables(state);
+  assert.match(latex, /^\\begin\{tabular\}\{l\|ccc\|ccc\|ccc\}/);
+  assert.match(latex, /\$P_\{0\}\$ & 0 & 1 & 0 & 7 & 5 & 3 & 7 & 4 & 3 \\\\/);
+  assert.match(latex, /\\langle P_\{1\}, P_\{3\}, P_\{4\}, P_\{0\}, P_\{2\} \\rangle/);
+
+  const odd = build(["Job_1"], { "R&D": 1 }, ["Job_1 R&D"], [], { Job_1: { "R&D": 1 } });
+  assert.match(Engine.formatLatexTables(odd), /\$Job\\_1\$ & 1 & 1 & 0/);
+  assert.match(Engine.formatLatexTables(odd), /Process & \$R\\&D\$/);
+});
+
+test("matrix: pasted text is split into rows of numbers", () => {
+  assert.deepEqual(
+    Engine.parseMatrixText("   A B C\nP0 0 1 0\nP1, 2, 0, 0\n\n3\t0\t2"),
+    [[0, 1, 0], [2, 0, 0], [3, 0, 2]]
+  );
+  assert.ok(Number.isNaN(Engine.parseMatrixText("1 x")[0][1]));
+});
@@ -0,0 +1,122 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Engine = require("../engine");
+const Presets = require("../presets");
+const Distributed = require("../distributed");
+
+// Carries out a walkthrough step the way a user following it would.
+function play(step, session) {
+  const options = Object.assign({}, Engine.DEFAULT_OPTIONS, {
+    avoidance: session.ui.avoidance,
+    prevention: session.ui.prevention
+  });
+  const { state } = session;
+  switch (step.target) {
+    case "request": {
+      const { pid, rid, units } = step.select;
+      session.state = Engine.request(state, pid, rid, units, options).state;
+      break;
+    }
+    case "release": {
+      const { pid, rid, units } = step.select;
+      session.state = Engine.release(state, pid, rid, units, options).state;
+      break;
+    }
+    case "finish":
+      session.state = Engine.finish(state, step.select.pid, options).state;
+      break;
+    case "check-deadlock":
+      session.ui.deadlockResult = Engine.detectDeadlock(state);
+      break;
+    case "check-safety":
+      session.ui.safetyResult = Engine.bankerSafety(state);
+      break;
+    case "avoidance":
+      // whichever mode the step asks for
+      session.ui.avoidance = ["banker", "claim-graph"].find(mode =>
+        step.done(state, Object.assign({}, session.ui, { avoidance: mode }))
+      );
+      break;
+    case "prevention":
+      session.ui.prevention = "resource-ordering";
+      break;
+    case "recovery":
+      session.state = Engine.recover(state, "abort-one", false, options).state;
+      break;
+    case "distributed": {
+      // whichever run the step asks for: the coordinator over the states so
+      // far, or probes from any process
+      const { count, place, latency } = session.sites;
+      const sites = Object.assign(Distributed.defaultSites(state, count), place);
+      const runs = [Distributed.runCoordinator(session.states, sites, { latency })].concat(
+        state.processes.map(pid => Distributed.runProbes(state, sites, pid, { latency }))
+      );
+      session.ui.distributed = runs.find(run =>
+        step.done(state, Object.assign({}, session.ui, { distributed: run }))
+      );
+      break;
+    }
+  }
+  if (session.state !== state) session.states.push(session.state);
+}
+
+function walk(preset, values) {
+  const { state, steps, sites } = preset.load(values || Presets.defaultValues(preset));
+  const session = {
+    state,
+    states: [state],
+    sites: sites || { count: 2, place: {}, latency: {} },
+    ui: { deadlockResult: null, safetyResult: null, avoidance: false, prevention: "none" }
+  };
+  steps.forEach((step, k) => {
+    play(step, session);
+    if (step.done) {
+      assert.ok(step.done(session.state, session.ui), `${preset.id} step ${k + 1}: ${step.text}`);
+    }
+  });
+  return session;
+}
+
+test("presets: every preset loads a valid scenario", () => {
+  Presets.PRESETS.forEach(preset => {
+    const { name, state } = preset.load(Presets.defaultValues(preset));
+    const { errors } = Engine.validateScenario(Engine.toScenario(state, name));
+    assert.deepEqual(errors, [], preset.id);
+  });
+});
+
+test("presets: every walkthrough can be followed to the end", () => {
+  Presets.PRESETS.forEach(preset => walk(preset));
+});
+
+test("presets: the starting states show what they are meant to", () => {
+  const start = id => {
+    const preset = Presets.presetById(id);
+    return preset.load(Presets.defaultValues(preset)).state;
+  };
+  assert.deepEqual(
+    Engine.bankerSafety(start("banker-silberschatz")).sequence,
+    ["P1", "P3", "P4", "P0", "P2"]
+  );
+  const cycle = start("multi-instance-cycle");
+  assert.ok(Engine.findCycle(cycle).hasDeadlock);
+  assert.equal(Engine.detectDeadlock(cycle).hasDeadlock, false);
+  const unsafe = start("unsafe-not-deadlocked");
+  assert.equal(Engine.bankerSafety(unsafe).safe, false);
+  assert.equal(Engine.detectDeadlock(unsafe).hasDeadlock, false);
+});
+
+test("presets: dining philosophers close one cycle through everyone", () => {
+  const preset = Presets.presetById("dining-philosophers");
+  const { state, steps } = preset.load({ philosophers: 7 });
+  const closed = Engine.request(state, "P7", "F1", 1).state;
+  const result = Engine.detectDeadlock(closed);
+  assert.deepEqual(result.cycles, [["P1", "P2", "P3", "P4", "P5", "P6", "P7", "P1"]]);
+  assert.equal(steps[0].select.pid, "P7");
+
+  // under resource ordering the last philosopher's request is refused
+  const ordered = Engine.request(state, "P7", "F1", 1, { prevention: "resource-ordering" });
+  assert.equal(ordered.note.kind, "refused");
+});
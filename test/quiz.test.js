@@ -0,0 +1,75 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Engine = require("../engine");
+const Quiz = require("../quiz");
+
+test("quiz: a seed always gives the same questions", () => {
+  const config = { processes: 5, resources: 3, count: 12 };
+  assert.deepEqual(Quiz.generateQuiz(config, 99), Quiz.generateQuiz(config, 99));
+  assert.notDeepEqual(Quiz.generateQuiz(config, 99), Quiz.generateQuiz(config, 100));
+});
+
+test("quiz: every state is valid and yes/no answers are mixed", () => {
+  const quiz = Quiz.generateQuiz({ processes: 4, resources: 3, count: 16 }, 5);
+  assert.equal(quiz.problems.length, 16);
+  quiz.problems.forEach(p => {
+    const { errors } = Engine.validateScenario(Engine.toScenario(p.state));
+    assert.deepEqual(errors, []);
+  });
+  const outcomes = (type, answer) =>
+    new Set(quiz.problems.filter(p => p.type === type).map(p => answer(p.solution)));
+  assert.equal(outcomes("safe", s => s.safe).size, 2);
+  assert.equal(outcomes("grant", s => s.grantable).size, 2);
+  assert.equal(outcomes("deadlocked", s => s.deadlocked.length > 0).size, 2);
+});
+
+test("quiz: answers are graded against the engine", () => {
+  const quiz = Quiz.generateQuiz({ count: 4 }, 3);
+  const [safe, sequence, deadlocked, grant] = quiz.problems;
+  const yes = safe.solution.safe ? "yes" : "no";
+  assert.equal(Quiz.grade(safe, yes).correct, true);
+  assert.equal(Quiz.grade(safe, yes === "yes" ? "no" : "yes").correct, false);
+
+  assert.equal(Quiz.grade(sequence, sequence.solution.sequence.join(" ")).correct, true);
+  const wrong = Quiz.grade(sequence, "P0");
+  assert.equal(wrong.correct, false);
+  assert.match(wrong.feedback, /One safe sequence is/);
+
+  assert.equal(Quiz.grade(deadlocked, deadlocked.solution.deadlocked).correct, true);
+  assert.equal(
+    Quiz.grade(grant, grant.solution.grantable ? "yes" : "no").correct,
+    true
+  );
+});
+
+test("quiz: a request beyond Available has to wait", () => {
+  const state = Object.assign(Engine.emptyState(), {
+    processes: ["P0", "P1"],
+    resources: [{ id: "A", instances: 3 }],
+    assignments: [{ rid: "A", pid: "P0", units: 2 }],
+    max: { P0: { A: 3 }, P1: { A: 3 } }
+  });
+  assert.equal(Quiz.checkGrant(state, "P1", [2]).grantable, false);
+  assert.match(Quiz.checkGrant(state, "P1", [2]).reason, /Only \(1\) is available/);
+  // granting P1 one unit leaves nobody able to finish
+  assert.equal(Quiz.checkGrant(state, "P1", [1]).grantable, false);
+  assert.equal(Quiz.checkGrant(state, "P0", [1]).grantable, true);
+});
+
+test("quiz: results export as a score summary and CSV", () => {
+  const quiz = Quiz.generateQuiz({ count: 2, types: ["safe"] }, 1);
+  const first = quiz.problems[0];
+  const response = first.solution.safe ? "yes" : "no";
+  const answers = { 1: Object.assign({ response }, Quiz.grade(first, response)) };
+  const doc = Quiz.resultsDocument(quiz, answers);
+  assert.deepEqual(
+    { total: doc.score.total, answered: doc.score.answered, correct: doc.score.correct },
+    { total: 2, answered: 1, correct: 1 }
+  );
+  const lines = Quiz.resultsCsv(doc).trim().split("\n");
+  assert.equal(lines[0], "number,type,prompt,response,correct,feedback");
+  assert.match(lines[1], /^1,safe,Is this state safe\?,(yes|no),yes,/);
+  assert.equal(lines[2], "2,safe,Is this state safe?,,,");
+});
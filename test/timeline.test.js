@@ -0,0 +1,68 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Engine = require("../engine");
+const Timeline = require("../timeline");
+
+// the two-process cycle built one request at a time, then broken by P1
+function crossingStates() {
+  let state = Object.assign(Engine.emptyState(), {
+    processes: ["P1", "P2"],
+    resources: [
+      { id: "R1", instances: 1 },
+      { id: "R2", instances: 1 }
+    ]
+  });
+  const states = [state];
+  [
+    ["P1", "R1"],
+    ["P2", "R2"],
+    ["P1", "R2"],
+    ["P2", "R1"]
+  ].forEach(([pid, rid]) => {
+    state = Engine.request(state, pid, rid, 1).state;
+    states.push(state);
+  });
+  states.push(Engine.finish(state, "P1").state);
+  return states;
+}
+
+test("timeline: held and waiting bars per process and resource", () => {
+  const timeline = Timeline.buildTimeline(crossingStates());
+  assert.equal(timeline.steps, 6);
+  assert.deepEqual(timeline.lanes, [
+    { pid: "P1", rids: ["R1", "R2"] },
+    { pid: "P2", rids: ["R1", "R2"] }
+  ]);
+  const bar = (pid, rid, kind) =>
+    timeline.bars
+      .filter(b => b.pid === pid && b.rid === rid && b.kind === kind)
+      .map(b => [b.start, b.end]);
+  assert.deepEqual(bar("P1", "R1", "held"), [[1, 5]]);
+  assert.deepEqual(bar("P1", "R2", "waiting"), [[3, 5]]);
+  assert.deepEqual(bar("P2", "R2", "held"), [[2, 6]]);
+  // P1 finishing hands R1 to P2: the wait ends where the holding starts
+  assert.deepEqual(bar("P2", "R1", "waiting"), [[4, 5]]);
+  assert.deepEqual(bar("P2", "R1", "held"), [[5, 6]]);
+});
+
+test("timeline: free instances, blocked processes and the first deadlock", () => {
+  const timeline = Timeline.buildTimeline(crossingStates());
+  assert.deepEqual(timeline.free.R1, [1, 0, 0, 0, 0, 0]);
+  assert.deepEqual(timeline.free.R2, [1, 1, 0, 0, 0, 0]);
+  assert.deepEqual(timeline.blocked, [0, 0, 0, 1, 2, 0]);
+  assert.equal(timeline.deadlockAt, 4);
+  assert.deepEqual(timeline.deadlocked, ["P1", "P2"]);
+
+  // a resource added later has no value before it exists
+  const states = crossingStates().slice(0, 2);
+  states.push(
+    Object.assign({}, states[1], {
+      resources: states[1].resources.concat({ id: "R3", instances: 2 })
+    })
+  );
+  const later = Timeline.buildTimeline(states);
+  assert.deepEqual(later.free.R3, [null, null, 2]);
+  assert.equal(later.deadlockAt, -1);
+});
@@ -0,0 +1,127 @@
+// Resource timeline: what each process held and waited for, step by step,
+// built from the states the operation log recorded.
+//
+// Step t is the state after the t-th logged operation (step 0 is where the
+// log starts). A timeline is
+//   { steps, processes, resources: [rid], lanes: [{ pid, rids }],
+//     bars: [{ pid, rid, kind: "held" | "waiting", start, end, units }],
+//     free: { [rid]: [units | null] }, blocked: [count],
+//     deadlockAt, deadlocked }
+// where a bar covers the steps start..end-1 with the same number of units,
+// free[rid][t] is null while rid does not exist, and deadlockAt is the first
+// step at which detectDeadlock reports a deadlock (-1 if none does).
+//
+// Loaded as a plain <script> after engine.js it defines `DeadlockTimeline`;
+// under Node it is a CommonJS module.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./engine"));
+  } else {
+    root.DeadlockTimeline = factory(root.DeadlockEngine);
+  }
+})(this, function (Engine) {
+  "use strict";
+
+  // The log keeps every state, and the page rebuilds the timeline on each
+  // render, so detection results are kept per recorded state. Consecutive
+  // states often share their request edges; those are the key, and the
+  // entries under it are told apart by the other parts of the state.
+  const detections = new WeakMap();
+
+  function detectionAt(state) {
+    const entries = detections.get(state.requests) || [];
+    const hit = entries.find(
+      e =>
+        e.assignments === state.assignments &&
+        e.resources === state.resources &&
+        e.processes === state.processes
+    );
+    if (hit) return hit.result;
+    const result = Engine.detectDeadlock(state);
+    entries.push({
+      assignments: state.assignments,
+      resources: state.resources,
+      processes: state.processes,
+      result
+    });
+    detections.set(state.requests, entries);
+    return result;
+  }
+
+  function buildTimeline(states) {
+    const processes = [];
+    const resources = [];
+    const seen = new Set();
+    const used = {}; // pid -> Set of rids it held or waited for
+    const bars = [];
+    const open = new Map(); // "kind pid rid" -> bar still running
+    const free = {};
+    const blocked = [];
+    let deadlockAt = -1;
+    let deadlocked = [];
+
+    states.forEach((state, t) => {
+      state.processes.forEach(pid => {
+        if (seen.has("P:" + pid)) return;
+        seen.add("P:" + pid);
+        processes.push(pid);
+        used[pid] = new Set();
+      });
+      state.resources.forEach(r => {
+        if (seen.has("R:" + r.id)) return;
+        seen.add("R:" + r.id);
+        resources.push(r.id);
+        free[r.id] = new Array(t).fill(null);
+      });
+
+      const edges = [];
+      state.assignments.forEach(e => edges.push(["held", e]));
+      state.requests.forEach(e => edges.push(["waiting", e]));
+      edges.forEach(([kind, e]) => {
+        const key = kind + " " + e.pid + " " + e.rid;
+        const bar = open.get(key);
+        if (bar && bar.end === t && bar.units === e.units) {
+          bar.end = t + 1;
+        } else {
+          const next = { pid: e.pid, rid: e.rid, kind, start: t, end: t + 1, units: e.units };
+          bars.push(next);
+          open.set(key, next);
+        }
+        if (used[e.pid]) used[e.pid].add(e.rid);
+      });
+
+      const exists = new Map(state.resources.map(r => [r.id, r]));
+      resources.forEach(rid => {
+        const r = exists.get(rid);
+        free[rid].push(r ? Engine.freeUnits(state, rid) : null);
+      });
+      blocked.push(new Set(state.requests.map(e => e.pid)).size);
+
+      if (deadlockAt < 0 && state.processes.length > 0) {
+        const result = detectionAt(state);
+        if (result.hasDeadlock) {
+          deadlockAt = t;
+          deadlocked = result.deadlocked;
+        }
+      }
+    });
+
+    const lanes = processes.map(pid => ({
+      pid,
+      rids: resources.filter(rid => used[pid].has(rid))
+    }));
+    return {
+      steps: states.length,
+      processes,
+      resources,
+      lanes,
+      bars,
+      free,
+      blocked,
+      deadlockAt,
+      deadlocked
+    };
+  }
+
+  return { buildTimeline };
+});